@@ -0,0 +1,767 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const readline = require('readline');
+const DockerModule = require('./dockerModule');
+const EventModule = require('./eventModule');
+const AuditModule = require('./auditModule');
+const LogReadUtils = require('./utils/logReadUtils');
+const LogSearchUtils = require('./utils/logSearchUtils');
+
+let AlertRuleType = Object.freeze({
+    DOWN: "down",
+    RESTART_LOOP: "restart_loop",
+    LOG_PATTERN: "log_pattern",
+    DISK_USAGE: "disk_usage",
+});
+
+let AlertEvent = Object.freeze({
+    FIRED: "fired",
+    REPEATED: "repeated",
+    RESOLVED: "resolved",
+    ACKNOWLEDGED: "acknowledged",
+});
+
+const RULE_DEFAULTS = Object.freeze({
+    // Seconds the service has to be in one of `statuses`
+    [AlertRuleType.DOWN]: { duration: 60, statuses: [DockerModule.ServiceStatus.DOWN, DockerModule.ServiceStatus.CRASH_LOOPING] },
+    // Number of container deaths within `window` seconds
+    [AlertRuleType.RESTART_LOOP]: { restarts: 3, window: 300 },
+    // The alert stays firing until no line matched for `cooldown` seconds
+    [AlertRuleType.LOG_PATTERN]: { flags: '', cooldown: 300 },
+    [AlertRuleType.DISK_USAGE]: { thresholdMB: 1024 },
+});
+
+// Sent when a webhook does not define its own body template
+const DEFAULT_WEBHOOK_BODY = Object.freeze({
+    alert: '{{alertId}}',
+    rule: '{{rule}}',
+    type: '{{type}}',
+    severity: '{{severity}}',
+    service: '{{service}}',
+    event: '{{event}}',
+    message: '{{message}}',
+    time: '{{time}}',
+});
+
+// Upper bound of new log data read per file and check, older data is skipped
+const MAX_LOG_READ_BYTES = 1024 * 1024;
+const MAX_MESSAGE_LENGTH = 500;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+class AlertModule {
+    #configFile;
+    #silencesFile;
+    #historyFile;
+    #containerDir;
+    #checkInterval;
+    #timer = null;
+    #unsubscribeEvents = null;
+    /** @type {Promise<void>|null} */
+    #evaluating = null;
+
+    /** @type {Map<string, Alert>} Firing alerts by `${rule}:${service}` */
+    #alerts = new Map();
+    /** @type {Map<string, number>} Since when the condition of a rule has held, by `${rule}:${service}` */
+    #conditionSince = new Map();
+    /** @type {Map<string, Array<number>>} Timestamps of container deaths by service */
+    #deaths = new Map();
+    /** @type {Map<string, Map<string, number>>} Read offsets of log files by service and inode */
+    #logOffsets = new Map();
+
+    AlertRuleType = AlertRuleType;
+    AlertEvent = AlertEvent;
+
+    constructor() {
+        const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+        this.#configFile = process.env.ALERTS_FILE || path.join(dataDir, 'alerts.json');
+        this.#silencesFile = path.join(dataDir, 'alert-silences.json');
+        this.#historyFile = path.join(dataDir, 'alert-history.log');
+        this.#containerDir = process.env.CONTAINER_DIR;
+        this.#checkInterval = parseInt(process.env.ALERT_CHECK_INTERVAL_MS, 10) || 15000;
+    }
+
+    /**
+     * @typedef {Object} Webhook
+     * @property {string} id
+     * @property {string} url
+     * @property {string} [method='POST']
+     * @property {Object.<string, string>} [headers]
+     * @property {Object|Array} [body] - JSON template, "{{name}}" placeholders in strings are replaced.
+     *   Available: alertId, rule, type, severity, service, event, message, time
+     *
+     * @typedef {Object} AlertRule
+     * @property {string} id
+     * @property {'down'|'restart_loop'|'log_pattern'|'disk_usage'} type
+     * @property {Array<string>} [services] - Omitted means all services
+     * @property {Array<string>} [webhooks] - Webhook ids to notify, omitted means all webhooks
+     * @property {string} [severity='critical']
+     * @property {number} [repeat] - Re-notify every `repeat` seconds until acknowledged or resolved
+     * @property {number} [duration] - down: seconds
+     * @property {Array<string>} [statuses] - down: service statuses that count as down
+     * @property {number} [restarts] - restart_loop
+     * @property {number} [window] - restart_loop: seconds
+     * @property {string} [pattern] - log_pattern: regular expression
+     * @property {string} [flags] - log_pattern: regular expression flags
+     * @property {number} [cooldown] - log_pattern: seconds
+     * @property {number} [thresholdMB] - disk_usage: size of logs/ in megabytes
+     *
+     * @typedef {Object} AlertConfig
+     * @property {Array<Webhook>} webhooks
+     * @property {Array<AlertRule>} rules
+     *
+     * @typedef {Object} Alert
+     * @property {string} id
+     * @property {string} rule
+     * @property {string} type
+     * @property {string} severity
+     * @property {string} service
+     * @property {string} message
+     * @property {number} firedAt
+     * @property {number} notifiedAt
+     * @property {number|null} acknowledgedAt
+     * @property {string|null} acknowledgedBy
+     *
+     * @typedef {Object} Silence
+     * @property {string} id
+     * @property {string} [rule] - Omitted silences all rules
+     * @property {string} [service] - Omitted silences all services
+     * @property {number} until - Unix timestamp in milliseconds
+     * @property {string} [comment]
+     * @property {string} user
+     * @property {number} createdAt
+     */
+
+    /**
+     * Starts evaluating the alert rules every ALERT_CHECK_INTERVAL_MS.
+     */
+    start() {
+        if (this.#timer) return;
+
+        this.#unsubscribeEvents = EventModule.subscribe((event) => {
+            if (event.type !== EventModule.ServiceEventType.DIED) return;
+            const deaths = this.#deaths.get(event.service) || [];
+            deaths.push(event.time);
+            // Keep the last hour, which covers any sensible restart loop window
+            this.#deaths.set(event.service, deaths.filter(time => time > Date.now() - 60 * 60 * 1000));
+        });
+        this.#timer = setInterval(() => this.evaluate(), this.#checkInterval);
+        console.log(`Alerting started, checking rules every ${this.#checkInterval}ms`);
+    }
+
+    stop() {
+        clearInterval(this.#timer);
+        this.#timer = null;
+        if (this.#unsubscribeEvents) this.#unsubscribeEvents();
+        this.#unsubscribeEvents = null;
+    }
+
+    /**
+     * @returns {Promise<AlertConfig>}
+     */
+    async getConfig() {
+        try {
+            const content = await fs.promises.readFile(this.#configFile, 'utf-8');
+            const config = JSON.parse(content);
+            return { webhooks: config.webhooks || [], rules: config.rules || [] };
+        } catch (error) {
+            if (error.code === 'ENOENT') return { webhooks: [], rules: [] };
+            throw error;
+        }
+    }
+
+    /**
+     * @param {AlertConfig} config
+     * @param {string} [actor='system'] - Username recorded in the audit log
+     * @returns {Promise<{success: boolean, message: string, errors?: Array<string>}>}
+     */
+    async saveConfig(config, actor = 'system') {
+        const errors = this.#validateConfig(config);
+        let result;
+        let details;
+        if (errors.length > 0) {
+            result = { success: false, message: 'Invalid alert configuration', errors };
+            // The config may be anything, only the errors found in it are recorded
+            details = { errors };
+        } else {
+            const webhooks = config.webhooks || [];
+            const rules = config.rules || [];
+            await fs.promises.mkdir(path.dirname(this.#configFile), { recursive: true });
+            await fs.promises.writeFile(this.#configFile, JSON.stringify({ webhooks, rules }, null, 2), 'utf-8');
+            result = { success: true, message: 'Alert configuration saved' };
+            details = { webhooks: webhooks.map(w => w.id), rules: rules.map(r => r.id) };
+        }
+
+        await AuditModule.record({
+            user: actor,
+            action: 'ALERT_CONFIG',
+            success: result.success,
+            message: result.message,
+            details,
+        });
+        return result;
+    }
+
+    /**
+     * @param {AlertConfig} config
+     * @returns {Array<string>} Validation errors, empty if the config is valid
+     */
+    #validateConfig(config) {
+        if (!config || typeof config !== 'object') return ['Config must be an object'];
+
+        const errors = [];
+        const webhooks = config.webhooks || [];
+        const rules = config.rules || [];
+        if (!Array.isArray(webhooks)) errors.push('webhooks must be a list');
+        if (!Array.isArray(rules)) errors.push('rules must be a list');
+        if (errors.length > 0) return errors;
+
+        const webhookIds = new Set();
+        webhooks.forEach((webhook, index) => {
+            const name = `webhooks[${index}]`;
+            if (!webhook || typeof webhook.id !== 'string' || !webhook.id) return errors.push(`${name}: id is required`);
+            if (webhookIds.has(webhook.id)) errors.push(`${name}: duplicate id "${webhook.id}"`);
+            webhookIds.add(webhook.id);
+
+            try {
+                if (!['http:', 'https:'].includes(new URL(webhook.url).protocol)) errors.push(`${name}: url must be http or https`);
+            } catch (error) {
+                errors.push(`${name}: invalid url`);
+            }
+            if (webhook.headers !== undefined && (typeof webhook.headers !== 'object' || Array.isArray(webhook.headers))) {
+                errors.push(`${name}: headers must be an object`);
+            }
+            if (webhook.body !== undefined && (typeof webhook.body !== 'object' || webhook.body === null)) {
+                errors.push(`${name}: body must be a JSON object or array`);
+            }
+        });
+
+        const ruleIds = new Set();
+        const isPositive = (value) => value === undefined || (typeof value === 'number' && value > 0);
+        rules.forEach((rule, index) => {
+            const name = `rules[${index}]`;
+            if (!rule || typeof rule.id !== 'string' || !rule.id) return errors.push(`${name}: id is required`);
+            if (ruleIds.has(rule.id)) errors.push(`${name}: duplicate id "${rule.id}"`);
+            ruleIds.add(rule.id);
+
+            if (!Object.values(AlertRuleType).includes(rule.type)) {
+                errors.push(`${name}: type must be one of ${Object.values(AlertRuleType).join(', ')}`);
+            }
+            if (rule.services !== undefined && (!Array.isArray(rule.services) || !rule.services.every(s => typeof s === 'string'))) {
+                errors.push(`${name}: services must be a list of service names`);
+            }
+            if (rule.webhooks !== undefined) {
+                if (!Array.isArray(rule.webhooks)) errors.push(`${name}: webhooks must be a list of webhook ids`);
+                else rule.webhooks.filter(id => !webhookIds.has(id)).forEach(id => errors.push(`${name}: unknown webhook "${id}"`));
+            }
+            for (const field of ['repeat', 'duration', 'restarts', 'window', 'cooldown', 'thresholdMB']) {
+                if (!isPositive(rule[field])) errors.push(`${name}: ${field} must be a positive number`);
+            }
+            if (rule.type === AlertRuleType.LOG_PATTERN) {
+                try {
+                    LogSearchUtils.compileRegex(rule.pattern, rule.flags || '');
+                } catch (error) {
+                    errors.push(`${name}: invalid pattern: ${error.message}`);
+                }
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Evaluates all rules once. Concurrent calls share the running evaluation.
+     * @returns {Promise<void>}
+     */
+    evaluate() {
+        if (!this.#evaluating) {
+            this.#evaluating = this.#evaluate()
+                .catch(error => console.error(`Error evaluating alert rules: ${error.message}`))
+                .finally(() => { this.#evaluating = null; });
+        }
+        return this.#evaluating;
+    }
+
+    async #evaluate() {
+        const config = await this.getConfig();
+        if (config.rules.length === 0 && this.#alerts.size === 0) return;
+
+        const silences = await this.listSilences();
+        const services = await DockerModule.getCachedServicesStatus();
+        const now = Date.now();
+        // New log lines are read once per service, however many rules look at them
+        const newLogLines = new Map();
+        const checked = new Set();
+
+        for (const rule of config.rules) {
+            const options = { ...RULE_DEFAULTS[rule.type], severity: 'critical', ...rule };
+            for (const { name, status } of services) {
+                if (rule.services && !rule.services.includes(name)) continue;
+                const key = `${rule.id}:${name}`;
+                checked.add(key);
+
+                let message;
+                try {
+                    message = await this.#checkRule(options, key, name, status, now, newLogLines);
+                } catch (error) {
+                    console.error(`Error checking alert rule "${rule.id}" for service "${name}": ${error.message}`);
+                    continue;
+                }
+                await this.#updateAlert(options, key, name, message, config, silences);
+            }
+        }
+
+        // Rules or services that were removed can no longer fire
+        for (const [key, alert] of this.#alerts) {
+            if (checked.has(key)) continue;
+            this.#conditionSince.delete(key);
+            await this.#updateAlert({ id: alert.rule, type: alert.type, severity: alert.severity }, key, alert.service, null, config, silences);
+        }
+    }
+
+    /**
+     * @param {AlertRule} rule - With defaults applied
+     * @param {string} key
+     * @param {string} serviceName
+     * @param {string} status - Current status of the service, see DockerModule.ServiceStatus
+     * @param {number} now
+     * @param {Map<string, Promise<Array<{file: string, line: string}>>>} newLogLines
+     * @returns {Promise<string|null>} Alert message if the condition holds, otherwise null
+     */
+    async #checkRule(rule, key, serviceName, status, now, newLogLines) {
+        switch (rule.type) {
+            case AlertRuleType.DOWN: {
+                if (!rule.statuses.includes(status)) {
+                    this.#conditionSince.delete(key);
+                    return null;
+                }
+                if (!this.#conditionSince.has(key)) this.#conditionSince.set(key, now);
+                const seconds = Math.floor((now - this.#conditionSince.get(key)) / 1000);
+                return seconds >= rule.duration ? `Service ${serviceName} has been ${status} for ${seconds}s` : null;
+            }
+            case AlertRuleType.RESTART_LOOP: {
+                const deaths = (this.#deaths.get(serviceName) || []).filter(time => time > now - rule.window * 1000);
+                if (deaths.length >= rule.restarts) {
+                    return `Service ${serviceName} restarted ${deaths.length} times in the last ${rule.window}s`;
+                }
+                return status === DockerModule.ServiceStatus.CRASH_LOOPING ? `Service ${serviceName} is crash-looping` : null;
+            }
+            case AlertRuleType.LOG_PATTERN: {
+                if (!newLogLines.has(serviceName)) newLogLines.set(serviceName, this.#readNewLogLines(serviceName));
+                // Compiled with the search timeout, a pattern with catastrophic backtracking throws instead of blocking
+                const lines = await newLogLines.get(serviceName);
+                const { indexes } = LogSearchUtils.compileRegex(rule.pattern, rule.flags).filter(lines.map(({ line }) => line));
+                const matches = indexes.map(index => lines[index]);
+                if (matches.length > 0) {
+                    this.#conditionSince.set(key, now);
+                    const { file, line } = matches[matches.length - 1];
+                    return this.#truncate(`${matches.length} log line(s) of ${serviceName} matched /${rule.pattern}/, last in ${file}: ${line}`);
+                }
+                // Keep firing with the previous message until the cooldown has passed
+                const lastMatch = this.#conditionSince.get(key);
+                if (lastMatch && now - lastMatch < rule.cooldown * 1000 && this.#alerts.has(key)) {
+                    return this.#alerts.get(key).message;
+                }
+                this.#conditionSince.delete(key);
+                return null;
+            }
+            case AlertRuleType.DISK_USAGE: {
+                const sizeMB = (await this.#getDirectorySize(path.join(this.#containerDir, serviceName, 'logs'))) / (1024 * 1024);
+                return sizeMB > rule.thresholdMB
+                    ? `logs/ of ${serviceName} uses ${sizeMB.toFixed(1)} MB (threshold ${rule.thresholdMB} MB)`
+                    : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Fires, updates or resolves the alert of a rule for a service and sends notifications.
+     * @param {AlertRule} rule
+     * @param {string} key
+     * @param {string} serviceName
+     * @param {string|null} message - Null if the condition no longer holds
+     * @param {AlertConfig} config
+     * @param {Array<Silence>} silences
+     */
+    async #updateAlert(rule, key, serviceName, message, config, silences) {
+        const existing = this.#alerts.get(key);
+        const silenced = silences.some(silence =>
+            (!silence.rule || silence.rule === rule.id) && (!silence.service || silence.service === serviceName));
+
+        if (message && !existing) {
+            const alert = {
+                id: crypto.randomUUID(),
+                rule: rule.id,
+                type: rule.type,
+                severity: rule.severity,
+                service: serviceName,
+                message,
+                firedAt: Date.now(),
+                notifiedAt: Date.now(),
+                acknowledgedAt: null,
+                acknowledgedBy: null,
+            };
+            this.#alerts.set(key, alert);
+            console.log(`Alert "${rule.id}" fired for service "${serviceName}": ${message}`);
+            await this.#notify(alert, AlertEvent.FIRED, rule, config, silenced);
+        } else if (message && existing) {
+            existing.message = message;
+            const repeatDue = rule.repeat && !existing.acknowledgedAt && Date.now() - existing.notifiedAt >= rule.repeat * 1000;
+            if (repeatDue) {
+                existing.notifiedAt = Date.now();
+                await this.#notify(existing, AlertEvent.REPEATED, rule, config, silenced);
+            }
+        } else if (!message && existing) {
+            this.#alerts.delete(key);
+            console.log(`Alert "${rule.id}" resolved for service "${serviceName}"`);
+            await this.#notify(existing, AlertEvent.RESOLVED, rule, config, silenced);
+        }
+    }
+
+    /**
+     * Sends an alert event to the webhooks of its rule and records it in the history.
+     * @param {Alert} alert
+     * @param {string} event - One of AlertEvent
+     * @param {AlertRule} rule
+     * @param {AlertConfig} config
+     * @param {boolean} silenced - Record the event without notifying
+     */
+    async #notify(alert, event, rule, config, silenced) {
+        const webhooks = silenced ? [] : config.webhooks.filter(webhook => !rule.webhooks || rule.webhooks.includes(webhook.id));
+        const variables = {
+            alertId: alert.id,
+            rule: alert.rule,
+            type: alert.type,
+            severity: alert.severity,
+            service: alert.service,
+            event,
+            message: alert.message,
+            time: new Date().toISOString(),
+        };
+
+        const deliveries = await Promise.all(webhooks.map(async (webhook) => {
+            try {
+                const response = await fetch(webhook.url, {
+                    method: webhook.method || 'POST',
+                    headers: { 'Content-Type': 'application/json', ...webhook.headers },
+                    body: JSON.stringify(this.#renderTemplate(webhook.body || DEFAULT_WEBHOOK_BODY, variables)),
+                    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+                });
+                if (!response.ok) {
+                    console.error(`Error: Webhook "${webhook.id}" responded with status ${response.status}`);
+                }
+                return { webhook: webhook.id, status: response.status };
+            } catch (error) {
+                console.error(`Error sending alert to webhook "${webhook.id}": ${error.message}`);
+                return { webhook: webhook.id, error: error.message };
+            }
+        }));
+
+        await this.#recordHistory({ ...this.#historyFields(alert), event, silenced, deliveries });
+    }
+
+    /**
+     * Replaces "{{name}}" placeholders in all strings of a JSON template.
+     * @param {*} template
+     * @param {Object.<string, string>} variables
+     * @returns {*}
+     */
+    #renderTemplate(template, variables) {
+        if (typeof template === 'string') {
+            return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (name in variables ? String(variables[name]) : match));
+        }
+        if (Array.isArray(template)) return template.map(item => this.#renderTemplate(item, variables));
+        if (template && typeof template === 'object') {
+            return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, this.#renderTemplate(value, variables)]));
+        }
+        return template;
+    }
+
+    /**
+     * Reads the lines appended to the log files of a service since the previous call. Files are
+     * tracked by inode so rotated files are not read twice. The first call only records the
+     * current file sizes, so existing log content never fires alerts.
+     * A new inode is only read from its start for a live `.log` file, which was replaced or created since. Other new
+     * files are rotated copies, e.g. by logrotate `copytruncate`, whose lines were already read from the live file;
+     * compressed files are skipped.
+     * @param {string} serviceName
+     * @returns {Promise<Array<{file: string, line: string}>>}
+     */
+    async #readNewLogLines(serviceName) {
+        const logDir = path.join(this.#containerDir, serviceName, 'logs');
+        const isFirstScan = !this.#logOffsets.has(serviceName);
+        const previousOffsets = this.#logOffsets.get(serviceName) || new Map();
+        const offsets = new Map();
+        const lines = [];
+
+        for (const file of await DockerModule.getServiceLogs(serviceName)) {
+            if (LogReadUtils.isCompressed(file)) continue;
+            const filePath = path.join(logDir, file);
+            let stats;
+            try {
+                stats = await fs.promises.stat(filePath);
+            } catch (error) {
+                continue; // Rotated away in the meantime
+            }
+
+            const inode = String(stats.ino);
+            let offset;
+            if (previousOffsets.has(inode)) offset = previousOffsets.get(inode);
+            else offset = isFirstScan || !file.endsWith('.log') ? stats.size : 0;
+            if (stats.size < offset) offset = 0; // Truncated
+            if (stats.size - offset > MAX_LOG_READ_BYTES) offset = stats.size - MAX_LOG_READ_BYTES;
+
+            if (offset < stats.size) {
+                const fileHandle = await fs.promises.open(filePath, 'r');
+                try {
+                    const buffer = Buffer.alloc(stats.size - offset);
+                    await fileHandle.read(buffer, 0, buffer.length, offset);
+                    // An incomplete last line is read again with the next check
+                    const end = buffer.lastIndexOf(0x0a);
+                    if (end !== -1) {
+                        for (const line of buffer.subarray(0, end).toString('utf-8').split('\n')) {
+                            if (line.trim()) lines.push({ file, line });
+                        }
+                        offset += end + 1;
+                    }
+                } finally {
+                    await fileHandle.close();
+                }
+            }
+            offsets.set(inode, offset);
+        }
+
+        this.#logOffsets.set(serviceName, offsets);
+        return lines;
+    }
+
+    /**
+     * @param {string} dir
+     * @returns {Promise<number>} Total size of all files below dir in bytes
+     */
+    async #getDirectorySize(dir) {
+        let total = 0;
+        let entries;
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+        for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                total += await this.#getDirectorySize(entryPath);
+            } else if (entry.isFile()) {
+                try {
+                    total += (await fs.promises.stat(entryPath)).size;
+                } catch (error) {
+                    // Removed in the meantime
+                }
+            }
+        }
+        return total;
+    }
+
+    /**
+     * @param {string} text
+     * @returns {string}
+     */
+    #truncate(text) {
+        return text.length > MAX_MESSAGE_LENGTH ? `${text.substring(0, MAX_MESSAGE_LENGTH)}...` : text;
+    }
+
+    /**
+     * @returns {Array<Alert>} Firing alerts, newest first
+     */
+    listAlerts() {
+        return [...this.#alerts.values()].sort((a, b) => b.firedAt - a.firedAt);
+    }
+
+    /**
+     * @param {string} alertId
+     * @returns {Alert|null}
+     */
+    getAlert(alertId) {
+        return this.listAlerts().find(alert => alert.id === alertId) || null;
+    }
+
+    /**
+     * Acknowledges a firing alert, which stops repeated notifications for it.
+     * @param {string} alertId
+     * @param {string} [actor='system'] - Username recorded in the audit log
+     * @returns {Promise<{success: boolean, message: string}>}
+     */
+    async acknowledge(alertId, actor = 'system') {
+        const alert = this.getAlert(alertId);
+        let result;
+        if (!alert) {
+            result = { success: false, message: 'Alert not found' };
+        } else if (alert.acknowledgedAt) {
+            result = { success: false, message: `Alert was already acknowledged by ${alert.acknowledgedBy}` };
+        } else {
+            alert.acknowledgedAt = Date.now();
+            alert.acknowledgedBy = actor;
+            await this.#recordHistory({ ...this.#historyFields(alert), event: AlertEvent.ACKNOWLEDGED, user: actor });
+            result = { success: true, message: 'Alert acknowledged' };
+        }
+
+        await AuditModule.record({
+            user: actor,
+            service: alert ? alert.service : undefined,
+            action: 'ALERT_ACK',
+            success: result.success,
+            message: result.message,
+            details: { alertId, rule: alert ? alert.rule : undefined },
+        });
+        return result;
+    }
+
+    /**
+     * @returns {Promise<Array<Silence>>} Silences that have not expired yet
+     */
+    async listSilences() {
+        try {
+            const content = await fs.promises.readFile(this.#silencesFile, 'utf-8');
+            return (JSON.parse(content).silences || []).filter(silence => silence.until > Date.now());
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    /**
+     * Suppresses notifications of matching alerts for a while. Alerts still fire and are kept in the history.
+     * @param {{rule?: string, service?: string, duration: number, comment?: string}} silenceData - duration in seconds
+     * @param {string} [actor='system'] - Username recorded in the audit log
+     * @returns {Promise<{success: boolean, message: string, silence?: Silence}>}
+     */
+    async addSilence({ rule, service, duration, comment }, actor = 'system') {
+        let result;
+        if (typeof duration !== 'number' || duration <= 0) {
+            result = { success: false, message: 'duration must be a positive number of seconds' };
+        } else if ((rule !== undefined && typeof rule !== 'string') || (service !== undefined && typeof service !== 'string')) {
+            result = { success: false, message: 'rule and service must be strings' };
+        } else {
+            const silence = {
+                id: crypto.randomUUID(),
+                ...(rule ? { rule } : {}),
+                ...(service ? { service } : {}),
+                until: Date.now() + duration * 1000,
+                comment: typeof comment === 'string' ? comment : '',
+                user: actor,
+                createdAt: Date.now(),
+            };
+            await this.#saveSilences([...(await this.listSilences()), silence]);
+            result = { success: true, message: 'Silence added', silence };
+        }
+
+        await AuditModule.record({
+            user: actor,
+            service,
+            action: 'ALERT_SILENCE',
+            success: result.success,
+            message: result.message,
+            details: { rule, duration, comment },
+        });
+        return result;
+    }
+
+    /**
+     * @param {string} silenceId
+     * @param {string} [actor='system'] - Username recorded in the audit log
+     * @returns {Promise<{success: boolean, message: string}>}
+     */
+    async removeSilence(silenceId, actor = 'system') {
+        const silences = await this.listSilences();
+        const silence = silences.find(s => s.id === silenceId);
+        let result;
+        if (!silence) {
+            result = { success: false, message: 'Silence not found' };
+        } else {
+            await this.#saveSilences(silences.filter(s => s.id !== silenceId));
+            result = { success: true, message: 'Silence removed' };
+        }
+
+        await AuditModule.record({
+            user: actor,
+            service: silence ? silence.service : undefined,
+            action: 'ALERT_UNSILENCE',
+            success: result.success,
+            message: result.message,
+            details: { silenceId, rule: silence ? silence.rule : undefined },
+        });
+        return result;
+    }
+
+    /**
+     * @param {Array<Silence>} silences
+     */
+    async #saveSilences(silences) {
+        await fs.promises.mkdir(path.dirname(this.#silencesFile), { recursive: true });
+        await fs.promises.writeFile(this.#silencesFile, JSON.stringify({ silences }, null, 2), 'utf-8');
+    }
+
+    /**
+     * @param {Alert} alert
+     */
+    #historyFields(alert) {
+        const { id, rule, type, severity, service, message } = alert;
+        return { alertId: id, rule, type, severity, service, message };
+    }
+
+    /**
+     * @param {Object} entry
+     */
+    async #recordHistory(entry) {
+        const line = JSON.stringify({ time: Date.now(), ...entry });
+        try {
+            await fs.promises.mkdir(path.dirname(this.#historyFile), { recursive: true });
+            await fs.promises.appendFile(this.#historyFile, `${line}\n`, 'utf-8');
+        } catch (error) {
+            console.error(`Error writing alert history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reads the alert history, newest entries first.
+     * @param {Object} [filter]
+     * @param {string} [filter.service]
+     * @param {string} [filter.rule]
+     * @param {number} [filter.limit=500]
+     * @param {(entry: Object) => boolean} [filter.predicate] - Additional filter, e.g. for permissions
+     * @returns {Promise<Array<Object>>}
+     */
+    async queryHistory({ service, rule, limit = 500, predicate } = {}) {
+        if (!fs.existsSync(this.#historyFile)) return [];
+
+        const results = [];
+        const rl = readline.createInterface({
+            input: fs.createReadStream(this.#historyFile, { encoding: 'utf-8' }),
+            crlfDelay: Infinity,
+        });
+
+        for await (const line of rl) {
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (e) {
+                continue; // Ignore a partially written line
+            }
+
+            if (service && entry.service !== service) continue;
+            if (rule && entry.rule !== rule) continue;
+            if (predicate && !predicate(entry)) continue;
+
+            results.push(entry);
+            if (results.length > limit) results.shift();
+        }
+
+        return results.reverse();
+    }
+}
+
+module.exports = new AlertModule();
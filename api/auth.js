@@ -0,0 +1,47 @@
+const AuthModule = require('../authModule');
+
+/**
+ * Extracts the session token from the Authorization header, or from the `token`
+ * query parameter for clients that cannot set headers (browser WebSockets, downloads).
+ * @param {import('http').IncomingMessage} req
+ * @param {Object} [query]
+ * @returns {string|null}
+ */
+function getToken(req, query = {}) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (match) return match[1];
+    return typeof query.token === 'string' ? query.token : null;
+}
+
+/**
+ * Express middleware: resolves the session token to `req.user`, rejects the request with 401 otherwise.
+ */
+async function authenticate(req, res, next) {
+    try {
+        const user = await AuthModule.authenticate(getToken(req, req.query));
+        if (!user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        req.user = user;
+        next();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
+
+/**
+ * Express middleware factory: requires at least `role`. On routes with a `:name`
+ * parameter the user must also have been granted access to that service.
+ * @param {'viewer'|'operator'|'admin'} role
+ */
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!AuthModule.hasRole(req.user, role, req.params.name)) {
+            return res.status(403).json({ error: 'Permission denied' });
+        }
+        next();
+    };
+}
+
+module.exports = { getToken, authenticate, requireRole };
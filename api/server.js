@@ -4,54 +4,358 @@ const express = require('express');
 const cors = require('cors');
 const WebSocket = require('ws');
 const url = require('url');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const moment = require('moment-timezone');
 const DockerModule = require('../dockerModule');
+const AuthModule = require('../authModule');
+const AuditModule = require('../auditModule');
+const JobModule = require('../jobModule');
+const EventModule = require('../eventModule');
+const AlertModule = require('../alertModule');
+const MetricsModule = require('../metricsModule');
+const { getToken, authenticate, requireRole } = require('./auth');
 require("dotenv").config();
 
 const app = express();
 const port = process.env.PORT || 3000;
 const apiAddr = process.env.API_ADDR || 'localhost';
 
+const { Role } = AuthModule;
+
+// File name extension and content type of each log export format
+const LOG_EXPORT_FORMATS = Object.freeze({
+    text: { extension: '', contentType: 'text/plain; charset=utf-8' },
+    ndjson: { extension: '.ndjson', contentType: 'application/x-ndjson' },
+    gzip: { extension: '.gz', contentType: 'application/gzip' },
+});
+// Files tailed at once over one /ws/tail socket
+const TAIL_MAX_SUBSCRIPTIONS = 20;
+
 // Middleware
-app.use(cors());
+// CORS_ORIGIN is a comma separated list of allowed origins; all origins are allowed when unset
+const corsOrigin = process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',').map(origin => origin.trim()) : '*';
+app.use(cors({ origin: corsOrigin }));
 app.use(express.json());
 
+// --- Authentication Endpoints ---
+
+// POST /api/auth/login - Exchange username and password for a session token
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        const result = await AuthModule.login(username, password);
+        res.status(result.success ? 200 : 401).json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Every other API route requires a valid session
+app.use('/api', authenticate);
+
+// POST /api/auth/logout - Invalidate the current session token
+app.post('/api/auth/logout', (req, res) => {
+    AuthModule.logout(getToken(req, req.query));
+    res.json({ success: true, message: 'Logged out' });
+});
+
+// GET /api/auth/me - Get the current user
+app.get('/api/auth/me', (req, res) => {
+    res.json(req.user);
+});
+
+// --- User Management Endpoints ---
+
+// GET /api/users - List users
+app.get('/api/users', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+        const users = await AuthModule.listUsers();
+        res.json(users);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/users/:username - Create or update a user
+app.put('/api/users/:username', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { password, role, services } = req.body;
+        const result = await AuthModule.saveUser({ username, password, role, services }, req.user.username);
+        res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/users/:username - Delete a user
+app.delete('/api/users/:username', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+        const { username } = req.params;
+        const result = await AuthModule.deleteUser(username, req.user.username);
+        res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// --- Audit Endpoints ---
+
+// GET /api/audit - Query the audit log, limited to the services the user can access
+app.get('/api/audit', requireRole(Role.VIEWER), async (req, res) => {
+    try {
+        const { service, user, action, from, to, limit } = req.query;
+        const entries = await AuditModule.query({
+            service,
+            user,
+            action,
+            from,
+            to,
+            limit: parseInt(limit, 10) || undefined,
+            // Entries without a service (e.g. user management) are only visible to admins
+            predicate: (entry) => entry.service
+                ? AuthModule.canAccessService(req.user, entry.service)
+                : AuthModule.hasRole(req.user, Role.ADMIN),
+        });
+        res.json(entries);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// --- Job Endpoints ---
+
+// GET /api/jobs - List recent jobs, optionally filtered by ?service=
+app.get('/api/jobs', requireRole(Role.VIEWER), (req, res) => {
+    const { service } = req.query;
+    const jobs = JobModule.list({ service }).filter(job => AuthModule.canAccessService(req.user, job.service));
+    res.json(jobs);
+});
+
+// GET /api/jobs/:id - Get status, exit code and output of a job
+app.get('/api/jobs/:id', requireRole(Role.VIEWER), (req, res) => {
+    const job = JobModule.get(req.params.id);
+    if (!job || !AuthModule.canAccessService(req.user, job.service)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+});
+
+// GET /api/operations - List running and queued operations, optionally filtered by ?service=
+app.get('/api/operations', requireRole(Role.VIEWER), (req, res) => {
+    const { service } = req.query;
+    const operations = DockerModule.listOperations(service).filter(operation => AuthModule.canAccessService(req.user, operation.service));
+    res.json(operations);
+});
+
+// --- Alert Endpoints ---
+
+// GET /api/alerts - List firing alerts
+app.get('/api/alerts', requireRole(Role.VIEWER), (req, res) => {
+    const { service } = req.query;
+    const alerts = AlertModule.listAlerts()
+        .filter(alert => (!service || alert.service === service) && AuthModule.canAccessService(req.user, alert.service));
+    res.json(alerts);
+});
+
+// GET /api/alerts/history - Fired, resolved and acknowledged alerts, newest first
+app.get('/api/alerts/history', requireRole(Role.VIEWER), async (req, res) => {
+    try {
+        const { service, rule, limit } = req.query;
+        const entries = await AlertModule.queryHistory({
+            service,
+            rule,
+            limit: parseInt(limit, 10) || undefined,
+            predicate: (entry) => AuthModule.canAccessService(req.user, entry.service),
+        });
+        res.json(entries);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/alerts/:id/acknowledge - Acknowledge a firing alert
+app.post('/api/alerts/:id/acknowledge', requireRole(Role.OPERATOR), async (req, res) => {
+    try {
+        const alert = AlertModule.getAlert(req.params.id);
+        if (!alert || !AuthModule.canAccessService(req.user, alert.service)) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        const result = await AlertModule.acknowledge(alert.id, req.user.username);
+        res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/alerts/config - Get webhooks and alert rules
+app.get('/api/alerts/config', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+        const config = await AlertModule.getConfig();
+        res.json(config);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/alerts/config - Replace webhooks and alert rules
+app.put('/api/alerts/config', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+        const result = await AlertModule.saveConfig(req.body, req.user.username);
+        res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/alerts/silences - List active silences
+app.get('/api/alerts/silences', requireRole(Role.VIEWER), async (req, res) => {
+    try {
+        const silences = await AlertModule.listSilences();
+        res.json(silences.filter(silence => !silence.service || AuthModule.canAccessService(req.user, silence.service)));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/alerts/silences - Silence notifications of a rule and/or service for `duration` seconds
+app.post('/api/alerts/silences', requireRole(Role.OPERATOR), async (req, res) => {
+    try {
+        const { rule, service, duration, comment } = req.body;
+        // Silences spanning all services are admin only
+        if (!AuthModule.hasRole(req.user, service ? Role.OPERATOR : Role.ADMIN, service)) {
+            return res.status(403).json({ error: 'Permission denied' });
+        }
+        const result = await AlertModule.addSilence({ rule, service, duration, comment }, req.user.username);
+        res.status(result.success ? 201 : 400).json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/alerts/silences/:id - Remove a silence before it expires
+app.delete('/api/alerts/silences/:id', requireRole(Role.OPERATOR), async (req, res) => {
+    try {
+        const silence = (await AlertModule.listSilences()).find(s => s.id === req.params.id);
+        if (!silence || !AuthModule.hasRole(req.user, silence.service ? Role.OPERATOR : Role.ADMIN, silence.service)) {
+            return res.status(404).json({ error: 'Silence not found' });
+        }
+        const result = await AlertModule.removeSilence(silence.id, req.user.username);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // --- Service Management Endpoints ---
 
-// GET /api/services - List all services
-app.get('/api/services', async (req, res) => {
+// GET /api/services - List all services. With ?include=status,metrics each service is an object
+// with its name, cached status and/or current resource usage.
+app.get('/api/services', requireRole(Role.VIEWER), async (req, res) => {
+    try {
+        const include = String(req.query.include || '').split(',');
+        if (!include.includes('status') && !include.includes('metrics')) {
+            const services = await DockerModule.listServices();
+            return res.json(services.filter(service => AuthModule.canAccessService(req.user, service)));
+        }
+
+        const services = include.includes('status')
+            ? await DockerModule.getServicesStatus()
+            : (await DockerModule.listServices()).map(name => ({ name }));
+        res.json(services
+            .filter(service => AuthModule.canAccessService(req.user, service.name))
+            .map(service => (include.includes('metrics') ? { ...service, metrics: MetricsModule.getCurrentUsage(service.name) } : service)));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/services - Create a new service from config data
+app.post('/api/services', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+        const { configData, envData, projectEnvData } = req.body;
+        const result = await DockerModule.createService(configData, envData, projectEnvData, req.user.username);
+        res.status(result.success ? 201 : 400).json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/services/:name - Take down and archive (or delete) a service
+app.delete('/api/services/:name', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { mode, confirm } = { ...req.query, ...req.body };
+        const result = await DockerModule.deleteService(name, mode, confirm, req.user.username);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/archives - List archived services
+app.get('/api/archives', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+        const archives = await DockerModule.listArchives();
+        res.json(archives);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/archives/:file/restore - Restore an archived service
+app.post('/api/archives/:file/restore', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+        const { file } = req.params;
+        const result = await DockerModule.restoreService(file, req.user.username);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/services/:name/status - Get overall status and per-container state
+app.get('/api/services/:name/status', requireRole(Role.VIEWER), async (req, res) => {
     try {
-        const services = await DockerModule.listServices();
-        res.json(services);
+        const { name } = req.params;
+        const status = await DockerModule.getServiceStatus(name);
+        res.json(status);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// GET /api/services/:name/status - Get service status
-app.get('/api/services/:name/status', async (req, res) => {
+// GET /api/services/:name/metrics - Resource usage time series, ?from=&to= (ISO or ms) and ?step= (seconds)
+app.get('/api/services/:name/metrics', requireRole(Role.VIEWER), async (req, res) => {
     try {
         const { name } = req.params;
-        const isUp = await DockerModule.isServiceUp(name);
-        res.json({ status: isUp ? 'Up' : 'Down' });
+        const { from, to, step } = req.query;
+        const metrics = await MetricsModule.getMetrics(name, { from, to, step });
+        if (metrics.success === false) {
+            return res.status(400).json(metrics);
+        }
+        res.json({ ...metrics, current: MetricsModule.getCurrentUsage(name) });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
 // POST /api/services/:name/power - Perform a power action
-app.post('/api/services/:name/power', async (req, res) => {
+app.post('/api/services/:name/power', requireRole(Role.OPERATOR), async (req, res) => {
     try {
         const { name } = req.params;
-        const { action } = req.body;
-        const result = await DockerModule.powerAction(action.toUpperCase(), name);
-        res.json(result);
+        const { action, wait } = req.body;
+        const result = await DockerModule.powerAction(action.toUpperCase(), name, req.user.username, wait !== false);
+        // Without waiting, the client follows the job on /ws/jobs/:id or GET /api/jobs/:id
+        res.status(wait === false && result.success ? 202 : 200).json(result);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
 // GET /api/services/:name/config - Get service configuration
-app.get('/api/services/:name/config', async (req, res) => {
+app.get('/api/services/:name/config', requireRole(Role.VIEWER), async (req, res) => {
     try {
         const { name } = req.params;
         const config = await DockerModule.getServiceConfig(name);
@@ -62,7 +366,7 @@ app.get('/api/services/:name/config', async (req, res) => {
 });
 
 // GET /api/services/:name/config-data - Get service configuration data
-app.get('/api/services/:name/config-data', async (req, res) => {
+app.get('/api/services/:name/config-data', requireRole(Role.VIEWER), async (req, res) => {
     try {
         const { name } = req.params;
         const config = await DockerModule.getServiceConfigData(name);
@@ -72,12 +376,24 @@ app.get('/api/services/:name/config-data', async (req, res) => {
     }
 });
 
+// PUT /api/services/:name/config-data - Regenerate docker-compose.yml from config data
+app.put('/api/services/:name/config-data', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { configData, recreate } = req.body;
+        const result = await DockerModule.updateServiceConfigData(name, configData, !!recreate, req.user.username);
+        res.status(result.errors ? 400 : 200).json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // POST /api/services/:name/config/env - Write service env configuration
-app.post('/api/services/:name/config/env', async (req, res) => {
+app.post('/api/services/:name/config/env', requireRole(Role.OPERATOR), async (req, res) => {
     try {
         const { name } = req.params;
         const { envData } = req.body;
-        const result = await DockerModule.writeServiceEnvConfig(name, envData);
+        const result = await DockerModule.writeServiceEnvConfig(name, envData, req.user.username);
         res.json(result);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -88,7 +404,7 @@ app.post('/api/services/:name/config/env', async (req, res) => {
 // --- Log Management Endpoints ---
 
 // GET /api/services/:name/logs/files - List log files for a service
-app.get('/api/services/:name/logs/files', async (req, res) => {
+app.get('/api/services/:name/logs/files', requireRole(Role.VIEWER), async (req, res) => {
     try {
         const { name } = req.params;
         const logFiles = await DockerModule.getServiceLogs(name);
@@ -98,20 +414,40 @@ app.get('/api/services/:name/logs/files', async (req, res) => {
     }
 });
 
-// GET /api/services/:name/logs/read - Read lines from a log file
-app.get('/api/services/:name/logs/read', async (req, res) => {
+// GET /api/services/:name/logs/read - Read lines from a log file, optionally only those matching ?search=&ignoreCase=&exclude=&levels=
+// With ?format=ndjson the lines are streamed as they are read
+app.get('/api/services/:name/logs/read', requireRole(Role.VIEWER), async (req, res) => {
     try {
         const { name } = req.params;
         const { file, start, num } = req.query;
-        const lines = await DockerModule.getLogLines(name, file, parseInt(start, 10), parseInt(num, 10));
-        res.json(lines);
+        await sendLogLines(req, res, (onLine) => (
+            DockerModule.getLogLines(name, file, parseInt(start, 10), parseInt(num, 10), getLogSearchQuery(req.query), onLine)
+        ));
+    } catch (error) {
+        sendStreamError(res, error);
+    }
+});
+
+// GET /api/services/:name/logs/window - Read ?before= and ?after= lines around the line at byte ?offset=, to jump to a search result
+app.get('/api/services/:name/logs/window', requireRole(Role.VIEWER), async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { file, offset, before, after } = req.query;
+        if (!file) {
+            return res.status(400).json({ error: 'File query parameter is required' });
+        }
+        const result = await DockerModule.readLogWindow(name, file, Number(offset), before, after);
+        if (result.success === false) {
+            return res.status(400).json({ error: result.message });
+        }
+        res.json(result);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
 // GET /api/services/:name/logs/time-range
-app.get('/api/services/:name/logs/time-range', async (req, res) => {
+app.get('/api/services/:name/logs/time-range', requireRole(Role.VIEWER), async (req, res) => {
     try {
         const { name } = req.params;
         const { file } = req.query;
@@ -125,19 +461,95 @@ app.get('/api/services/:name/logs/time-range', async (req, res) => {
     }
 });
 
-// POST /api/services/:name/logs/search - Search log files by time range
-app.post('/api/services/:name/logs/search', async (req, res) => {
+// GET /api/services/:name/logs/levels - Count lines per level in ?from=&to=, optionally only those matching ?search=
+app.get('/api/services/:name/logs/levels', requireRole(Role.VIEWER), async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { file, from, to } = req.query;
+        if (!file) {
+            return res.status(400).json({ error: 'File query parameter is required' });
+        }
+        const result = await DockerModule.getLogLevelCounts(name, file, from || null, to || null, getLogSearchQuery(req.query));
+        if (result.success === false) {
+            return res.status(400).json({ error: result.message });
+        }
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/services/:name/logs/histogram - Count lines and errors in ?buckets= time buckets of ?from=&to=, the whole
+// file if not given, optionally only those matching ?search=
+app.get('/api/services/:name/logs/histogram', requireRole(Role.VIEWER), async (req, res) => {
     try {
         const { name } = req.params;
-        const { file, from, to, limit, offset, search } = req.body;
-        const result = await DockerModule.searchLogLinesByTimeRange(name, file, from || null, to || null, limit, offset, search);
-        console.log(file, from, to, result.lines.length);
+        const { file, from, to, buckets } = req.query;
+        if (!file) {
+            return res.status(400).json({ error: 'File query parameter is required' });
+        }
+        const result = await DockerModule.getLogHistogram(name, file, from || null, to || null, buckets, getLogSearchQuery(req.query));
+        if (result.success === false) {
+            return res.status(400).json({ error: result.message });
+        }
         res.json(result);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// POST /api/services/:name/logs/search - Search log files by time range, paged by {offset} or {cursor}, with {before, after} lines of context; ?format=ndjson streams the lines as they are read
+app.post('/api/services/:name/logs/search', requireRole(Role.VIEWER), async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { file, from, to, limit, offset, cursor } = req.body;
+        await sendLogLines(req, res, (onLine) => (
+            DockerModule.searchLogLinesByTimeRange(name, file, from || null, to || null, limit, offset, getLogSearchQuery(req.body), onLine, cursor || null)
+        ));
+    } catch (error) {
+        sendStreamError(res, error);
+    }
+});
+
+// POST /api/services/:name/logs/search-all - Search all log files of a service in time order, paged by {cursor}
+app.post('/api/services/:name/logs/search-all', requireRole(Role.VIEWER), async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { from, to, limit, cursor } = req.body;
+        await sendLogLines(req, res, (onLine) => (
+            DockerModule.searchServiceLogs(name, from || null, to || null, limit, cursor || null, getLogSearchQuery(req.body), onLine)
+        ));
+    } catch (error) {
+        sendStreamError(res, error);
+    }
+});
+
+// GET /api/services/:name/logs/export - Download ?file= as ?format=text|ndjson|gzip, optionally only the lines in
+// ?from=&to= matching ?search=&ignoreCase=&exclude=&levels=; ?files=a.log,b.log downloads whole files as one tar.gz
+app.get('/api/services/:name/logs/export', requireRole(Role.VIEWER), async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { file, files, from, to, format = 'text' } = req.query;
+        if (files) {
+            const fileNames = [].concat(files).flatMap(names => String(names).split(',')).filter(Boolean);
+            const bundle = await DockerModule.createLogBundle(name, fileNames);
+            if (!bundle.success) {
+                return res.status(400).json({ error: bundle.message });
+            }
+            res.attachment(`${name}-logs-${moment().format('YYYYMMDD-HHmmss')}.tar.gz`);
+            return await pipeline(bundle.stream, res);
+        }
+        if (!file) {
+            return res.status(400).json({ error: 'File query parameter is required' });
+        }
+        if (!Object.hasOwn(LOG_EXPORT_FORMATS, format)) {
+            return res.status(400).json({ error: `Unknown format "${format}", use ${Object.keys(LOG_EXPORT_FORMATS).join(', ')}` });
+        }
+        await sendLogExport(res, name, file, format, from || null, to || null, getLogSearchQuery(req.query));
+    } catch (error) {
+        sendStreamError(res, error);
+    }
+});
 
 // Serve frontend after API routes
 const frontendDist = path.join(__dirname, '../frontend/dist');
@@ -158,41 +570,392 @@ function startServer() {
 
     const wss = new WebSocket.Server({ noServer: true });
 
-    server.on('upgrade', (request, socket, head) => {
+    // Container state changed, the cached status of /api/services?include=status is stale
+    EventModule.subscribe(() => DockerModule.invalidateStatusCache());
+    AlertModule.start();
+    MetricsModule.start();
+
+    server.on('upgrade', async (request, socket, head) => {
         const { pathname, query } = url.parse(request.url, true);
-        const match = pathname.match(/^\/ws\/logs\/(.+)$/);
-
-        if (match) {
-            wss.handleUpgrade(request, socket, head, async (ws) => {
-                const serviceName = match[1];
-                const file = query.file;
-                const search = query.search || '';
-
-                if (!file) {
-                    ws.close(1008, 'File query parameter is required');
-                    return;
-                }
-
-                const unwatch = await DockerModule.monitorServiceLogs(serviceName, file, (logLine) => {
-                    if (ws.readyState === WebSocket.OPEN) {
-                        ws.send(logLine);
-                    }
-                }, search);
-
-                ws.on('close', () => {
-                    console.log('Client disconnected, stopping log watch.');
-                    unwatch();
-                });
-
-                ws.on('error', (error) => {
-                    console.error('WebSocket error:', error);
-                    unwatch();
-                });
+        const logsMatch = pathname.match(/^\/ws\/logs\/(.+)$/);
+        const jobsMatch = pathname.match(/^\/ws\/jobs\/(.+)$/);
+        const isEvents = pathname === '/ws/events';
+        const isTail = pathname === '/ws/tail';
+
+        if (!logsMatch && !jobsMatch && !isEvents && !isTail) {
+            socket.destroy();
+            return;
+        }
+
+        let user;
+        try {
+            user = await AuthModule.authenticate(getToken(request, query));
+        } catch (error) {
+            // A rejection here would be unhandled and end the process
+            console.error(`Error authenticating WebSocket request: ${error.message}`);
+            socket.write('HTTP/1.1 500 Internal Server Error\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+        if (!user) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            return;
+        }
+
+        if (logsMatch) {
+            if (!AuthModule.hasRole(user, Role.VIEWER, logsMatch[1])) {
+                socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+                return;
+            }
+            wss.handleUpgrade(request, socket, head, (ws) => handleLogsSocket(ws, logsMatch[1], query));
+        } else if (isEvents) {
+            if (!AuthModule.hasRole(user, Role.VIEWER, query.service)) {
+                socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+                return;
+            }
+            wss.handleUpgrade(request, socket, head, (ws) => handleEventsSocket(ws, user, query));
+        } else if (isTail) {
+            // Access is checked for each subscription
+            wss.handleUpgrade(request, socket, head, (ws) => handleTailSocket(ws, user));
+        } else {
+            const job = JobModule.get(jobsMatch[1]);
+            if (!job) {
+                socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+                return;
+            }
+            if (!AuthModule.hasRole(user, Role.VIEWER, job.service)) {
+                socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+                return;
+            }
+            wss.handleUpgrade(request, socket, head, (ws) => handleJobSocket(ws, job.id));
+        }
+    });
+}
+
+/**
+ * Reads the log search options of a request.
+ * @param {Object} params - Query string or request body
+ * @returns {import('../dockerModule').LogQuery}
+ */
+function getLogSearchQuery({ search, ignoreCase, exclude, levels, before, after }) {
+    return {
+        search: search || '',
+        ignoreCase: ignoreCase === true || ignoreCase === 'true',
+        exclude: exclude || '',
+        levels: levels || null,
+        before: parseInt(before, 10) || 0,
+        after: parseInt(after, 10) || 0,
+    };
+}
+
+/**
+ * Sends a page of log lines as JSON, or with ?format=ndjson as one {line, matches, entry} object per line while they
+ * are read, followed by the rest of the result, e.g. {total, truncated}. Errors after the first line are sent as a
+ * last {error} object. Searches add the `file` or the `context` of each line to its object.
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @param {(onLine?: import('../dockerModule').LogLineCallback) => Promise<Object>} read - Reads the page, streaming it to onLine if given
+ */
+async function sendLogLines(req, res, read) {
+    if (req.query.format !== 'ndjson') {
+        const result = await read();
+        if (result.success === false) {
+            return res.status(400).json({ error: result.message });
+        }
+        return res.json(result);
+    }
+
+    const write = (data) => {
+        if (!res.headersSent) res.type('application/x-ndjson');
+        return writeChunk(res, `${JSON.stringify(data)}\n`);
+    };
+
+    const result = await read((line, matches, entry, file, context) => write({ file, line, matches, entry, context }));
+    if (result.success === false) {
+        if (!res.headersSent) return res.status(400).json({ error: result.message });
+        await write({ error: result.message });
+    } else {
+        const { lines, matches, entries, files, contexts, ...summary } = result;
+        await write(summary);
+    }
+    res.end();
+}
+
+/**
+ * Writes to a stream, resolving once it took the data or is gone.
+ * @param {import('stream').Writable} stream
+ * @param {string} chunk
+ * @returns {Promise<boolean>} False if the stream is gone, reading should stop then
+ */
+function writeChunk(stream, chunk) {
+    return new Promise((resolve) => {
+        if (stream.destroyed) return resolve(false);
+        if (stream.write(chunk)) return resolve(true);
+        const done = () => {
+            stream.off('drain', done);
+            stream.off('close', done);
+            resolve(!stream.destroyed);
+        };
+        stream.on('drain', done);
+        stream.on('close', done);
+    });
+}
+
+/**
+ * Sends a log file as a download. Unfiltered text and gzip downloads are copied from the file as is, otherwise the
+ * lines are read one by one; NDJSON has one {line, matches, entry} object per line.
+ * A failure after the download started aborts the response, so a cut file is not mistaken for a complete one.
+ * @param {express.Response} res
+ * @param {string} serviceName
+ * @param {string} file
+ * @param {'text'|'ndjson'|'gzip'} format
+ * @param {string|null} from
+ * @param {string|null} to
+ * @param {import('../dockerModule').LogQuery} query
+ */
+async function sendLogExport(res, serviceName, file, format, from, to, query) {
+    const { extension, contentType } = LOG_EXPORT_FORMATS[format];
+    const download = () => res.attachment(`${serviceName}-${file.replace(/\.gz$/, '')}${extension}`).type(contentType);
+    const isFiltered = from || to || query.search || query.exclude || (query.levels && query.levels.length > 0);
+
+    if (!isFiltered && format !== 'ndjson') {
+        const opened = await DockerModule.createLogReadStream(serviceName, file);
+        if (!opened.success) {
+            return res.status(400).json({ error: opened.message });
+        }
+        download();
+        return await pipeline(opened.stream, ...(format === 'gzip' ? [zlib.createGzip()] : []), res);
+    }
+
+    const output = format === 'gzip' ? zlib.createGzip() : res;
+    let done = null;
+    const start = () => {
+        if (done) return;
+        download();
+        done = output === res ? Promise.resolve() : pipeline(output, res);
+    };
+    const result = await DockerModule.exportLogLines(serviceName, file, from, to, query, (line, matches, entry) => {
+        start();
+        return writeChunk(output, format === 'ndjson' ? `${JSON.stringify({ line, matches, entry })}\n` : `${line}\n`);
+    });
+    if (result.success === false) {
+        if (!done) return res.status(400).json({ error: result.message });
+        output.destroy(new Error(result.message));
+        return await done.catch(() => {});
+    }
+    // An export without lines still downloads an empty file
+    start();
+    output.end();
+    await done;
+}
+
+/**
+ * Answers with a 500, or ends the response if a stream was already started.
+ * @param {express.Response} res
+ * @param {Error} error
+ */
+function sendStreamError(res, error) {
+    if (!res.headersSent) return res.status(500).json({ error: error.message });
+    res.end(`${JSON.stringify({ error: error.message })}\n`);
+}
+
+/**
+ * Streams new lines of a log file matching ?search=&ignoreCase=&exclude=&levels= to the socket, with ?before=&after=
+ * lines of context around them. Lines are sent as plain text, or with ?format=json as {line, matches, entry, isContext}
+ * messages where `isContext` tells context lines from matches.
+ * @param {WebSocket} ws
+ * @param {string} serviceName
+ * @param {Object} query
+ */
+async function handleLogsSocket(ws, serviceName, query) {
+    const file = query.file;
+    const isJson = query.format === 'json';
+
+    if (!file) {
+        ws.close(1008, 'File query parameter is required');
+        return;
+    }
+
+    const unwatch = await DockerModule.monitorServiceLogs(serviceName, file, (logLine, matches, entry, isContext) => {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(isJson ? JSON.stringify({ line: logLine, matches, entry, isContext }) : logLine);
+        }
+    }, getLogSearchQuery(query), (error) => {
+        // Close reasons are limited to 123 bytes, JSON clients get the full message
+        if (isJson && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ error: error.message }));
+        ws.close(1008, 'Tailing the log file failed');
+    });
+
+    ws.on('close', () => {
+        console.log('Client disconnected, stopping log watch.');
+        unwatch();
+    });
+
+    ws.on('error', (error) => {
+        console.error('WebSocket error:', error);
+        unwatch();
+    });
+}
+
+/**
+ * Tails several log files, of any services the user can view, over one socket. The client sends JSON messages:
+ * - {type: "subscribe", id, service, file, search?, ignoreCase?, exclude?, levels?, before?, after?, backfill?,
+ *   position?, cursor?}
+ * - {type: "unsubscribe", id}
+ * and receives {type: "subscribed"|"unsubscribed", id}, {type: "line", id, service, file, line, matches, entry, isContext}
+ * for each line, {type: "reset", id, service, file, reason} when the file was rotated or truncated and
+ * {type: "error", id, message} when a subscription failed or ended.
+ * A subscription first sends the last `backfill` matching lines, or after a reconnect the lines written since the
+ * `position` or `cursor` of the last {type: "position", id, position, cursor} message it received. Lines sent after that
+ * message are sent again.
+ * @param {WebSocket} ws
+ * @param {Object} user
+ */
+function handleTailSocket(ws, user) {
+    /** @type {Map<string, () => void>} Stop functions by subscription id, a no-op while subscribing */
+    const subscriptions = new Map();
+    const send = (message) => {
+        if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+    };
+    const unsubscribe = (id) => {
+        const stop = subscriptions.get(id);
+        subscriptions.delete(id);
+        if (stop) stop();
+    };
+
+    const subscribe = async (id, { service, file, backfill, position, cursor, ...query }) => {
+        if (typeof service !== 'string' || typeof file !== 'string' || !service || !file) {
+            send({ type: 'error', id, message: 'Service and file are required.' });
+            return;
+        }
+        if (!AuthModule.hasRole(user, Role.VIEWER, service)) {
+            send({ type: 'error', id, message: `Access to service "${service}" denied.` });
+            return;
+        }
+        if (subscriptions.size >= TAIL_MAX_SUBSCRIPTIONS) {
+            send({ type: 'error', id, message: `At most ${TAIL_MAX_SUBSCRIPTIONS} files can be tailed at once.` });
+            return;
+        }
+        const placeholder = () => {};
+        subscriptions.set(id, placeholder);
+
+        let failed = false;
+        let stop = null;
+        stop = await DockerModule.monitorServiceLogs(service, file, (line, matches, entry, isContext) => {
+            send({ type: 'line', id, service, file, line, matches, entry, isContext });
+        }, getLogSearchQuery(query), (error) => {
+            failed = true;
+            if (subscriptions.get(id) === placeholder || subscriptions.get(id) === stop) subscriptions.delete(id);
+            send({ type: 'error', id, message: error.message });
+        }, {
+            onReset: (reason) => send({ type: 'reset', id, service, file, reason }),
+            onPosition: (tailPosition) => send({ type: 'position', id, position: tailPosition.offset, cursor: tailPosition.cursor }),
+            backfill,
+            resume: cursor ?? position,
+        });
+        if (failed) return;
+        // Unsubscribed or disconnected while subscribing
+        if (subscriptions.get(id) !== placeholder || ws.readyState !== WebSocket.OPEN) {
+            stop();
+            return;
+        }
+        subscriptions.set(id, stop);
+        send({ type: 'subscribed', id });
+    };
+
+    ws.on('message', (data) => {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            message = null;
+        }
+        const id = message && (typeof message.id === 'string' || typeof message.id === 'number') ? String(message.id) : null;
+        if (!id) {
+            send({ type: 'error', id: null, message: 'Messages have to be JSON objects with an id.' });
+        } else if (message.type === 'subscribe') {
+            if (subscriptions.has(id)) {
+                send({ type: 'error', id, message: `Subscription "${id}" already exists.` });
+                return;
+            }
+            subscribe(id, message).catch((error) => {
+                subscriptions.delete(id);
+                send({ type: 'error', id, message: error.message });
             });
+        } else if (message.type === 'unsubscribe') {
+            unsubscribe(id);
+            send({ type: 'unsubscribed', id });
         } else {
-            socket.destroy();
+            send({ type: 'error', id, message: `Unknown message type "${message.type}".` });
+        }
+    });
+
+    const stopAll = () => {
+        for (const id of [...subscriptions.keys()]) unsubscribe(id);
+    };
+    ws.on('close', stopAll);
+    ws.on('error', (error) => {
+        console.error('WebSocket error:', error);
+        stopAll();
+    });
+}
+
+/**
+ * Sends the output collected so far for a job, then streams new lines and status changes
+ * as JSON messages. The socket is closed once the job has finished.
+ * @param {WebSocket} ws
+ * @param {string} jobId
+ */
+function handleJobSocket(ws, jobId) {
+    const isFinished = (job) => job.status === JobModule.JobStatus.SUCCEEDED || job.status === JobModule.JobStatus.FAILED;
+    const send = (message) => {
+        if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+    };
+
+    // Snapshot and subscribe in the same tick so no line is lost or sent twice
+    const { output, ...job } = JobModule.get(jobId);
+    const unsubscribe = JobModule.subscribe(jobId, (event) => {
+        send(event);
+        if (event.type === 'status' && isFinished(event.job)) {
+            ws.close(1000, 'Job finished');
         }
     });
+
+    for (const line of output) {
+        send({ type: 'line', line });
+    }
+    send({ type: 'status', job });
+    if (isFinished(job)) {
+        ws.close(1000, 'Job finished');
+    }
+
+    ws.on('close', unsubscribe);
+    ws.on('error', (error) => {
+        console.error('WebSocket error:', error);
+        unsubscribe();
+    });
+}
+
+/**
+ * Streams service events (container started, died, OOM-killed, health changed) as JSON messages,
+ * limited to the services the user can access and optionally to `?service=`.
+ * @param {WebSocket} ws
+ * @param {Object} user
+ * @param {Object} query
+ */
+function handleEventsSocket(ws, user, query) {
+    const unsubscribe = EventModule.subscribe((event) => {
+        if (ws.readyState !== WebSocket.OPEN) return;
+        // Resync events concern every service
+        if (event.service && (!AuthModule.canAccessService(user, event.service) || (query.service && event.service !== query.service))) return;
+        ws.send(JSON.stringify(event));
+    });
+
+    ws.on('close', unsubscribe);
+    ws.on('error', (error) => {
+        console.error('WebSocket error:', error);
+        unsubscribe();
+    });
 }
 
 module.exports = { startServer };
\ No newline at end of file
@@ -0,0 +1,118 @@
+const path = require('path');
+const fs = require('fs');
+const readline = require('readline');
+
+class AuditModule {
+    #auditFile;
+
+    constructor() {
+        const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+        this.#auditFile = process.env.AUDIT_FILE || path.join(dataDir, 'audit.log');
+    }
+
+    /**
+     * @typedef {Object} AuditEntry
+     * @property {number} time - Unix timestamp in milliseconds
+     * @property {string} user - Username of the actor, "system" for internal actions
+     * @property {string} [service]
+     * @property {string} action - e.g. "POWER_STOP", "ENV_WRITE", "SERVICE_CREATE"
+     * @property {boolean} success
+     * @property {string} message
+     * @property {string} [stderr]
+     * @property {EnvDiff} [envDiff]
+     * @property {Object} [details]
+     */
+
+    /**
+     * Appends an entry to the audit log. Failures are logged but never thrown,
+     * so auditing cannot break the action being audited.
+     * @param {Omit<AuditEntry, 'time'>} entry
+     * @returns {Promise<void>}
+     */
+    async record(entry) {
+        const line = JSON.stringify({ time: Date.now(), ...entry });
+        try {
+            await fs.promises.mkdir(path.dirname(this.#auditFile), { recursive: true });
+            await fs.promises.appendFile(this.#auditFile, `${line}\n`, 'utf-8');
+        } catch (error) {
+            console.error(`Error writing audit log: ${error.message}`);
+            console.error(`Audit entry: ${line}`);
+        }
+    }
+
+    /**
+     * Reads the audit log, newest entries first.
+     * @param {Object} [filter]
+     * @param {string} [filter.service]
+     * @param {string} [filter.user]
+     * @param {string} [filter.action] - Case-insensitive, matches entries whose action starts with this value
+     * @param {string|number} [filter.from]
+     * @param {string|number} [filter.to]
+     * @param {number} [filter.limit=500]
+     * @param {(entry: AuditEntry) => boolean} [filter.predicate] - Additional filter, e.g. for permissions
+     * @returns {Promise<Array<AuditEntry>>}
+     */
+    async query({ service, user, action, from, to, limit = 500, predicate } = {}) {
+        if (!fs.existsSync(this.#auditFile)) return [];
+
+        const fromTs = from ? new Date(isNaN(from) ? from : Number(from)).getTime() : null;
+        const toTs = to ? new Date(isNaN(to) ? to : Number(to)).getTime() : null;
+        const actionPrefix = action ? action.toUpperCase() : null;
+
+        const results = [];
+        const rl = readline.createInterface({
+            input: fs.createReadStream(this.#auditFile, { encoding: 'utf-8' }),
+            crlfDelay: Infinity,
+        });
+
+        for await (const line of rl) {
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (e) {
+                continue; // Ignore a partially written line
+            }
+
+            if (service && entry.service !== service) continue;
+            if (user && entry.user !== user) continue;
+            if (actionPrefix && !String(entry.action).toUpperCase().startsWith(actionPrefix)) continue;
+            if (fromTs && entry.time < fromTs) continue;
+            if (toTs && entry.time > toTs) continue;
+            if (predicate && !predicate(entry)) continue;
+
+            results.push(entry);
+            // Only the newest `limit` entries are kept
+            if (results.length > limit) results.shift();
+        }
+
+        return results.reverse();
+    }
+
+    /**
+     * @typedef {Object} EnvDiff
+     * @property {Object.<string, string>} added
+     * @property {Object.<string, string>} removed
+     * @property {Object.<string, {before: string, after: string}>} changed
+     */
+
+    /**
+     * @param {Object.<string, string>} before
+     * @param {Object.<string, string>} after
+     * @returns {EnvDiff}
+     */
+    diffEnv(before, after) {
+        const diff = { added: {}, removed: {}, changed: {} };
+        for (const [key, value] of Object.entries(after)) {
+            if (!(key in before)) diff.added[key] = value;
+            else if (String(before[key]) !== String(value)) diff.changed[key] = { before: before[key], after: value };
+        }
+        for (const [key, value] of Object.entries(before)) {
+            if (!(key in after)) diff.removed[key] = value;
+        }
+        return diff;
+    }
+}
+
+module.exports = new AuditModule();
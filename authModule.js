@@ -0,0 +1,288 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const scryptAsync = promisify(crypto.scrypt);
+const AuditModule = require('./auditModule');
+
+let Role = Object.freeze({
+    VIEWER: "viewer",
+    OPERATOR: "operator",
+    ADMIN: "admin",
+});
+
+// Higher level includes every permission of the lower ones
+const ROLE_LEVEL = Object.freeze({
+    [Role.VIEWER]: 1,
+    [Role.OPERATOR]: 2,
+    [Role.ADMIN]: 3,
+});
+
+const USERNAME_REGEX = /^[a-zA-Z0-9_.-]{1,64}$/;
+
+class AuthModule {
+    #usersFile;
+    #sessionTtlMs;
+    /** @type {Map<string, {username: string, expiresAt: number}>} */
+    #sessions = new Map();
+
+    Role = Role;
+
+    constructor() {
+        const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+        this.#usersFile = process.env.USERS_FILE || path.join(dataDir, 'users.json');
+        this.#sessionTtlMs = (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+    }
+
+    /**
+     * @typedef {Object} StoredUser
+     * @property {string} username
+     * @property {'viewer'|'operator'|'admin'} role
+     * @property {Array<string>} [services] - Services the user may access. Omitted means all services.
+     * @property {{salt: string, hash: string}} password
+     *
+     * @typedef {Omit<StoredUser, 'password'>} User
+     */
+
+    /**
+     * Reads the user file. If it does not exist yet and ADMIN_PASSWORD is set,
+     * an initial admin account is created from ADMIN_USERNAME / ADMIN_PASSWORD.
+     * @returns {Promise<Array<StoredUser>>}
+     */
+    async #loadUsers() {
+        if (!fs.existsSync(this.#usersFile)) {
+            if (!process.env.ADMIN_PASSWORD) return [];
+
+            const username = process.env.ADMIN_USERNAME || 'admin';
+            const users = [{
+                username,
+                role: Role.ADMIN,
+                password: await this.#hashPassword(process.env.ADMIN_PASSWORD),
+            }];
+            await this.#saveUsers(users);
+            console.log(`Created initial admin user "${username}" in ${this.#usersFile}`);
+            return users;
+        }
+
+        const content = await fs.promises.readFile(this.#usersFile, 'utf-8');
+        return JSON.parse(content).users || [];
+    }
+
+    /**
+     * @param {Array<StoredUser>} users
+     */
+    async #saveUsers(users) {
+        await fs.promises.mkdir(path.dirname(this.#usersFile), { recursive: true });
+        await fs.promises.writeFile(this.#usersFile, JSON.stringify({ users }, null, 2), { encoding: 'utf-8', mode: 0o600 });
+    }
+
+    /**
+     * @param {string} password
+     * @param {string} [salt] - Hex salt, generated when omitted.
+     * @returns {Promise<{salt: string, hash: string}>}
+     */
+    async #hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+        const hash = await scryptAsync(password, salt, 64);
+        return { salt, hash: hash.toString('hex') };
+    }
+
+    /**
+     * @param {Array<StoredUser>} users
+     * @param {StoredUser} user
+     * @returns {boolean}
+     */
+    #isLastAdmin(users, user) {
+        return user.role === Role.ADMIN && users.filter(u => u.role === Role.ADMIN).length === 1;
+    }
+
+    /**
+     * @param {StoredUser} user
+     * @returns {User}
+     */
+    #toPublicUser(user) {
+        const { password, ...publicUser } = user;
+        return publicUser;
+    }
+
+    /**
+     * @param {string} username
+     * @param {string} password
+     * @returns {Promise<{success: boolean, message: string, token?: string, user?: User, expiresAt?: number}>}
+     */
+    async login(username, password) {
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return { success: false, message: 'Username and password are required' };
+        }
+
+        const users = await this.#loadUsers();
+        const user = users.find(u => u.username === username);
+
+        // Hash even for unknown users so response time does not reveal which usernames exist
+        const { hash } = await this.#hashPassword(password, user ? user.password.salt : crypto.randomBytes(16).toString('hex'));
+        if (!user || !crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.password.hash, 'hex'))) {
+            console.error(`Error: Failed login attempt for user "${username}"`);
+            return { success: false, message: 'Invalid username or password' };
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = Date.now() + this.#sessionTtlMs;
+        this.#sessions.set(token, { username, expiresAt });
+        console.log(`User "${username}" logged in`);
+
+        return { success: true, message: 'Logged in', token, user: this.#toPublicUser(user), expiresAt };
+    }
+
+    /**
+     * @param {string} token
+     */
+    logout(token) {
+        this.#sessions.delete(token);
+    }
+
+    /**
+     * Resolves a session token to its user. The user file is re-read so role changes apply immediately.
+     * @param {string} token
+     * @returns {Promise<User|null>}
+     */
+    async authenticate(token) {
+        if (!token) return null;
+
+        const session = this.#sessions.get(token);
+        if (!session) return null;
+        if (session.expiresAt < Date.now()) {
+            this.#sessions.delete(token);
+            return null;
+        }
+
+        const user = (await this.#loadUsers()).find(u => u.username === session.username);
+        if (!user) {
+            // User was deleted while logged in
+            this.#sessions.delete(token);
+            return null;
+        }
+        return this.#toPublicUser(user);
+    }
+
+    /**
+     * Checks whether a user has at least the given role, optionally for a specific service.
+     * Admins may access every service; other users only the services they are assigned to.
+     * @param {User} user
+     * @param {'viewer'|'operator'|'admin'} role
+     * @param {string} [serviceName]
+     * @returns {boolean}
+     */
+    hasRole(user, role, serviceName) {
+        if (!user || !(ROLE_LEVEL[user.role] >= ROLE_LEVEL[role])) return false;
+        if (!serviceName || user.role === Role.ADMIN) return true;
+        return this.canAccessService(user, serviceName);
+    }
+
+    /**
+     * @param {User} user
+     * @param {string} serviceName
+     * @returns {boolean}
+     */
+    canAccessService(user, serviceName) {
+        if (!user) return false;
+        if (user.role === Role.ADMIN || !Array.isArray(user.services)) return true;
+        return user.services.includes(serviceName);
+    }
+
+    /**
+     * @returns {Promise<Array<User>>}
+     */
+    async listUsers() {
+        return (await this.#loadUsers()).map(user => this.#toPublicUser(user));
+    }
+
+    /**
+     * Creates a user or updates an existing one. The password may be omitted when updating.
+     * @param {{username: string, password?: string, role: string, services?: Array<string>}} userData
+     * @param {string} [actor='system'] - Username recorded in the audit log
+     * @returns {Promise<{success: boolean, message: string, user?: User}>}
+     */
+    async saveUser(userData, actor = 'system') {
+        const result = await this.#saveUser(userData);
+        const { username, role, services } = userData;
+        await AuditModule.record({
+            user: actor,
+            action: 'USER_SAVE',
+            success: result.success,
+            message: result.message,
+            details: { username, role, services, passwordChanged: userData.password !== undefined },
+        });
+        return result;
+    }
+
+    /**
+     * @param {{username: string, password?: string, role: string, services?: Array<string>}} userData
+     * @returns {Promise<{success: boolean, message: string, user?: User}>}
+     */
+    async #saveUser({ username, password, role, services }) {
+        if (typeof username !== 'string' || !USERNAME_REGEX.test(username)) {
+            return { success: false, message: 'Username may only contain letters, digits, ".", "-" and "_".' };
+        }
+        if (!Object.values(Role).includes(role)) {
+            return { success: false, message: `Invalid role "${role}". Valid roles are: ${Object.values(Role).join(', ')}` };
+        }
+        if (services !== undefined && services !== null && (!Array.isArray(services) || !services.every(s => typeof s === 'string'))) {
+            return { success: false, message: 'services must be a list of service names' };
+        }
+        if (password !== undefined && (typeof password !== 'string' || password.length < 8)) {
+            return { success: false, message: 'Password must be at least 8 characters long' };
+        }
+
+        const users = await this.#loadUsers();
+        const existing = users.find(u => u.username === username);
+        if (!existing && password === undefined) {
+            return { success: false, message: 'Password is required for new users' };
+        }
+        if (existing && role !== Role.ADMIN && this.#isLastAdmin(users, existing)) {
+            return { success: false, message: 'Cannot demote the last admin' };
+        }
+
+        const user = {
+            username,
+            role,
+            ...(Array.isArray(services) ? { services } : {}),
+            password: password !== undefined ? await this.#hashPassword(password) : existing.password,
+        };
+
+        await this.#saveUsers(existing ? users.map(u => (u === existing ? user : u)) : [...users, user]);
+        return { success: true, message: existing ? 'User updated' : 'User created', user: this.#toPublicUser(user) };
+    }
+
+    /**
+     * @param {string} username
+     * @param {string} [actor='system'] - Username recorded in the audit log
+     * @returns {Promise<{success: boolean, message: string}>}
+     */
+    async deleteUser(username, actor = 'system') {
+        const result = await this.#deleteUser(username);
+        await AuditModule.record({ user: actor, action: 'USER_DELETE', success: result.success, message: result.message, details: { username } });
+        return result;
+    }
+
+    /**
+     * @param {string} username
+     * @returns {Promise<{success: boolean, message: string}>}
+     */
+    async #deleteUser(username) {
+        const users = await this.#loadUsers();
+        const user = users.find(u => u.username === username);
+        if (!user) {
+            return { success: false, message: 'User not found' };
+        }
+        if (this.#isLastAdmin(users, user)) {
+            return { success: false, message: 'Cannot delete the last admin' };
+        }
+
+        await this.#saveUsers(users.filter(u => u.username !== username));
+        for (const [token, session] of this.#sessions) {
+            if (session.username === username) this.#sessions.delete(token);
+        }
+        return { success: true, message: 'User deleted' };
+    }
+}
+
+module.exports = new AuthModule();
@@ -1,34 +1,110 @@
-const { exec } = require('child_process');
+const { exec, spawn } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
 const path = require('path');
 const fs = require('fs');
+const zlib = require('zlib');
+const { Readable } = require('stream');
 const crypto = require('crypto');
-const tail = require('tail').Tail;
 const moment = require('moment-timezone');
 const { parse, stringify } = require('envfile');
 const EnvUtils = require('./utils/envUtils');
 const YmlUtils = require('./utils/ymlUtils');
 const ConfigUtils = require('./utils/configUtils');
+const LogSearchUtils = require('./utils/logSearchUtils');
+const LogParseUtils = require('./utils/logParseUtils');
+const TimestampUtils = require('./utils/timestampUtils');
+const LogReadUtils = require('./utils/logReadUtils');
+const AuditModule = require('./auditModule');
+const JobModule = require('./jobModule');
 
 let PowerAction = Object.freeze({
     START: "START",
     STOP: "STOP",
     RESTART: "RESTART",
+    DOWN: "DOWN",
+    UP: "UP",
+    PULL: "PULL",
+    BUILD: "BUILD",
 });
 
-let processingPowerAction = new Set();
+let ServiceStatus = Object.freeze({
+    UP: "Up",
+    DOWN: "Down",
+    STARTING: "Starting",
+    UNHEALTHY: "Unhealthy",
+    CRASH_LOOPING: "CrashLooping",
+    PAUSED: "Paused",
+    DEGRADED: "Degraded",
+    UNKNOWN: "Unknown",
+});
+
+// Lines collected for one response are capped at this many characters
+const LOG_READ_MAX_BYTES = parseInt(process.env.LOG_READ_MAX_BYTES, 10) || 16 * 1024 * 1024;
+// Lines passed to the search query at once
+const LOG_FILTER_BATCH_SIZE = 1000;
+const LOG_HISTOGRAM_MAX_BUCKETS = 1000;
+// Lines of context read before and after a line at most
+const LOG_CONTEXT_MAX_LINES = 1000;
+// Histograms kept in the timecache of each log file, the oldest is dropped first
+const LOG_HISTOGRAM_CACHE_SIZE = 10;
+// A tailed entry is sent once the next one starts or no line continued it for this many milliseconds
+const LOG_TAIL_ENTRY_WAIT_MS = 200;
+// Lines continuing a tailed entry are dropped beyond this many characters
+const LOG_TAIL_ENTRY_MAX_BYTES = 1024 * 1024;
+// Entries sent before the live lines of a tail at most, found within the last LOG_READ_MAX_BYTES of the file
+const LOG_TAIL_BACKFILL_MAX_LINES = 1000;
+// How often the position of a tail is acknowledged, if it moved
+const LOG_TAIL_ACK_INTERVAL_MS = 5000;
+
+// A container that restarted this often and has been up for less than CRASH_LOOP_UPTIME seconds is crash-looping
+const CRASH_LOOP_RESTARTS = 3;
+const CRASH_LOOP_UPTIME = 60;
+
+// docker-compose invocations of each power action, run one after another
+const POWER_ACTION_COMMANDS = Object.freeze({
+    [PowerAction.START]: ['start'],
+    [PowerAction.STOP]: ['stop'],
+    [PowerAction.RESTART]: ['restart'],
+    [PowerAction.DOWN]: ['down'],
+    [PowerAction.UP]: ['up -d --force-recreate'],
+    // `up -d` recreates the containers whose image changed
+    [PowerAction.PULL]: ['pull', 'up -d'],
+    [PowerAction.BUILD]: ['build', 'up -d'],
+});
+
+// Services are the directories directly inside CONTAINER_DIR; the name is used in shell commands, so it is limited to
+// characters that need no quoting. Uppercase is allowed for older services, new ones are limited further by ConfigUtils
+const SERVICE_NAME_PATTERN = '[A-Za-z0-9][A-Za-z0-9_.-]*';
+const SERVICE_NAME_REGEX = new RegExp(`^${SERVICE_NAME_PATTERN}$`);
+// <service>-<YYYYMMDD-HHmmss>.tar.gz, as written by deleteService
+const ARCHIVE_NAME_REGEX = new RegExp(`^(${SERVICE_NAME_PATTERN})-(\\d{8}-\\d{6})\\.tar\\.gz$`);
 
 class DockerModule {
     #containerDir;
+    #archiveDir;
+    /** @type {Map<string, Array<ServiceOperation>>} Per-service queues, the first entry is the running operation */
+    #operations = new Map();
+    /** @type {{containers: Map<string, Array<ContainerSummary>>|null, error: string|null, updatedAt: number}} */
+    #containerCache = { containers: null, error: null, updatedAt: 0 };
+    /** @type {Promise<void>|null} Refresh in progress, shared by concurrent callers */
+    #containerRefresh = null;
+    #statusRefreshInterval;
+    #statusRefreshTimer = null;
+    #lastStatusRequestAt = 0;
 
     PowerAction = PowerAction;
+    ServiceStatus = ServiceStatus;
 
     constructor() {
         this.#containerDir = process.env.CONTAINER_DIR;
         if (!this.#containerDir) {
             throw new Error('Error: Environment variable CONTAINER_DIR is not set (please check the .env file)');
         }
+
+        const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+        this.#archiveDir = process.env.ARCHIVE_DIR || path.join(dataDir, 'archive');
+        this.#statusRefreshInterval = parseInt(process.env.STATUS_REFRESH_INTERVAL_MS, 10) || 5000;
     }
 
     /**
@@ -39,57 +115,32 @@ class DockerModule {
      * @param {number} targetTimeTs
      * @param {boolean} findStart - If true, find first log >= time. If false, acts as upper bound.
      * @param {number} minOffset - Optimization: don't search before this offset
+     * @param {import('./utils/timestampUtils').TimestampParser} parseTimestamp
      * @return {Promise<number>} Byte offset
      */
-    async #findOffsetByTime(fileHandle, fileSize, targetTimeTs, findStart, minOffset = 0) {
+    async #findOffsetByTime(fileHandle, fileSize, targetTimeTs, findStart, minOffset, parseTimestamp) {
         let low = minOffset;
         let high = fileSize;
         let resultOffset = fileSize;
 
-        // Buffer size for reading timestamps (enough to cover a full line's date part)
-        const CHUNK_SIZE = 256; 
-
         while (low < high) {
             // Calculate mid point
             let mid = Math.floor((low + high) / 2);
 
-            // Adjust mid to find the start of a line
-            // We read a chunk around mid
-            const searchStart = Math.max(0, mid - CHUNK_SIZE);
-            const buffer = Buffer.alloc(CHUNK_SIZE * 2); // Read enough context
-            
-            const { bytesRead } = await fileHandle.read(buffer, 0, buffer.length, searchStart);
-            if (bytesRead === 0) break;
-
-            const chunkString = buffer.toString('utf-8', 0, bytesRead);
-            
-            // Find the first newline after our 'mid' point relative to the chunk
-            // If mid is 1000, searchStart might be 800. We want the first \n after offset 200 in buffer.
-            const relativeMid = mid - searchStart;
-            const newlineIndex = chunkString.indexOf('\n', relativeMid);
-
-            let lineStartOffset;
+            // The first line starting at or after mid, found by bytes as lines may hold multi-byte characters
+            // and may be longer than any fixed chunk
+            let lineStartOffset = await LogReadUtils.findLineStart(fileHandle, mid, fileSize);
             let logTimeTs = null;
 
-            if (newlineIndex !== -1) {
-                // The actual start of the next line in the file
-                lineStartOffset = searchStart + newlineIndex + 1;
-                
-                // Extract date from this line
-                // We need to read a bit more from this exact position to ensure we have the date string
-                logTimeTs = await this.#extractTimeAtOffset(fileHandle, lineStartOffset);
-            } else {
-                // No newline found forward? We might be at the very end of file or a huge line.
-                // For log files, this usually means end of file or check slightly earlier.
-                // Strategy: assume end of file for this search context
-                lineStartOffset = fileSize; 
+            if (lineStartOffset < fileSize) {
+                logTimeTs = await this.#extractTimeAtOffset(fileHandle, lineStartOffset, parseTimestamp);
             }
 
             // If we couldn't parse a time (e.g. stack trace line or EOF), 
             // we need a strategy. Assuming logs are mostly time-ordered:
             // If no time found, we scan forward linearly briefly until we find one.
             if (logTimeTs === null && lineStartOffset < fileSize) {
-                const { nextTs, nextOffset } = await this.#scanForwardForTime(fileHandle, lineStartOffset, fileSize);
+                const { nextTs, nextOffset } = await this.#scanForwardForTime(fileHandle, lineStartOffset, fileSize, parseTimestamp);
                 if (nextTs !== null) {
                     logTimeTs = nextTs;
                     lineStartOffset = nextOffset; // Adjust our pivot to this valid line
@@ -122,36 +173,28 @@ class DockerModule {
      * Returns null if invalid format.
      * @param {fs.FileHandle} fileHandle 
      * @param {number} offset 
+     * @param {import('./utils/timestampUtils').TimestampParser} parseTimestamp
      * @return {Promise<number|null>} Timestamp or null
      */
-    async #extractTimeAtOffset(fileHandle, offset) {
-        const buffer = Buffer.alloc(100); // Date part is usually < 50 chars
-        const { bytesRead } = await fileHandle.read(buffer, 0, 100, offset);
+    async #extractTimeAtOffset(fileHandle, offset, parseTimestamp) {
+        const buffer = Buffer.alloc(256); // Enough for the timestamp and any prefix a custom pattern skips
+        const { bytesRead } = await fileHandle.read(buffer, 0, 256, offset);
         if (bytesRead === 0) return null;
 
-        const lineStr = buffer.toString('utf-8');
-        
-        // Regex matching: "11/21/2025, 4:57:52 AM"
-        // Note: Added ^ to ensure match at start of line
-        const timeRegex = /^(\d{1,2}\/\d{1,2}\/\d{4}, \d{1,2}:\d{2}:\d{2} (?:AM|PM))/;
-        const match = lineStr.match(timeRegex);
-
-        if (match) {
-            const dateString = match[1];
-            const tz = moment.tz.guess();
-            const ts = moment.tz(dateString, "MM/DD/YYYY, hh:mm:ss A", tz).valueOf();
-            return isNaN(ts) ? null : ts;
-        }
-        return null;
+        const lineStr = buffer.toString('utf-8', 0, bytesRead).split('\n')[0];
+        const timestamp = parseTimestamp(lineStr);
+        return timestamp ? timestamp.time : null;
     }
 
     /**
      * Helper: If we landed on a line without a timestamp (e.g. stack trace),
      * scan forward line-by-line until we find a timestamp.
      */
-    async #scanForwardForTime(fileHandle, startOffset, fileSize) {
+    async #scanForwardForTime(fileHandle, startOffset, fileSize, parseTimestamp) {
         let currentOffset = startOffset;
         const buffer = Buffer.alloc(512); // Scan in 512 byte chunks
+        // False while inside a line longer than a chunk, its remainder is skipped
+        let isLineStart = true;
 
         while (currentOffset < fileSize) {
             const { bytesRead } = await fileHandle.read(buffer, 0, 512, currentOffset);
@@ -159,53 +202,69 @@ class DockerModule {
             
             const chunk = buffer.toString('utf-8', 0, bytesRead);
             const lines = chunk.split('\n');
+            const isFileEnd = currentOffset + bytesRead >= fileSize;
             
             let localOffset = 0;
-            // Start from index 0 because currentOffset is already aligned to a line start (ideally)
-            // checking all lines in this chunk
-            for (let i = 0; i < lines.length; i++) {
+            // Check all complete lines of the chunk. The last part is cut off by the chunk end unless the file
+            // ends there; it is read again as a whole line with the next chunk, as a fragment of a line could
+            // look like a timestamp (e.g. epoch seconds).
+            const lastLine = isFileEnd ? lines.length : lines.length - 1;
+            for (let i = 0; i < Math.max(lastLine, 1); i++) {
                 const line = lines[i];
-                // Calculate absolute offset of this line
-                // Note: split removes \n, so we add +1 for calculation except for last part
-                
-                const timeRegex = /^(\d{1,2}\/\d{1,2}\/\d{4}, \d{1,2}:\d{2}:\d{2} (?:AM|PM))/;
-                const match = line.match(timeRegex);
-                
-                if (match) {
-                    const dateString = match[1];
-                    const tz = moment.tz.guess();
-                    const ts = moment.tz(dateString, "MM/DD/YYYY, hh:mm:ss A", tz).valueOf();
-                    if (!isNaN(ts)) {
-                        return { nextTs: ts, nextOffset: currentOffset + localOffset };
+                if (i > 0 || isLineStart) {
+                    const timestamp = parseTimestamp(line);
+                    if (timestamp) {
+                        return { nextTs: timestamp.time, nextOffset: currentOffset + localOffset };
                     }
                 }
+                // Advance offset, +1 for the newline removed by split
+                localOffset += Buffer.byteLength(line) + 1;
+            }
 
-                // Advance offset
-                localOffset += Buffer.byteLength(line) + 1; // +1 for newline
+            if (lines.length === 1) {
+                // No newline in this chunk: skip the rest of this long line
+                isLineStart = false;
+                currentOffset += bytesRead;
+            } else {
+                isLineStart = true;
+                currentOffset += localOffset;
             }
-            
-            // Move to next chunk, but be careful about split lines. 
-            // Simplified: Just jump forward. For strict correctness, readline is better, 
-            // but for "finding a nearby timestamp" this is acceptable.
-            currentOffset += 512;
         }
         return { nextTs: null, nextOffset: fileSize };
     }
 
+    /**
+     * @param {string} serviceName
+     * @returns {boolean} True if the name is a valid service directory name, see SERVICE_NAME_PATTERN
+     */
+    #isServiceName(serviceName) {
+        // The leading letter or digit also rules out '.' and '..'
+        return typeof serviceName === 'string' && SERVICE_NAME_REGEX.test(serviceName);
+    }
+
     /**
      * @param {string} serviceName 
      * @returns {Promise<boolean>}
      */
     async #checkServiceExists(serviceName) {
-        try{
-            if (!(await this.listServices()).includes(serviceName)) {
-            console.error(`Error: Service "${serviceName}" not found in the list of services.`);
+        if (!this.#isServiceName(serviceName)) {
+            console.error(`Error: Invalid service name "${serviceName}".`);
             return false;
         }
+        try {
+            const stats = await fs.promises.stat(path.join(this.#containerDir, serviceName));
+            if (!stats.isDirectory()) {
+                console.error(`Error: Service "${serviceName}" not found in the list of services.`);
+                return false;
+            }
         } catch (error) {
-            console.error(`Error checking service existence for "${serviceName}": ${error.message}`);
+            if (error.code === 'ENOENT') {
+                console.error(`Error: Service "${serviceName}" not found in the list of services.`);
+            } else {
+                console.error(`Error checking service existence for "${serviceName}": ${error.message}`);
+            }
             return false;
-        }        
+        }
         return true;
     }
 
@@ -243,59 +302,508 @@ class DockerModule {
         }
     }
 
+    /**
+     * @typedef {Object} ContainerStatus
+     * @property {string} id - Short container id
+     * @property {string} name
+     * @property {string|null} service - Compose service the container belongs to
+     * @property {'created'|'running'|'restarting'|'exited'|'paused'|'removing'|'dead'} state
+     * @property {number|null} exitCode - Null while running
+     * @property {'starting'|'healthy'|'unhealthy'|null} health - Null without a health check
+     * @property {string|null} startedAt - ISO timestamp
+     * @property {string|null} finishedAt - ISO timestamp
+     * @property {number|null} uptime - Seconds since start, null if not running
+     * @property {number} restartCount
+     * @property {boolean} oomKilled
+     * @property {string} image
+     * @property {string|null} imageDigest - Repo digest of the image, null for locally built images
+     * @property {Object.<string, {ipv4: string|null, ipv6: string|null}>} networks - Addresses by network name
+     *
+     * @typedef {Object} ServiceStatusResult
+     * @property {string} status - One of ServiceStatus
+     * @property {Array<ContainerStatus>} containers
+     * @property {string} [message] - Set when the status could not be determined
+     */
+
+    /**
+     * Inspects all containers of a service, including stopped ones.
+     * @param {string} serviceName
+     * @returns {Promise<ServiceStatusResult>}
+     */
+    async getServiceStatus(serviceName) {
+        if (!serviceName) {
+            console.error('Error: serviceName parameter is required');
+            return { status: ServiceStatus.UNKNOWN, containers: [], message: 'serviceName parameter is required' };
+        }
+        if (!(await this.#checkServiceExists(serviceName))) {
+            return { status: ServiceStatus.UNKNOWN, containers: [], message: 'Service not found' };
+        }
+
+        try {
+            const { stdout } = await execAsync(`docker ps -aq --no-trunc --filter "label=com.docker.compose.project=${serviceName}"`, {
+                env: process.env,
+                shell: '/bin/bash',
+                encoding: 'utf-8',
+            });
+            const ids = stdout.split('\n').map(id => id.trim()).filter(Boolean);
+            if (ids.length === 0) return { status: ServiceStatus.DOWN, containers: [] };
+
+            const inspected = await this.#dockerInspect('container', ids);
+            const imageIds = [...new Set(inspected.map(container => container.Image))];
+            const digests = new Map((await this.#dockerInspect('image', imageIds)).map(image => [image.Id, (image.RepoDigests || [])[0] || null]));
+
+            const containers = inspected.map(container => this.#toContainerStatus(container, digests.get(container.Image) || null));
+            return { status: this.#summarizeStatus(containers), containers };
+        } catch (error) {
+            console.error(`Error occurred while checking status (Service: ${serviceName}): ${error.message}`);
+            if (error.stderr) console.error(`Stderr: ${error.stderr.toString()}`);
+            return { status: ServiceStatus.UNKNOWN, containers: [], message: error.message };
+        }
+    }
+
+    /**
+     * @param {'container'|'image'} type
+     * @param {Array<string>} ids
+     * @returns {Promise<Array<Object>>} Raw `docker inspect` output
+     */
+    async #dockerInspect(type, ids) {
+        if (ids.length === 0) return [];
+        try {
+            const { stdout } = await execAsync(`docker ${type} inspect ${ids.join(' ')}`, { encoding: 'utf-8', maxBuffer: 16 * 1024 * 1024 });
+            return JSON.parse(stdout);
+        } catch (error) {
+            // Exits non-zero if one of the objects vanished in between, but still prints the others
+            if (error.stdout) return JSON.parse(error.stdout);
+            throw error;
+        }
+    }
+
+    /**
+     * @param {Object} container - Output of `docker container inspect`
+     * @param {string|null} imageDigest
+     * @returns {ContainerStatus}
+     */
+    #toContainerStatus(container, imageDigest) {
+        const state = container.State || {};
+        const running = state.Status === 'running';
+        // Docker reports "0001-01-01T00:00:00Z" for containers that never started / stopped
+        const timestamp = (value) => (value && !value.startsWith('0001-') ? value : null);
+        const startedAt = timestamp(state.StartedAt);
+
+        const networks = {};
+        for (const [name, network] of Object.entries((container.NetworkSettings || {}).Networks || {})) {
+            networks[name] = { ipv4: network.IPAddress || null, ipv6: network.GlobalIPv6Address || null };
+        }
+
+        return {
+            id: container.Id.substring(0, 12),
+            name: container.Name.replace(/^\//, ''),
+            service: ((container.Config || {}).Labels || {})['com.docker.compose.service'] || null,
+            state: state.Status,
+            exitCode: running ? null : state.ExitCode,
+            health: state.Health ? state.Health.Status : null,
+            startedAt,
+            finishedAt: running ? null : timestamp(state.FinishedAt),
+            uptime: running && startedAt ? Math.max(0, Math.floor((Date.now() - new Date(startedAt).getTime()) / 1000)) : null,
+            restartCount: container.RestartCount || 0,
+            oomKilled: Boolean(state.OOMKilled),
+            image: (container.Config || {}).Image,
+            imageDigest,
+            networks,
+        };
+    }
+
+    /**
+     * @typedef {Object} ContainerSummary
+     * @property {string} id
+     * @property {string} name
+     * @property {string|null} service - Compose service the container belongs to
+     * @property {string} state - e.g. "running", "exited", "restarting"
+     * @property {number|null} exitCode
+     * @property {'starting'|'healthy'|'unhealthy'|null} health
+     * @property {string} image
+     * @property {string} statusText - Human readable status from `docker ps`, e.g. "Up 2 hours (healthy)"
+     *
+     * @typedef {Object} ServiceStatusSummary
+     * @property {string} name
+     * @property {string} status - One of ServiceStatus
+     * @property {Array<ContainerSummary>} containers
+     * @property {string} [message] - Set when the containers could not be listed
+     */
+
+    /**
+     * Gets the status of every service from a single cached `docker ps` call. The cache is
+     * refreshed in the background every STATUS_REFRESH_INTERVAL_MS while status is being requested.
+     * Restart counts are not part of `docker ps`, so only containers currently restarting count as
+     * crash-looping here; use getServiceStatus for the full details of one service.
+     * @returns {Promise<Array<ServiceStatusSummary>>}
+     */
+    async getServicesStatus() {
+        this.#lastStatusRequestAt = Date.now();
+        this.#startStatusRefresher();
+        return this.getCachedServicesStatus();
+    }
+
+    /**
+     * Gets the status of every service like getServicesStatus, for background jobs such as metrics sampling.
+     * It does not count as a request, so it does not keep the background refresh running; `docker ps` is only
+     * called when the cache is stale.
+     * @returns {Promise<Array<ServiceStatusSummary>>}
+     */
+    async getCachedServicesStatus() {
+        // Serve from the cache unless the refresher fell behind or it was invalidated
+        if (Date.now() - this.#containerCache.updatedAt > this.#statusRefreshInterval * 2) {
+            await this.#refreshContainerCache();
+        }
+
+        const { containers, error } = this.#containerCache;
+        const services = await this.listServices();
+        return services.map(name => {
+            if (!containers) return { name, status: ServiceStatus.UNKNOWN, containers: [], message: error };
+            const serviceContainers = containers.get(name) || [];
+            return {
+                name,
+                status: serviceContainers.length > 0 ? this.#summarizeStatus(serviceContainers) : ServiceStatus.DOWN,
+                containers: serviceContainers,
+            };
+        });
+    }
+
+    /**
+     * Marks the cached container list as stale, so the next getServicesStatus call reads it again.
+     */
+    invalidateStatusCache() {
+        this.#containerCache.updatedAt = 0;
+    }
+
+    #startStatusRefresher() {
+        if (this.#statusRefreshTimer) return;
+        this.#statusRefreshTimer = setInterval(() => {
+            // Stop polling docker once nobody has asked for the status for a while
+            if (Date.now() - this.#lastStatusRequestAt > this.#statusRefreshInterval * 12) {
+                clearInterval(this.#statusRefreshTimer);
+                this.#statusRefreshTimer = null;
+                return;
+            }
+            this.#refreshContainerCache();
+        }, this.#statusRefreshInterval);
+        // Must not keep the process alive on its own
+        this.#statusRefreshTimer.unref();
+    }
+
+    /**
+     * Reads all compose containers with one `docker ps` and groups them by compose project.
+     * @returns {Promise<void>}
+     */
+    #refreshContainerCache() {
+        if (this.#containerRefresh) return this.#containerRefresh;
+
+        this.#containerRefresh = (async () => {
+            try {
+                const { stdout } = await execAsync(`docker ps -a --filter "label=com.docker.compose.project" --format '{{json .}}'`, {
+                    encoding: 'utf-8',
+                    maxBuffer: 16 * 1024 * 1024,
+                });
+
+                const containers = new Map();
+                for (const line of stdout.split('\n')) {
+                    if (!line.trim()) continue;
+                    const entry = JSON.parse(line);
+                    const labels = this.#parseLabels(entry.Labels);
+                    const project = labels['com.docker.compose.project'];
+                    if (!containers.has(project)) containers.set(project, []);
+                    containers.get(project).push(this.#toContainerSummary(entry, labels));
+                }
+                this.#containerCache = { containers, error: null, updatedAt: Date.now() };
+            } catch (error) {
+                console.error(`Error occurred while listing containers: ${error.message}`);
+                if (error.stderr) console.error(`Stderr: ${error.stderr.toString()}`);
+                this.#containerCache = { containers: null, error: error.message, updatedAt: Date.now() };
+            } finally {
+                this.#containerRefresh = null;
+            }
+        })();
+        return this.#containerRefresh;
+    }
+
+    /**
+     * @param {string} labels - Comma separated key=value pairs, as printed by `docker ps`
+     * @returns {Object.<string, string>}
+     */
+    #parseLabels(labels) {
+        const result = {};
+        for (const pair of (labels || '').split(',')) {
+            const separator = pair.indexOf('=');
+            if (separator > 0) result[pair.substring(0, separator)] = pair.substring(separator + 1);
+        }
+        return result;
+    }
+
+    /**
+     * @param {Object} entry - One line of `docker ps --format '{{json .}}'`
+     * @param {Object.<string, string>} labels
+     * @returns {ContainerSummary}
+     */
+    #toContainerSummary(entry, labels) {
+        const exited = entry.Status.match(/^Exited \((-?\d+)\)/);
+        let health = null;
+        if (entry.Status.includes('(health: starting)')) health = 'starting';
+        else if (entry.Status.includes('(unhealthy)')) health = 'unhealthy';
+        else if (entry.Status.includes('(healthy)')) health = 'healthy';
+
+        return {
+            id: entry.ID,
+            name: entry.Names,
+            service: labels['com.docker.compose.service'] || null,
+            state: entry.State,
+            exitCode: exited ? parseInt(exited[1], 10) : null,
+            health,
+            image: entry.Image,
+            statusText: entry.Status,
+        };
+    }
+
+    /**
+     * Reduces the container states to a single status, the most severe condition wins.
+     * @param {Array<ContainerStatus|ContainerSummary>} containers
+     * @returns {string} One of ServiceStatus
+     */
+    #summarizeStatus(containers) {
+        const isCrashLooping = (c) => c.state === 'restarting'
+            || (c.restartCount >= CRASH_LOOP_RESTARTS && c.uptime !== null && c.uptime < CRASH_LOOP_UPTIME);
+        const running = containers.filter(c => c.state === 'running');
+
+        if (containers.some(isCrashLooping)) return ServiceStatus.CRASH_LOOPING;
+        if (containers.some(c => c.health === 'unhealthy')) return ServiceStatus.UNHEALTHY;
+        if (containers.some(c => c.state === 'paused')) return ServiceStatus.PAUSED;
+        if (running.length === 0) return ServiceStatus.DOWN;
+        // One-off containers that exited cleanly (e.g. migrations) do not degrade the service
+        if (containers.some(c => c.state !== 'running' && c.exitCode !== 0)) return ServiceStatus.DEGRADED;
+        if (running.some(c => c.health === 'starting')) return ServiceStatus.STARTING;
+        return ServiceStatus.UP;
+    }
+
+    /**
+     * Runs a docker-compose command inside the directory of a service.
+     * @param {string} serviceName
+     * @param {string} args - Arguments passed to docker-compose, e.g. "up -d"
+     * @returns {Promise<{stdout: string, stderr: string}>}
+     */
+    async #execCompose(serviceName, args) {
+        const targetDir = path.join(this.#containerDir, serviceName);
+        return execAsync(`cd $TARGET_DIR && docker-compose ${args}`, {
+            env: {
+                ...process.env,
+                TARGET_DIR: targetDir,
+            },
+            shell: '/bin/bash',
+            encoding: 'utf-8',
+        });
+    }
+
+    /**
+     * Runs a mutating operation and records its outcome in the audit log.
+     * @param {string} actor - Username performing the operation
+     * @param {string|undefined} serviceName
+     * @param {string} action
+     * @param {(audit: Object) => Promise<{success: boolean, message: string}>} operation - May attach extra audit fields (stderr, envDiff, details) to `audit`
+     * @returns {Promise<Object>} The result of the operation
+     */
+    async #audited(actor, serviceName, action, operation) {
+        const audit = {};
+        const result = await operation(audit);
+        await AuditModule.record({
+            user: actor,
+            service: serviceName,
+            action,
+            success: result.success,
+            message: result.message,
+            ...audit,
+        });
+        return result;
+    }
+
+    /**
+     * @typedef {Object} ServiceOperation
+     * @property {string} id
+     * @property {string} service
+     * @property {string} action - Audit action, e.g. "POWER_STOP", "ENV_WRITE", "CONFIG_UPDATE"
+     * @property {string} user
+     * @property {string} [jobId] - Job of a power action, see JobModule
+     * @property {number} queuedAt
+     * @property {number|null} startedAt - Null while waiting for earlier operations on the service
+     * @property {number} position - 0 for the running operation, otherwise the number of operations ahead of it
+     */
+
+    /**
+     * Queues a mutating operation on a service and audits it once it has run.
+     * Operations on the same service run one at a time in the order they were requested,
+     * operations on different services run in parallel.
+     * @param {string} actor
+     * @param {string|undefined} serviceName - Operations without a service name are not queued
+     * @param {string} action
+     * @param {(audit: Object) => Promise<{success: boolean, message: string}>} operation
+     * @param {{jobId?: string}} [extra] - Additional fields shown in listOperations
+     * @returns {{position: number, completion: Promise<Object>}} position is the number of operations ahead of this one
+     */
+    #enqueue(actor, serviceName, action, operation, extra = {}) {
+        if (!serviceName) {
+            return { position: 0, completion: this.#audited(actor, serviceName, action, operation) };
+        }
+
+        if (!this.#operations.has(serviceName)) this.#operations.set(serviceName, []);
+        const queue = this.#operations.get(serviceName);
+        const previous = queue.length > 0 ? queue[queue.length - 1].completion : Promise.resolve();
+        const position = queue.length;
+
+        const entry = { id: crypto.randomUUID(), service: serviceName, action, user: actor, ...extra, queuedAt: Date.now(), startedAt: null };
+        // Run after the previous operation whether or not it failed
+        entry.completion = previous.catch(() => {}).then(async () => {
+            entry.startedAt = Date.now();
+            try {
+                return await this.#audited(actor, serviceName, action, operation);
+            } finally {
+                // Container states have most likely changed
+                this.invalidateStatusCache();
+                queue.splice(queue.indexOf(entry), 1);
+                if (queue.length === 0) this.#operations.delete(serviceName);
+            }
+        });
+        queue.push(entry);
+
+        if (position > 0) {
+            console.log(`${action} on service "${serviceName}" queued behind ${position} operation(s)`);
+        }
+        return { position, completion: entry.completion };
+    }
+
+    /**
+     * Lists running and queued operations.
+     * @param {string} [serviceName] - Only list operations on this service
+     * @returns {Array<ServiceOperation>}
+     */
+    listOperations(serviceName) {
+        const operations = [];
+        for (const [service, queue] of this.#operations) {
+            if (serviceName && service !== serviceName) continue;
+            queue.forEach(({ completion, ...operation }, position) => operations.push({ ...operation, position }));
+        }
+        return operations;
+    }
+
     /**
      * @typedef {Object} PowerActionResult
      * @property {boolean} success
      * @property {string} message
+     * @property {string} [jobId] - Id of the job running docker-compose, see JobModule
+     * @property {number} [queuePosition] - Number of operations on the service ahead of this one, when not waiting
      * 
      * @param {string} actionType
      * @param {string} serviceName
+     * @param {string} [actor='system'] - Username recorded in the audit log
+     * @param {boolean} [wait=true] - If false, resolve as soon as the job is queued instead of when it finishes.
      * @returns {Promise<PowerActionResult>}
      */
-    async powerAction(actionType, serviceName) {
+    async powerAction(actionType, serviceName, actor = 'system', wait = true) {
+        const auditAction = `POWER_${actionType}`;
+
         if (!Object.values(PowerAction).includes(actionType)) {
             console.error(`Error: Invalid actionType "${actionType}". Valid types are: ${Object.values(PowerAction).join(', ')}`);
-            return { success: false, message: 'Invalid action type' };
+            return this.#audited(actor, serviceName, auditAction, async () => ({ success: false, message: 'Invalid action type' }));
         }
 
-        if (processingPowerAction.has(actionType)) {
-            console.error(`Error: Another ${actionType} action is already in progress.`);
-            return { success: false, message: `Another ${actionType} action is already in progress.` };
+        if (!(await this.#checkServiceExists(serviceName))) {
+            return this.#audited(actor, serviceName, auditAction, async () => ({ success: false, message: 'Service not found' }));
         }
 
-        processingPowerAction.add(actionType);
-        
+        // The job stays queued until earlier operations on the service have finished
+        const job = JobModule.create({ service: serviceName, action: actionType, user: actor });
+        const { position, completion } = this.#enqueue(actor, serviceName, auditAction,
+            (audit) => this.#powerAction(actionType, serviceName, job.id, audit), { jobId: job.id });
+
+        if (wait) return completion;
+        return {
+            success: true,
+            message: position > 0 ? `${actionType} action queued behind ${position} operation(s).` : `${actionType} action started.`,
+            jobId: job.id,
+            queuePosition: position,
+        };
+    }
+
+    /**
+     * Runs docker-compose for a power action as a tracked job.
+     * @param {string} actionType
+     * @param {string} serviceName
+     * @param {string} jobId
+     * @param {Object} audit
+     * @returns {Promise<PowerActionResult>}
+     */
+    async #powerAction(actionType, serviceName, jobId, audit) {
+        // Checked once the job is no longer queued, the compose file may have changed in the meantime
+        const validationError = await this.#validatePowerAction(actionType, serviceName);
+        if (validationError) {
+            console.error(`Error: Cannot ${actionType} service "${serviceName}": ${validationError}`);
+            JobModule.fail(jobId, validationError);
+            return { success: false, message: validationError, jobId };
+        }
+
+        const command = POWER_ACTION_COMMANDS[actionType].map(args => `docker-compose ${args}`).join(' && ');
         let result;
         try {
-            let targetDir = path.join(this.#containerDir, serviceName);
-            let command = `cd $TARGET_DIR && docker-compose ${actionType.toLowerCase()}`;
-            
-            const { stdout, stderr } = await execAsync(command, {
+            const { exitCode, stdout, stderr } = await JobModule.run(jobId, `cd $TARGET_DIR && ${command}`, {
                 env: {
                     ...process.env,
-                    TARGET_DIR: targetDir,
+                    TARGET_DIR: path.join(this.#containerDir, serviceName),
                 },
-                shell: '/bin/bash',
-                encoding: 'utf-8',
             });
 
             if (stderr) {
-                console.error(`Stderr: ${stderr.toString()}`);
+                console.error(`Stderr: ${stderr}`);
+                audit.stderr = stderr;
             }
+            console.log(`Stdout: ${stdout}`);
+            audit.details = { jobId, exitCode };
 
-            console.log(`Stdout: ${stdout.toString()}`);
-            result = { success: true, message: `${actionType} action completed successfully.` };
-
+            if (exitCode === 0) {
+                result = { success: true, message: `${actionType} action completed successfully.`, jobId };
+            } else {
+                console.error(`Error occurred while executing ${actionType} on service "${serviceName}": docker-compose exited with code ${exitCode}`);
+                result = { success: false, message: `Error during ${actionType}: docker-compose exited with code ${exitCode}`, jobId };
+            }
         } catch (error) {
             console.error(`Error occurred while executing ${actionType} on service "${serviceName}": ${error.message}`);
-            if (error.stderr) console.error(`Stderr: ${error.stderr.toString()}`);
-            result = { success: false, message: `Error during ${actionType}: ${error.message}` };
+            result = { success: false, message: `Error during ${actionType}: ${error.message}`, jobId };
         }
 
-        processingPowerAction.delete(actionType);
         return result;
     }
 
+    /**
+     * Checks that the docker-compose.yml of a service supports a power action:
+     * PULL needs at least one service with an `image`, BUILD one with a `build` section.
+     * @param {string} actionType
+     * @param {string} serviceName
+     * @returns {Promise<string|null>} Reason the action cannot run, or null
+     */
+    async #validatePowerAction(actionType, serviceName) {
+        let composeServices;
+        try {
+            const ymlConfig = await YmlUtils.loadOptional(path.join(this.#containerDir, serviceName, 'docker-compose.yml'));
+            if (!ymlConfig) return 'docker-compose.yml not found';
+            composeServices = Object.values(ymlConfig.services || {});
+        } catch (error) {
+            return `Error loading docker-compose.yml: ${error.message}`;
+        }
+
+        if (actionType === PowerAction.PULL && !composeServices.some(service => service && service.image)) {
+            return 'docker-compose.yml has no service with an image to pull';
+        }
+        if (actionType === PowerAction.BUILD && !composeServices.some(service => service && service.build)) {
+            return 'docker-compose.yml has no service with a build section';
+        }
+        return null;
+    }
+
     /**
      * @returns {Promise<Array<string>>}
      */
@@ -305,6 +813,73 @@ class DockerModule {
         return services;
     }
 
+    /**
+     * Scaffolds a new service directory (service/, logs/, .env, .env.project) and generates its docker-compose.yml.
+     * Refuses to touch a directory that already exists.
+     * @param {ConfigUtils.ConfigData} configData
+     * @param {Object} [envData={}] - Initial values for the service .env file.
+     * @param {Object} [projectEnvData={}] - Initial values for the .env.project file mounted into the container.
+     * @param {string} [actor='system'] - Username recorded in the audit log
+     * @returns {Promise<{success: boolean, message: string, errors?: Array<string>}>}
+     */
+    async createService(configData, envData = {}, projectEnvData = {}, actor = 'system') {
+        const serviceName = configData && typeof configData.service_name === 'string' ? configData.service_name : undefined;
+        return this.#enqueue(actor, serviceName, 'SERVICE_CREATE', (audit) => {
+            audit.details = { configData };
+            return this.#createService(configData, envData, projectEnvData);
+        }).completion;
+    }
+
+    /**
+     * @param {ConfigUtils.ConfigData} configData
+     * @param {Object} envData
+     * @param {Object} projectEnvData
+     * @returns {Promise<{success: boolean, message: string, errors?: Array<string>}>}
+     */
+    async #createService(configData, envData, projectEnvData) {
+        const errors = ConfigUtils.validateConfigData(configData);
+        for (const [label, data] of [['envData', envData], ['projectEnvData', projectEnvData]]) {
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                errors.push(`${label} must be an object of key-value pairs.`);
+            }
+        }
+        if (errors.length > 0) {
+            console.error(`Error: Invalid config data for new service: ${errors.join(' ')}`);
+            return { success: false, message: 'Invalid config data', errors };
+        }
+
+        const serviceName = configData.service_name;
+        const serviceDir = path.join(this.#containerDir, serviceName);
+
+        try {
+            // Non-recursive mkdir fails with EEXIST, so an existing service can never be overwritten
+            await fs.promises.mkdir(serviceDir);
+        } catch (error) {
+            if (error.code === 'EEXIST') {
+                console.error(`Error: Service "${serviceName}" already exists.`);
+                return { success: false, message: `Service "${serviceName}" already exists.` };
+            }
+            console.error(`Error creating directory for service "${serviceName}": ${error.message}`);
+            return { success: false, message: `Error creating service: ${error.message}` };
+        }
+
+        try {
+            await fs.promises.mkdir(path.join(serviceDir, 'service'));
+            await fs.promises.mkdir(path.join(serviceDir, 'logs'));
+            await fs.promises.writeFile(path.join(serviceDir, '.env'), stringify(envData), 'utf-8');
+            await fs.promises.writeFile(path.join(serviceDir, '.env.project'), stringify(projectEnvData), 'utf-8');
+            await ConfigUtils.generateConfig(configData, serviceDir);
+        } catch (error) {
+            console.error(`Error scaffolding service "${serviceName}": ${error.message}`);
+            // Do not leave a half-created service behind
+            await fs.promises.rm(serviceDir, { recursive: true, force: true });
+            return { success: false, message: `Error creating service: ${error.message}` };
+        }
+
+        console.log(`Service "${serviceName}" created at ${serviceDir}`);
+        return { success: true, message: `Service "${serviceName}" created successfully.` };
+    }
+
     /**
      * @param {string} serviceName
      * @returns {Promise<Object>}
@@ -352,9 +927,20 @@ class DockerModule {
     /**
      * @param {string} serviceName 
      * @param {Object} envData 
+     * @param {string} [actor='system'] - Username recorded in the audit log
+     * @returns {Promise<{success: boolean, message: string}>}
+     */
+    async writeServiceEnvConfig(serviceName, envData, actor = 'system') {
+        return this.#enqueue(actor, serviceName, 'ENV_WRITE', (audit) => this.#writeServiceEnvConfig(serviceName, envData, audit)).completion;
+    }
+
+    /**
+     * @param {string} serviceName
+     * @param {Object} envData
+     * @param {Object} audit
      * @returns {Promise<{success: boolean, message: string}>}
      */
-    async writeServiceEnvConfig(serviceName, envData) {
+    async #writeServiceEnvConfig(serviceName, envData, audit) {
         if (!(await this.#checkServiceExists(serviceName))) return { success: false, message: 'Service not found' };
         
         let envPath = path.join(this.#containerDir, serviceName, '.env');
@@ -368,6 +954,7 @@ class DockerModule {
             const envString = stringify(mergedEnv);
 
             await fs.promises.writeFile(envPath, envString, 'utf-8');
+            audit.envDiff = AuditModule.diffEnv(existingEnv, mergedEnv);
 
             return { success: true, message: 'Environment configuration updated successfully.' };
 
@@ -392,49 +979,332 @@ class DockerModule {
     }
 
     /**
-     * @param {string} serviceName 
-     * @returns {Promise<Array<string>>}
+     * Takes a service down and removes its directory, archiving it into a timestamped tarball first
+     * unless deletion without archive is explicitly confirmed.
+     * @param {string} serviceName
+     * @param {'archive'|'delete'} [mode='archive']
+     * @param {string} [confirm] - Must equal the service name when mode is 'delete'.
+     * @param {string} [actor='system'] - Username recorded in the audit log
+     * @returns {Promise<{success: boolean, message: string, archive?: string}>}
      */
-    async getServiceLogs(serviceName) {
-        if (!(await this.#checkServiceExists(serviceName))) return [];
+    async deleteService(serviceName, mode = 'archive', confirm = '', actor = 'system') {
+        return this.#enqueue(actor, serviceName, mode === 'delete' ? 'SERVICE_DELETE' : 'SERVICE_ARCHIVE', (audit) => this.#deleteService(serviceName, mode, confirm, audit)).completion;
+    }
 
-        let targetDir = path.join(this.#containerDir, serviceName, 'logs');
-        if (!fs.existsSync(targetDir)) return [];
+    /**
+     * @param {string} serviceName
+     * @param {string} mode
+     * @param {string} confirm
+     * @param {Object} audit
+     * @returns {Promise<{success: boolean, message: string, archive?: string}>}
+     */
+    async #deleteService(serviceName, mode, confirm, audit) {
+        if (!(await this.#checkServiceExists(serviceName))) return { success: false, message: 'Service not found' };
 
-        let allFiles = [];
-        try {
-            allFiles = await fs.promises.readdir(targetDir);
-        } catch (e) {
-            return [];
+        if (mode !== 'archive' && mode !== 'delete') {
+            return { success: false, message: `Invalid mode "${mode}". Valid modes are: archive, delete` };
+        }
+        if (mode === 'delete' && confirm !== serviceName) {
+            return { success: false, message: `Deleting without archive requires confirm to be "${serviceName}".` };
         }
 
-        const logFiles = [];
-        const activeInodes = new Set();
-        const cacheFiles = [];
+        try {
+            await this.#execCompose(serviceName, 'down');
+        } catch (error) {
+            console.error(`Error taking down service "${serviceName}" before removal: ${error.message}`);
+            if (error.stderr) console.error(`Stderr: ${error.stderr.toString()}`);
+            audit.stderr = error.stderr ? error.stderr.toString() : undefined;
+            return { success: false, message: `Error during DOWN: ${error.message}` };
+        }
 
-        // 1. Classify files & Collect Active Inodes
-        for (const file of allFiles) {
-            const filePath = path.join(targetDir, file);
+        let archive;
+        if (mode === 'archive') {
+            archive = `${serviceName}-${moment().format('YYYYMMDD-HHmmss')}.tar.gz`;
             try {
-                const stats = fs.statSync(filePath);
-                if (stats.isFile()) {
-                    if (file.endsWith('.timecache')) {
-                        cacheFiles.push(file);
-                    } else {
-                        logFiles.push(file);
-                        activeInodes.add(stats.ino);
-                    }
-                }
-            } catch (e) {
-                // Ignore (file might be deleted during iteration)
+                await fs.promises.mkdir(this.#archiveDir, { recursive: true });
+                await execAsync('tar -czf "$ARCHIVE_PATH" -C "$CONTAINER_DIR" "$SERVICE_NAME"', {
+                    env: {
+                        ...process.env,
+                        ARCHIVE_PATH: path.join(this.#archiveDir, archive),
+                        CONTAINER_DIR: this.#containerDir,
+                        SERVICE_NAME: serviceName,
+                    },
+                    shell: '/bin/bash',
+                    encoding: 'utf-8',
+                });
+            } catch (error) {
+                console.error(`Error archiving service "${serviceName}": ${error.message}`);
+                if (error.stderr) console.error(`Stderr: ${error.stderr.toString()}`);
+                audit.stderr = error.stderr ? error.stderr.toString() : undefined;
+                return { success: false, message: `Error archiving service: ${error.message}` };
             }
         }
 
-        // 2. Refresh Cache: Delete orphans
-        for (const cacheFile of cacheFiles) {
-            let shouldDelete = false;
+        try {
+            await fs.promises.rm(path.join(this.#containerDir, serviceName), { recursive: true });
+        } catch (error) {
+            console.error(`Error removing directory of service "${serviceName}": ${error.message}`);
+            return { success: false, message: `Error removing service directory: ${error.message}`, archive };
+        }
 
-            if (cacheFile.endsWith('.log.timecache')) {
+        console.log(`Service "${serviceName}" removed${archive ? `, archived as ${archive}` : ''}`);
+        return {
+            success: true,
+            message: archive ? `Service "${serviceName}" archived as ${archive}.` : `Service "${serviceName}" deleted.`,
+            archive,
+        };
+    }
+
+    /**
+     * @returns {Promise<Array<{file: string, service: string, size: number, createdAt: number}>>}
+     */
+    async listArchives() {
+        if (!fs.existsSync(this.#archiveDir)) return [];
+
+        const files = await fs.promises.readdir(this.#archiveDir);
+        const archives = [];
+        for (const file of files) {
+            const match = file.match(ARCHIVE_NAME_REGEX);
+            if (!match || !this.#isServiceName(match[1])) continue;
+            const stats = await fs.promises.stat(path.join(this.#archiveDir, file));
+            archives.push({ file, service: match[1], size: stats.size, createdAt: stats.mtimeMs });
+        }
+        return archives.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Unpacks an archive created by deleteService back into CONTAINER_DIR.
+     * @param {string} archiveFile - File name of the archive, as returned by listArchives
+     * @param {string} [actor='system'] - Username recorded in the audit log
+     * @returns {Promise<{success: boolean, message: string, service?: string}>}
+     */
+    async restoreService(archiveFile, actor = 'system') {
+        const match = typeof archiveFile === 'string' ? archiveFile.match(ARCHIVE_NAME_REGEX) : null;
+        return this.#enqueue(actor, match ? match[1] : undefined, 'SERVICE_RESTORE', (audit) => {
+            audit.details = { archive: archiveFile };
+            return this.#restoreService(archiveFile, audit);
+        }).completion;
+    }
+
+    /**
+     * @param {string} archiveFile
+     * @param {Object} audit
+     * @returns {Promise<{success: boolean, message: string, service?: string}>}
+     */
+    async #restoreService(archiveFile, audit) {
+        const match = typeof archiveFile === 'string' ? archiveFile.match(ARCHIVE_NAME_REGEX) : null;
+        if (!match || path.basename(archiveFile) !== archiveFile || !this.#isServiceName(match[1])) {
+            return { success: false, message: 'Invalid archive name' };
+        }
+
+        const serviceName = match[1];
+        const archivePath = path.join(this.#archiveDir, archiveFile);
+        if (!fs.existsSync(archivePath)) {
+            return { success: false, message: `Archive "${archiveFile}" not found` };
+        }
+        if (fs.existsSync(path.join(this.#containerDir, serviceName))) {
+            return { success: false, message: `Service "${serviceName}" already exists.` };
+        }
+
+        const execOptions = {
+            env: {
+                ...process.env,
+                ARCHIVE_PATH: archivePath,
+                CONTAINER_DIR: this.#containerDir,
+            },
+            shell: '/bin/bash',
+            encoding: 'utf-8',
+            maxBuffer: 64 * 1024 * 1024,
+        };
+
+        try {
+            // Refuse archives that would write anything outside the service directory
+            const { stdout } = await execAsync('tar -tzf "$ARCHIVE_PATH"', execOptions);
+            const entries = stdout.split('\n').filter(entry => entry.length > 0);
+            const isContained = entries.every(entry => {
+                const normalized = path.posix.normalize(entry);
+                return normalized === serviceName || normalized === `${serviceName}/` || normalized.startsWith(`${serviceName}/`);
+            });
+            if (!isContained) {
+                return { success: false, message: `Archive "${archiveFile}" contains entries outside of "${serviceName}/"` };
+            }
+
+            await execAsync('tar -xzf "$ARCHIVE_PATH" -C "$CONTAINER_DIR"', execOptions);
+        } catch (error) {
+            console.error(`Error restoring archive "${archiveFile}": ${error.message}`);
+            if (error.stderr) console.error(`Stderr: ${error.stderr.toString()}`);
+            audit.stderr = error.stderr ? error.stderr.toString() : undefined;
+            return { success: false, message: `Error restoring archive: ${error.message}` };
+        }
+
+        console.log(`Service "${serviceName}" restored from ${archiveFile}`);
+        return { success: true, message: `Service "${serviceName}" restored.`, service: serviceName };
+    }
+
+    /**
+     * Regenerates the docker-compose.yml of a service from modified config data.
+     * The previous file is kept as a timestamped backup next to it.
+     * @param {string} serviceName
+     * @param {ConfigUtils.ConfigData} configData
+     * @param {boolean} [recreate=false] - Take the service down with the old file and bring it up with the new one.
+     * @param {string} [actor='system'] - Username recorded in the audit log
+     * @returns {Promise<{success: boolean, message: string, errors?: Array<string>, backupFile?: string}>}
+     */
+    async updateServiceConfigData(serviceName, configData, recreate = false, actor = 'system') {
+        return this.#enqueue(actor, serviceName, 'CONFIG_UPDATE', (audit) => this.#updateServiceConfigData(serviceName, configData, recreate, audit)).completion;
+    }
+
+    /**
+     * @param {string} serviceName
+     * @param {ConfigUtils.ConfigData} configData
+     * @param {boolean} recreate
+     * @param {Object} audit
+     * @returns {Promise<{success: boolean, message: string, errors?: Array<string>, backupFile?: string}>}
+     */
+    async #updateServiceConfigData(serviceName, configData, recreate, audit) {
+        if (!(await this.#checkServiceExists(serviceName))) return { success: false, message: 'Service not found' };
+
+        const errors = ConfigUtils.validateConfigData(configData, serviceName);
+        if (errors.length > 0) {
+            console.error(`Error: Invalid config data for service "${serviceName}": ${errors.join(' ')}`);
+            return { success: false, message: 'Invalid config data', errors };
+        }
+
+        const serviceDir = path.join(this.#containerDir, serviceName);
+        const dockerYmlPath = path.join(serviceDir, 'docker-compose.yml');
+
+        try {
+            // Only files generated by DCM may be regenerated, a hand-written compose file would be lost
+            if (!(await ConfigUtils.identifyConfigVersion(dockerYmlPath))) {
+                return { success: false, message: 'docker-compose.yml was not generated by DCM and cannot be regenerated.' };
+            }
+        } catch (error) {
+            console.error(`Error reading docker-compose.yml for service "${serviceName}": ${error.message}`);
+            return { success: false, message: error.message };
+        }
+
+        audit.details = { recreate, after: configData };
+        try {
+            audit.details.before = await ConfigUtils.getConfigData(serviceDir);
+        } catch (error) {
+            // The previous file may not be parseable, which is fine since it is being replaced
+        }
+
+        let backupFile;
+        let backupPath;
+        // The new file is generated and checked while the service still runs, so a failure leaves it as it was
+        try {
+            backupFile = await this.#backupFile(dockerYmlPath);
+            backupPath = path.join(serviceDir, backupFile);
+            await ConfigUtils.generateConfig(configData, serviceDir);
+            if (recreate) await this.#execCompose(serviceName, 'config -q');
+        } catch (error) {
+            console.error(`Error regenerating docker-compose.yml for service "${serviceName}": ${error.message}`);
+            audit.stderr = error.stderr ? error.stderr.toString() : undefined;
+            if (backupPath) await fs.promises.copyFile(backupPath, dockerYmlPath);
+            return { success: false, message: `Error regenerating docker-compose.yml: ${error.message}` };
+        }
+
+        if (recreate) {
+            try {
+                await this.#execCompose(serviceName, 'down');
+            } catch (error) {
+                console.error(`Error taking down service "${serviceName}" before recreate: ${error.message}`);
+                audit.stderr = error.stderr ? error.stderr.toString() : undefined;
+                await fs.promises.copyFile(backupPath, dockerYmlPath);
+                return { success: false, message: `Error during DOWN: ${error.message}` };
+            }
+
+            try {
+                const { stdout, stderr } = await this.#execCompose(serviceName, 'up -d');
+                if (stderr) console.error(`Stderr: ${stderr.toString()}`);
+                console.log(`Stdout: ${stdout.toString()}`);
+                audit.stderr = stderr ? stderr.toString() : undefined;
+            } catch (error) {
+                console.error(`Error recreating service "${serviceName}": ${error.message}`);
+                audit.stderr = error.stderr ? error.stderr.toString() : undefined;
+                // Bring the service back up with the configuration it had
+                await fs.promises.copyFile(backupPath, dockerYmlPath);
+                try {
+                    await this.#execCompose(serviceName, 'up -d');
+                } catch (rollbackError) {
+                    console.error(`Error bringing service "${serviceName}" back up with its previous configuration: ${rollbackError.message}`);
+                    return { success: false, message: `Recreating the container failed: ${error.message}. Bringing it back up with the previous docker-compose.yml failed too: ${rollbackError.message}` };
+                }
+                return { success: false, message: `Recreating the container failed, it runs with the previous docker-compose.yml again: ${error.message}` };
+            }
+        }
+
+        return {
+            success: true,
+            message: recreate ? 'docker-compose.yml regenerated and container recreated.' : 'docker-compose.yml regenerated.',
+            backupFile,
+        };
+    }
+
+    /**
+     * Copies a file next to itself with a timestamped `.bak` name, never overwriting an earlier backup.
+     * @param {string} filePath
+     * @returns {Promise<string>} - Name of the backup file
+     */
+    async #backupFile(filePath) {
+        const timestamp = moment().format('YYYYMMDD-HHmmss');
+        // Updates within the same second get a counter instead of replacing the previous backup
+        for (let counter = 0; ; counter++) {
+            const backupFile = `${path.basename(filePath)}.${timestamp}${counter > 0 ? `-${counter}` : ''}.bak`;
+            try {
+                await fs.promises.copyFile(filePath, path.join(path.dirname(filePath), backupFile), fs.constants.COPYFILE_EXCL);
+                return backupFile;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+        }
+    }
+
+    /**
+     * @param {string} serviceName 
+     * @returns {Promise<Array<string>>}
+     */
+    async getServiceLogs(serviceName) {
+        if (!(await this.#checkServiceExists(serviceName))) return [];
+
+        let targetDir = path.join(this.#containerDir, serviceName, 'logs');
+        if (!fs.existsSync(targetDir)) return [];
+
+        let allFiles = [];
+        try {
+            allFiles = await fs.promises.readdir(targetDir);
+        } catch (e) {
+            return [];
+        }
+
+        const logFiles = [];
+        const activeInodes = new Set();
+        const cacheFiles = [];
+
+        // 1. Classify files & Collect Active Inodes
+        for (const file of allFiles) {
+            const filePath = path.join(targetDir, file);
+            try {
+                const stats = fs.statSync(filePath);
+                if (stats.isFile()) {
+                    if (file.endsWith('.timecache')) {
+                        cacheFiles.push(file);
+                    } else {
+                        logFiles.push(file);
+                        activeInodes.add(stats.ino);
+                    }
+                }
+            } catch (e) {
+                // Ignore (file might be deleted during iteration)
+            }
+        }
+
+        // 2. Refresh Cache: Delete orphans
+        for (const cacheFile of cacheFiles) {
+            let shouldDelete = false;
+
+            if (cacheFile.endsWith('.log.timecache')) {
                 // Strategy 1: Fixed filename for .log
                 // Logic: If active log file with that name doesn't exist -> Delete
                 const originalLogName = cacheFile.replace('.timecache', '');
@@ -442,193 +1312,1366 @@ class DockerModule {
                     shouldDelete = true;
                 }
             } else {
-                // Strategy 2: Inode-Hash for rotated files
-                // Logic: If no current file exists with that Inode -> Delete
-                const match = cacheFile.match(/^(\d+)-/);
-                if (match) {
-                    const inode = parseInt(match[1], 10);
-                    if (!activeInodes.has(inode)) {
-                        shouldDelete = true;
+                // Strategy 2: Inode-Hash for rotated files
+                // Logic: If no current file exists with that Inode -> Delete
+                const match = cacheFile.match(/^(\d+)-/);
+                if (match) {
+                    const inode = parseInt(match[1], 10);
+                    if (!activeInodes.has(inode)) {
+                        shouldDelete = true;
+                    }
+                }
+            }
+
+            if (shouldDelete) {
+                try {
+                    await fs.promises.unlink(path.join(targetDir, cacheFile));
+                } catch (e) {
+                    // Ignore erase error
+                }
+            }
+        }
+
+        return logFiles;
+    }
+
+    /**
+     * @typedef {import('./utils/logSearchUtils').LogSearchOptions & {levels?: string|string[], before?: number, after?: number}} LogQuery
+     *   Search query, plus the levels a line must have, e.g. ["error", "warn"] or "error,warn", and the number of
+     *   lines of context to show before and after each match, like `grep -B -A`
+     *
+     * @typedef {Object} CompiledLogQuery
+     * @property {import('./utils/logSearchUtils').LogMatcher} matcher
+     * @property {(line: string) => import('./utils/logParseUtils').LogEntry} parser
+     * @property {string[]|null} levels
+     * @property {number} before - Lines of context, at most LOG_CONTEXT_MAX_LINES
+     * @property {number} after
+     * @property {import('./utils/timestampUtils').TimestampParser} parseTimestamp
+     * @property {import('./utils/logReadUtils').LineGrouping|null} grouping - How lines are grouped into entries,
+     *   null to read the file line by line
+     */
+
+    /**
+     * @param {string} serviceName
+     * @param {string} logFileName
+     * @param {LogQuery} query
+     * @return {Promise<CompiledLogQuery>}
+     * @throws {Error} If the query, the levels or the log format of the file are invalid
+     */
+    async #compileLogQuery(serviceName, logFileName, query) {
+        const { format, parseTimestamp, grouping } = await this.#resolveLogFormat(serviceName, logFileName);
+        return {
+            matcher: LogSearchUtils.compile(query),
+            parser: LogParseUtils.createParser(format, parseTimestamp),
+            levels: LogParseUtils.parseLevels(query.levels),
+            before: this.#parseContextLines(query.before),
+            after: this.#parseContextLines(query.after),
+            parseTimestamp,
+            grouping,
+        };
+    }
+
+    /**
+     * @param {number|string} [lines]
+     * @return {number} Between 0 and LOG_CONTEXT_MAX_LINES
+     */
+    #parseContextLines(lines) {
+        return Math.min(Math.max(0, parseInt(lines, 10) || 0), LOG_CONTEXT_MAX_LINES);
+    }
+
+    /**
+     * @typedef {Object} ResolvedLogFormat
+     * @property {import('./utils/logParseUtils').LogFormat} format - From dcm.yml, for the file
+     * @property {string} timestampFormat - Configured, or detected if configured as "auto"
+     * @property {string} timezone
+     * @property {import('./utils/timestampUtils').TimestampParser} parseTimestamp
+     * @property {import('./utils/logReadUtils').LineGrouping|null} grouping - Null if the file has no known timestamps
+     *   or dcm.yml turns `multiline` off
+     */
+
+    /**
+     * Resolves how the lines of a log file are parsed. The timestamp format is detected from the first lines of the
+     * file unless dcm.yml sets one, the timezone is taken from dcm.yml, TZ in the service .env or the host, in this order.
+     * Lines without timestamp, such as the lines of a stack trace, are grouped into the entry before them.
+     * @param {string} serviceName
+     * @param {string} logFileName
+     * @return {Promise<ResolvedLogFormat>}
+     * @throws {Error} If the log format in dcm.yml is invalid
+     */
+    async #resolveLogFormat(serviceName, logFileName) {
+        const metadata = await this.readServiceMetadata(serviceName);
+        const format = LogParseUtils.resolveFormat(metadata.logs, logFileName);
+        const definition = format.timestamp || {};
+
+        const timezone = definition.timezone || (await this.#readServiceTimezone(serviceName)) || moment.tz.guess();
+        let timestampFormat = definition.format || TimestampUtils.TimestampFormat.AUTO;
+        let hasTimestamps = true;
+        if (timestampFormat === TimestampUtils.TimestampFormat.AUTO) {
+            // Files without any known timestamp keep the format DCM has always used
+            const detectedFormat = await this.#detectTimestampFormat(serviceName, logFileName);
+            hasTimestamps = detectedFormat !== null;
+            timestampFormat = detectedFormat || TimestampUtils.TimestampFormat.US;
+        }
+
+        const parseTimestamp = TimestampUtils.createParser(timestampFormat, timezone, definition.pattern);
+        // In a file without timestamps every line would continue the first one
+        const grouping = hasTimestamps && format.multiline !== false
+            ? { isEntryStart: TimestampUtils.createTest(timestampFormat, timezone, definition.pattern), key: `${timestampFormat} ${definition.pattern || ''}` }
+            : null;
+        return { format, timestampFormat, timezone, parseTimestamp, grouping };
+    }
+
+    /**
+     * @param {string} serviceName
+     * @return {Promise<string|null>} TZ from the .env of the service, null if not set
+     */
+    async #readServiceTimezone(serviceName) {
+        try {
+            const env = await EnvUtils.loadFromPath(path.join(this.#containerDir, serviceName, '.env'));
+            return env.TZ || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Detects the timestamp format from the first lines of a log file. The result is kept in the timecache,
+     * a live log is detected again once it was rotated.
+     * @param {string} serviceName
+     * @param {string} logFileName
+     * @return {Promise<string|null>} A TimestampFormat, null if the file has no known timestamps
+     */
+    async #detectTimestampFormat(serviceName, logFileName) {
+        const logFilePath = await this.#resolveLogFile(serviceName, logFileName);
+        if (!logFilePath) return null;
+        const isLogFile = logFileName.endsWith('.log');
+        let fileHandle = null;
+        try {
+            fileHandle = await fs.promises.open(logFilePath, 'r');
+            const stats = await fileHandle.stat();
+            const headerSig = await this.#getFileHeaderSignature(fileHandle);
+            const cacheFilePath = await this.#resolveCachePath(serviceName, logFileName, stats.ino, headerSig);
+            let cache = await this.#readTimeCache(cacheFilePath);
+            const isRotated = isLogFile && cache.inode && cache.inode !== stats.ino;
+            if (cache.detectedFormat && !isRotated) return cache.detectedFormat;
+
+            let lines;
+            if (LogReadUtils.isCompressed(logFileName)) {
+                lines = [];
+                let bytes = 0;
+                for await (const { line } of LogReadUtils.readCompressedLines(logFilePath)) {
+                    lines.push(line);
+                    bytes += line.length;
+                    if (bytes >= 64 * 1024) break;
+                }
+            } else {
+                const buffer = Buffer.alloc(Math.min(stats.size, 64 * 1024));
+                const { bytesRead } = await fileHandle.read(buffer, 0, buffer.length, 0);
+                lines = buffer.toString('utf-8', 0, bytesRead).split('\n');
+            }
+            const detectedFormat = TimestampUtils.detectFormat(lines);
+            if (detectedFormat) {
+                if (isRotated) cache = { start: null, end: null, size: 0 };
+                await this.#saveTimeCache(cacheFilePath, { ...cache, inode: stats.ino, headerSig, detectedFormat }, isLogFile);
+            }
+            return detectedFormat;
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error(`Error detecting timestamp format of ${logFileName}: ${error.message}`);
+            return null;
+        } finally {
+            if (fileHandle) await fileHandle.close();
+        }
+    }
+
+    /**
+     * Keeps the lines having one of the levels and matching the search query.
+     * @param {string[]} lines
+     * @param {CompiledLogQuery} compiledQuery
+     * @return {{lines: string[], matches: Array<Array<[number, number]>>, indexes: number[]}} With the positions of the kept lines
+     * @throws {Error} If the search query times out
+     */
+    #filterLogLines(lines, { matcher, parser, levels }) {
+        if (!levels) return matcher.filter(lines);
+        const positions = [];
+        const candidates = lines.filter((line, i) => levels.includes(parser(line).level) && positions.push(i));
+        const result = matcher.filter(candidates);
+        return { ...result, indexes: result.indexes.map(index => positions[index]) };
+    }
+
+    /**
+     * @typedef {Object} TailPosition - Where a tail is, to resume it from there after a reconnect
+     * @property {number} offset - Byte offset of the next entry to send
+     * @property {string} cursor - Base64url encoded JSON of the offset `o` and the inode `i` of the file, which also
+     *   tells when the file was rotated since
+     */
+
+    /**
+     * @param {number|string} resume - Byte offset or TailPosition cursor
+     * @return {{offset: number, inode: number|null}|null} Null if invalid, the inode is only known from a cursor
+     */
+    #parseTailPosition(resume) {
+        if (typeof resume === 'number') return Number.isInteger(resume) && resume >= 0 ? { offset: resume, inode: null } : null;
+        let position;
+        try {
+            position = JSON.parse(Buffer.from(String(resume), 'base64url').toString('utf-8'));
+        } catch (error) {
+            return null;
+        }
+        if (!position || !Number.isInteger(position.o) || position.o < 0 || !Number.isInteger(position.i)) return null;
+        return { offset: position.o, inode: position.i };
+    }
+
+    /**
+     * Finds where a tail starts: at the resumed position, before the last `backfill` entries matching the query and the
+     * context lines of the first of them, or at the end. An unfinished last line is left to the tail, which sends it
+     * once its newline is written.
+     * @param {string} logFilePath
+     * @param {CompiledLogQuery} compiledQuery
+     * @param {number} backfill
+     * @param {{offset: number, inode: number|null}|null} resume
+     * @return {Promise<{position: number, inode: number}>}
+     * @throws {Error} If the resumed position is not at the start of a line, or the query times out
+     */
+    async #findTailStart(logFilePath, { matcher, parser, levels, before, grouping }, backfill, resume) {
+        const fileHandle = await fs.promises.open(logFilePath, 'r');
+        try {
+            const { size, ino } = await fileHandle.stat();
+            const last = Buffer.alloc(1);
+            if (resume) {
+                // A replaced or truncated file is followed from its start, see LogReadUtils.followLines
+                if ((resume.inode !== null && resume.inode !== ino) || resume.offset > size) {
+                    return { position: resume.offset, inode: resume.inode ?? ino };
+                }
+                if (resume.offset > 0) await fileHandle.read(last, 0, 1, resume.offset - 1);
+                if (resume.offset > 0 && last[0] !== 0x0a) throw new Error('The position is not at the start of a line.');
+                return { position: resume.offset, inode: ino };
+            }
+
+            if (size > 0) await fileHandle.read(last, 0, 1, size - 1);
+            let isUnfinished = size > 0 && last[0] !== 0x0a;
+            let position = size;
+            let found = 0;
+            let contextLeft = before;
+            for await (const { line, offset } of LogReadUtils.readLinesBackward(fileHandle, size, 0, grouping)) {
+                if (isUnfinished) {
+                    isUnfinished = false;
+                } else if (found >= backfill) {
+                    if (found === 0 || contextLeft-- <= 0) break;
+                } else if (size - offset > LOG_READ_MAX_BYTES) {
+                    break;
+                } else if ((!levels || levels.includes(parser(line).level)) && matcher.match(line)) {
+                    found += 1;
+                }
+                position = offset;
+            }
+            return { position, inode: ino };
+        } finally {
+            await fileHandle.close();
+        }
+    }
+
+    /**
+     * @typedef {()=>void} StopMonitorFunction
+     *
+     * @typedef {Object} MonitorOptions
+     * @property {(reason: 'rotated'|'truncated') => void} [onReset] - The file was replaced or truncated, the lines
+     *   that follow are from its start
+     * @property {number} [backfill] - Entries matching the query sent before the new ones, at most
+     *   LOG_TAIL_BACKFILL_MAX_LINES, with their context
+     * @property {number|string} [resume] - Byte offset or cursor of a TailPosition, the entries written since are sent
+     *   first instead of a backfill. Context lines around the position are not sent again.
+     * @property {(position: TailPosition) => void} [onPosition] - Called once started and every
+     *   LOG_TAIL_ACK_INTERVAL_MS the position moved, after the lines before it were sent
+     * 
+     * @param {string} serviceName 
+     * @param {string} logFileName 
+     * @param {(line: string, matches: Array<[number, number]>, entry: import('./utils/logParseUtils').LogEntry, isContext: boolean) => void} onLineCallback
+     *   Called for new lines matching the query, and for the context lines before and after them the query asks for.
+     *   Lines without timestamp are sent with the entry they continue, see #resolveLogFormat.
+     * @param {LogQuery} [query]
+     * @param {(error: Error) => void} [onError] - Called if the file is not found, the query or the resumed position is
+     *   invalid, the query times out or reading the file fails, monitoring stops
+     * @param {MonitorOptions} [options]
+     * @return {Promise<StopMonitorFunction>}
+     */
+    async monitorServiceLogs(serviceName, logFileName, onLineCallback, query = {}, onError = () => {}, { onReset = () => {}, backfill = 0, resume = null, onPosition = () => {} } = {}) {
+        const logFilePath = await this.#resolveLogFile(serviceName, logFileName);
+        if (!logFilePath) {
+            onError(new Error(`Log file "${logFileName}" not found.`));
+            return () => {};
+        }
+        const resumed = resume === null || resume === undefined ? null : this.#parseTailPosition(resume);
+        if (resume !== null && resume !== undefined && !resumed) {
+            onError(new Error('Invalid resume position.'));
+            return () => {};
+        }
+
+        let compiledQuery;
+        let start;
+        try {
+            compiledQuery = await this.#compileLogQuery(serviceName, logFileName, query);
+            const lines = Math.min(Math.max(0, parseInt(backfill, 10) || 0), LOG_TAIL_BACKFILL_MAX_LINES);
+            start = await this.#findTailStart(logFilePath, compiledQuery, lines, resumed);
+        } catch (error) {
+            onError(error);
+            return () => {};
+        }
+        const { matcher, parser, levels, before, after, grouping } = compiledQuery;
+
+        let stopped = false;
+        let follower = null;
+        let ackTimer = null;
+        const stop = () => {
+            stopped = true;
+            clearTimeout(pendingTimer);
+            clearInterval(ackTimer);
+            if (follower) follower.close();
+            console.log(`Stopped monitoring log file "${logFileName}" for service "${serviceName}"`);
+        };
+
+        // The last lines not sent yet, for the context of the next match
+        let preceding = [];
+        let afterLeft = 0;
+        const onEntry = (line) => {
+            const entry = parser(line);
+            let matches = null;
+            try {
+                if (!levels || levels.includes(entry.level)) matches = matcher.match(line);
+            } catch (error) {
+                stop();
+                onError(error);
+                return;
+            }
+            if (matches) {
+                for (const previous of preceding) onLineCallback(previous, [], parser(previous), true);
+                preceding = [];
+                onLineCallback(line, matches, entry, false);
+                afterLeft = after;
+            } else if (afterLeft > 0) {
+                afterLeft -= 1;
+                onLineCallback(line, [], entry, true);
+            } else if (before > 0) {
+                preceding.push(line);
+                if (preceding.length > before) preceding.shift();
+            }
+        };
+
+        // The entry whose continuation lines may still be coming
+        let pending = null;
+        let pendingOffset = 0;
+        let pendingTimer = null;
+        // End of the last line read, everything before it was sent unless it is pending
+        let consumed = start.position;
+        const flush = () => {
+            clearTimeout(pendingTimer);
+            const line = pending;
+            pending = null;
+            if (line !== null && !stopped) onEntry(line);
+        };
+        const onLine = (line, offset) => {
+            if (!grouping) {
+                onEntry(line);
+                return;
+            }
+            if (pending !== null && !grouping.isEntryStart(line)) {
+                if (pending.length < LOG_TAIL_ENTRY_MAX_BYTES) pending += '\n' + line;
+                clearTimeout(pendingTimer);
+            } else {
+                flush();
+                pending = line;
+                pendingOffset = offset;
+            }
+            pendingTimer = setTimeout(flush, LOG_TAIL_ENTRY_WAIT_MS);
+        };
+
+        follower = LogReadUtils.followLines(logFilePath, {
+            position: start.position,
+            inode: start.inode,
+            onLines: (records) => {
+                for (const { line, offset, end } of records) {
+                    if (stopped) return;
+                    onLine(line, offset);
+                    consumed = end;
+                }
+            },
+            onReset: (reason) => {
+                // Context and entries do not continue into the new file
+                flush();
+                preceding = [];
+                afterLeft = 0;
+                consumed = 0;
+                console.log(`Log file "${logFileName}" of service "${serviceName}" was ${reason}, following it from its start`);
+                if (!stopped) onReset(reason);
+            },
+            onError: (error) => {
+                console.error(`Error while tailing log file "${logFileName}" for service "${serviceName}": ${error.message}`);
+                if (stopped) return;
+                stop();
+                onError(new Error(`Reading log file "${logFileName}" failed: ${error.message}`));
+            },
+        });
+
+        let acknowledged = null;
+        const acknowledge = () => {
+            const offset = pending !== null ? pendingOffset : consumed;
+            const cursor = Buffer.from(JSON.stringify({ o: offset, i: follower.inode() ?? start.inode })).toString('base64url');
+            if (cursor === acknowledged || stopped) return;
+            acknowledged = cursor;
+            onPosition({ offset, cursor });
+        };
+        ackTimer = setInterval(acknowledge, LOG_TAIL_ACK_INTERVAL_MS);
+        acknowledge();
+
+        console.log(`Started monitoring log file "${logFileName}" for service "${serviceName}"`);
+
+        return () => {
+            if (stopped) return;
+            stop();
+        }
+
+    }
+
+    /**
+     * @typedef {Object} LogLinesResult
+     * @property {string[]} lines
+     * @property {Array<Array<[number, number]>>} matches - Search hits of each line
+     * @property {Array<import('./utils/logParseUtils').LogEntry>} entries - Each line split into timestamp, level and message
+     * @property {number|null} total - Number of lines matching the query, null if counting would need a full scan
+     * @property {boolean} truncated - True if the page was cut at LOG_READ_MAX_BYTES
+     * @property {LogLineContext[]} [contexts] - Of each line, for searches of a file
+     *
+     * @typedef {Object} LogLineContext - Where a line is and the lines around it
+     * @property {number} offset - Byte offset of the line, for readLogWindow
+     * @property {import('./utils/logReadUtils').LogLineRecord[]} before - As many as the query asked for, nearest last
+     * @property {import('./utils/logReadUtils').LogLineRecord[]} after
+     *
+     * @typedef {(line: string, matches: Array<[number, number]>, entry: import('./utils/logParseUtils').LogEntry, file?: string, context?: LogLineContext) => boolean|void|Promise<boolean|void>} LogLineCallback
+     *   Receives the lines of a page as they are read instead of collecting them, reading stops when it returns false.
+     *   `file` is only passed for searches across files, `context` for searches of a file.
+     *
+     * @typedef {Object} MatchedLogLine
+     * @property {import('./utils/logReadUtils').LogLineRecord} record
+     * @property {Array<[number, number]>} matches
+     * @property {number|null} timestamp - Time of the line or of the last line before it having one, if requested
+     */
+
+    /**
+     * Reads a page of lines, counted among the lines matching the query if one is given.
+     * The file is read in chunks: without a query through the line index, with one forwards from the start or,
+     * for a negative startLine, backwards from the end. Compressed files can only be read forwards.
+     * Lines are counted as entries, a line without timestamp belongs to the line before it, see #resolveLogFormat.
+     * @param {string} serviceName 
+     * @param {string} logFileName
+     * @param {number} startLine - Negative values count from the end
+     * @param {number} numLines
+     * @param {LogQuery} [query]
+     * @param {LogLineCallback} [onLine] - Streams the page, the result then has no lines
+     * @return {Promise<LogLinesResult|{success: false, message: string}>} Total is null for a negative startLine with a query
+     */
+    async getLogLines(serviceName, logFileName, startLine, numLines, query = {}, onLine) {
+        const empty = { lines: [], matches: [], entries: [], total: 0, truncated: false };
+        const logFilePath = await this.#resolveLogFile(serviceName, logFileName);
+        if (!logFilePath) {
+            console.error(`Error: Log file "${logFileName}" not found for service "${serviceName}"`);
+            return empty;
+        }
+
+        if (numLines <= 0) {
+            console.error(`Error: numLines must be greater than 0`);
+            return empty;
+        }
+
+        let compiledQuery;
+        try {
+            compiledQuery = await this.#compileLogQuery(serviceName, logFileName, query);
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+        
+        const { grouping } = compiledQuery;
+        let fileHandle = null;
+        try {
+            const page = this.#createLogPage(compiledQuery, onLine);
+
+            if (LogReadUtils.isCompressed(logFileName)) {
+                // A negative startLine takes a first pass counting the matching lines
+                let start = startLine;
+                if (startLine < 0) {
+                    let count = 0;
+                    for await (const _ of this.#matchLines(LogReadUtils.readCompressedLines(logFilePath, grouping), compiledQuery)) count++;
+                    start = Math.max(0, count + startLine);
+                }
+                let total = 0;
+                for await (const { record, matches } of this.#matchLines(LogReadUtils.readCompressedLines(logFilePath, grouping), compiledQuery)) {
+                    const position = total++;
+                    if (position >= start && position < start + numLines && !(await page.add(record.line, matches))) break;
+                }
+                page.result.total = total;
+                return page.result;
+            }
+
+            fileHandle = await fs.promises.open(logFilePath, 'r');
+            const { size } = await fileHandle.stat();
+            if (compiledQuery.matcher.isEmpty && !compiledQuery.levels) {
+                // Lines appended after indexing are left for the next read, so the page matches the total
+                const index = await LogReadUtils.getLineIndex(fileHandle, logFilePath, grouping);
+                const start = startLine < 0 ? Math.max(0, index.lines + startLine) : startLine;
+                page.result.total = index.lines;
+                if (start < index.lines) {
+                    const startOffset = await LogReadUtils.findLineOffset(fileHandle, index, start, grouping);
+                    let count = 0;
+                    for await (const { line } of LogReadUtils.readLines(fileHandle, startOffset, index.size, grouping)) {
+                        if (!(await page.add(line, [])) || ++count >= numLines) break;
+                    }
+                }
+            } else if (startLine >= 0) {
+                let total = 0;
+                for await (const { record, matches } of this.#matchLines(LogReadUtils.readLines(fileHandle, 0, size, grouping), compiledQuery)) {
+                    const position = total++;
+                    if (position >= startLine && position < startLine + numLines && !(await page.add(record.line, matches))) break;
+                }
+                page.result.total = total;
+            } else {
+                // The page starts `-startLine` matches before the end, so it consists of the earliest `numLines` of those
+                /** @type {MatchedLogLine[]} Last line first */
+                const window = [];
+                let windowBytes = 0;
+                let found = 0;
+                for await (const matched of this.#matchLines(LogReadUtils.readLinesBackward(fileHandle, size, 0, grouping), compiledQuery)) {
+                    found += 1;
+                    window.push(matched);
+                    windowBytes += matched.record.line.length;
+                    while (window.length > numLines || windowBytes > LOG_READ_MAX_BYTES) {
+                        windowBytes -= window.shift().record.line.length;
+                        if (window.length >= numLines) continue;
+                        page.result.truncated = true;
+                    }
+                    if (found >= -startLine) break;
+                }
+                for (const { record, matches } of window.reverse()) {
+                    if (!(await page.add(record.line, matches))) break;
+                }
+                page.result.total = null;
+            }
+            return page.result;
+        } catch (error) {
+            // Only failures of the file system carry a code, the others come from evaluating the query
+            if (!error.code) return { success: false, message: error.message };
+            console.error(`Error reading log file "${logFileName}" for service "${serviceName}": ${error.message}`);
+            return empty;
+        } finally {
+            if (fileHandle) await fileHandle.close();
+        }
+    }
+
+    /**
+     * @typedef {LogLinesResult & {offsets: number[], index: number, end: number}} LogWindow
+     *   `offsets` holds the byte offset of each line, `index` the position of the line holding the requested offset
+     *   and `end` the offset after the last line, to read on from there
+     */
+
+    /**
+     * Reads the lines around a byte offset, to jump to a line found by a search.
+     * @param {string} serviceName
+     * @param {string} logFileName
+     * @param {number} offset - Anywhere in the line, e.g. the offset of a search result
+     * @param {number} [before=50] - Lines before it, at most LOG_CONTEXT_MAX_LINES
+     * @param {number} [after=50]
+     * @return {Promise<LogWindow|{success: false, message: string}>}
+     */
+    async readLogWindow(serviceName, logFileName, offset, before = 50, after = 50) {
+        const logFilePath = await this.#resolveLogFile(serviceName, logFileName);
+        if (!logFilePath) return { success: false, message: `Log file "${logFileName}" not found.` };
+        const position = Number(offset);
+        if (!Number.isInteger(position) || position < 0) return { success: false, message: 'Invalid offset.' };
+        const lines = { before: this.#parseContextLines(before ?? 50), after: this.#parseContextLines(after ?? 50) };
+
+        let compiledQuery;
+        try {
+            compiledQuery = await this.#compileLogQuery(serviceName, logFileName, {});
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+
+        let fileHandle = null;
+        let contextReader = null;
+        try {
+            let context;
+            if (LogReadUtils.isCompressed(logFileName)) {
+                const records = LogReadUtils.readCompressedLines(logFilePath, compiledQuery.grouping);
+                contextReader = LogReadUtils.createContextReader(records, lines.before, lines.after);
+                context = await contextReader.read(position);
+            } else {
+                fileHandle = await fs.promises.open(logFilePath, 'r');
+                const { size } = await fileHandle.stat();
+                context = await LogReadUtils.readContext(fileHandle, position, lines.before, lines.after, size, compiledQuery.grouping);
+            }
+            if (!context.record) return { success: false, message: 'The offset is past the end of the file.' };
+
+            const records = [...context.before, context.record, ...context.after];
+            const page = this.#createLogPage(compiledQuery);
+            for (const record of records) await page.add(record.line, []);
+            const kept = records.slice(0, page.result.lines.length);
+            return {
+                ...page.result,
+                total: null,
+                offsets: kept.map(record => record.offset),
+                index: context.before.length,
+                end: kept[kept.length - 1].end,
+            };
+        } catch (error) {
+            console.error(`Error reading log file "${logFileName}" for service "${serviceName}": ${error.message}`);
+            return { success: false, message: `Failed to read log file "${logFileName}".` };
+        } finally {
+            if (contextReader) await contextReader.close();
+            if (fileHandle) await fileHandle.close();
+        }
+    }
+
+    /**
+     * @typedef {LogLinesResult & {nextCursor: string|null, prevCursor: string|null}} LogSearchPage
+     *   Total is only counted for the first page, requested without cursor
+     *
+     * @typedef {Object} LogCursor - Position of a page, sent to clients as base64url encoded JSON
+     * @property {number} o - Byte offset the page starts (next) or ends (prev) at
+     * @property {'next'|'prev'} d - Direction to read from the offset
+     * @property {string} q - Hash of file, time range and query the cursor was created for
+     * @property {number} e - File size when the search started, lines appended later are left out
+     * @property {number} i - Inode of the file, the cursor is invalid once the file was rotated
+     */
+
+    /**
+     * Efficiently search log file using Binary Search on file bytes.
+     * Without cursor, all matches in the range are counted and `offset` skips some of them; the returned cursors
+     * seek to the next or previous page directly and keep pages stable while the file grows.
+     * Compressed files cannot seek, their pages are found by reading the file from the start.
+     * Each line comes with its byte offset and the context lines the query asks for, which may lie outside the range.
+     * 
+     * @param {string} serviceName 
+     * @param {string} logFileName
+     * @param {string|Date} startTime
+     * @param {string|Date} endTime
+     * @param {number} [limit=1000] - The maximum number of lines to return.
+     * @param {number} [offset=0] - The starting offset for pagination, ignored with a cursor.
+     * @param {LogQuery} [query] - Only lines matching the query are returned and counted.
+     * @param {LogLineCallback} [onLine] - Streams the page, the result then has no lines
+     * @param {string|null} [cursor] - `nextCursor` or `prevCursor` of a page of the same search
+     * @return {Promise<LogSearchPage|{success: false, message: string}>}
+     */
+    async searchLogLinesByTimeRange(serviceName, logFileName, startTime, endTime, limit = 1000, offset = 0, query = {}, onLine, cursor = null) {
+        const empty = { lines: [], matches: [], entries: [], contexts: [], total: 0, truncated: false, nextCursor: null, prevCursor: null };
+        limit = Math.max(1, Number(limit) || 1000);
+        offset = Math.max(0, Number(offset) || 0);
+
+        const timeRange = this.#parseTimeRange(startTime, endTime);
+        if (!timeRange) return empty;
+        const { startTs, endTs } = timeRange;
+
+        const logFilePath = await this.#resolveLogFile(serviceName, logFileName);
+        if (!logFilePath) {
+            console.error(`Error: Log file "${logFileName}" not found`);
+            return empty;
+        }
+
+        let compiledQuery;
+        try {
+            compiledQuery = await this.#compileLogQuery(serviceName, logFileName, query);
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+
+        const searchHash = crypto.createHash('sha256')
+            .update(JSON.stringify([logFileName, startTs, endTs, query.search || '', !!query.ignoreCase, query.exclude || '', compiledQuery.levels, compiledQuery.grouping?.key]))
+            .digest('base64url')
+            .slice(0, 16);
+        let position = null;
+        if (cursor) {
+            try {
+                position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+            } catch (error) {
+                position = null;
+            }
+            if (!position || !Number.isInteger(position.o) || !['next', 'prev'].includes(position.d) || !Number.isInteger(position.e)) {
+                return { success: false, message: 'Invalid cursor.' };
+            }
+            if (position.q !== searchHash) return { success: false, message: 'The cursor belongs to another search.' };
+        }
+
+        let fileHandle = null;
+        let contextReader = null;
+        try {
+            const stats = await fs.promises.stat(logFilePath);
+            if (position && position.i !== stats.ino) {
+                return { success: false, message: 'The log file was rotated since the search started, search again.' };
+            }
+            const snapshotSize = position ? Math.min(position.e, stats.size) : stats.size;
+            const toCursor = (o, d) => Buffer.from(JSON.stringify({ o, d, q: searchHash, e: snapshotSize, i: stats.ino })).toString('base64url');
+
+            /** @type {(from: number) => AsyncIterable<MatchedLogLine>} */
+            let forward;
+            /** @type {(to: number) => AsyncIterable<MatchedLogLine>} Last line first */
+            let backward;
+            if (LogReadUtils.isCompressed(logFileName)) {
+                const readAll = () => this.#readLinesInTimeRange(serviceName, logFileName, startTs, endTs, compiledQuery);
+                forward = async function* (from) {
+                    for await (const matched of readAll()) {
+                        if (matched.record.offset >= from) yield matched;
+                    }
+                };
+                // Keeps one line more than a page, enough to tell whether there is another page
+                backward = async function* (to) {
+                    const kept = [];
+                    for await (const matched of readAll()) {
+                        if (matched.record.offset >= to) break;
+                        kept.push(matched);
+                        if (kept.length > limit + 1) kept.shift();
+                    }
+                    yield* kept.reverse();
+                };
+            } else {
+                fileHandle = await fs.promises.open(logFilePath, 'r');
+                const { startOffset, endOffset } = await this.#findTimeRangeOffsets(fileHandle, snapshotSize, startTs, endTs, compiledQuery.parseTimestamp);
+                // A cursor page needs one line more than the page, the first page counts all matches
+                const options = { skipEmpty: true, batchSize: position ? Math.min(limit + 1, LOG_FILTER_BATCH_SIZE) : LOG_FILTER_BATCH_SIZE };
+                const { grouping } = compiledQuery;
+                forward = (from) => this.#matchLines(LogReadUtils.readLines(fileHandle, Math.max(from, startOffset), endOffset, grouping), compiledQuery, options);
+                backward = (to) => this.#matchLines(LogReadUtils.readLinesBackward(fileHandle, Math.min(to, endOffset), startOffset, grouping), compiledQuery, options);
+            }
+            const hasMatch = async (matches) => {
+                for await (const _ of matches) return true;
+                return false;
+            };
+
+            const { before, after } = compiledQuery;
+            /** @type {(record: import('./utils/logReadUtils').LogLineRecord) => Promise<LogLineContext>} */
+            let readContext = async (record) => ({ offset: record.offset, before: [], after: [] });
+            if (before > 0 || after > 0) {
+                // Lines are added in file order, so a compressed file is read once for the contexts of a page
+                contextReader = fileHandle
+                    ? { read: (offset) => LogReadUtils.readContext(fileHandle, offset, before, after, snapshotSize, compiledQuery.grouping) }
+                    : LogReadUtils.createContextReader(LogReadUtils.readCompressedLines(logFilePath, compiledQuery.grouping), before, after);
+                readContext = async (record) => {
+                    const context = await contextReader.read(record.offset);
+                    return { offset: record.offset, before: context.before, after: context.after };
+                };
+            }
+
+            const page = this.#createLogPage(compiledQuery, onLine);
+            Object.assign(page.result, { contexts: [], nextCursor: null, prevCursor: null });
+            /** @type {import('./utils/logReadUtils').LogLineRecord[]} */
+            const added = [];
+            // Adds a line to the page, false if it did not fit or the client is gone
+            const add = async ({ record, matches }) => {
+                if (page.result.truncated) return false;
+                if (!(await page.add(record.line, matches, undefined, undefined, await readContext(record))) || page.result.truncated) return false;
+                added.push(record);
+                return true;
+            };
+
+            if (!position) {
+                let total = 0;
+                let hasMore = false;
+                for await (const matched of forward(0)) {
+                    const index = total++;
+                    if (index < offset || index >= offset + limit || hasMore) continue;
+                    if (!(await add(matched))) {
+                        if (!page.result.truncated) break;
+                        hasMore = true;
+                    }
+                }
+                page.result.total = total;
+                hasMore = hasMore || total > offset + added.length;
+                if (added.length > 0 && offset > 0) page.result.prevCursor = toCursor(added[0].offset, 'prev');
+                if (added.length > 0 && hasMore) page.result.nextCursor = toCursor(added[added.length - 1].end, 'next');
+            } else if (position.d === 'next') {
+                let hasMore = false;
+                for await (const matched of forward(position.o)) {
+                    if (added.length >= limit || !(await add(matched))) {
+                        hasMore = true;
+                        break;
+                    }
+                }
+                const first = added.length > 0 ? added[0].offset : position.o;
+                if (await hasMatch(backward(first))) page.result.prevCursor = toCursor(first, 'prev');
+                if (hasMore) page.result.nextCursor = toCursor(added[added.length - 1].end, 'next');
+                page.result.total = null;
+            } else {
+                /** @type {MatchedLogLine[]} */
+                const found = [];
+                let bytes = 0;
+                let hasMore = false;
+                for await (const matched of backward(position.o)) {
+                    bytes += matched.record.line.length;
+                    if (found.length >= limit || (bytes > LOG_READ_MAX_BYTES && found.length > 0)) {
+                        hasMore = true;
+                        break;
                     }
+                    found.push(matched);
+                }
+                for (const matched of found.reverse()) {
+                    if (!(await add(matched))) break;
                 }
+                const last = added.length > 0 ? added[added.length - 1].end : position.o;
+                if (hasMore) page.result.prevCursor = toCursor(added[0].offset, 'prev');
+                if (await hasMatch(forward(last))) page.result.nextCursor = toCursor(last, 'next');
+                page.result.total = null;
             }
+            return page.result;
+        } catch (error) {
+            // Only failures of the file system carry a code, the others come from evaluating the query
+            if (!error.code) return { success: false, message: error.message };
+            console.error(`Error searching logs: ${error.message}`);
+            return empty;
+        } finally {
+            if (contextReader?.close) await contextReader.close();
+            if (fileHandle) await fileHandle.close();
+        }
+    }
 
-            if (shouldDelete) {
-                try {
-                    await fs.promises.unlink(path.join(targetDir, cacheFile));
-                } catch (e) {
-                    // Ignore erase error
+    /**
+     * @typedef {LogLinesResult & {files: string[], searchedFiles: string[], nextCursor: string|null}} ServiceLogsResult
+     *   `files` holds the file of each line, `total` is not counted
+     */
+
+    /**
+     * Searches all log files of a service, including rotated and compressed ones, and merges the lines in time order.
+     * Only files whose time range overlaps the requested one are read; files without timestamps are skipped.
+     * Lines with the same time are ordered by file name and position, which makes the cursor stable while logs grow.
+     * @param {string} serviceName
+     * @param {string|Date} [startTime]
+     * @param {string|Date} [endTime]
+     * @param {number} [limit=1000]
+     * @param {string|null} [cursor] - `nextCursor` of the previous page
+     * @param {LogQuery} [query]
+     * @param {LogLineCallback} [onLine] - Streams the page, the result then has no lines
+     * @return {Promise<ServiceLogsResult|{success: false, message: string}>}
+     */
+    async searchServiceLogs(serviceName, startTime, endTime, limit = 1000, cursor = null, query = {}, onLine) {
+        if (!(await this.#checkServiceExists(serviceName))) return { success: false, message: 'Service not found.' };
+
+        const timeRange = this.#parseTimeRange(startTime, endTime);
+        if (!timeRange) return { success: false, message: 'Invalid time format.' };
+        let position = null;
+        if (cursor) {
+            try {
+                position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+            } catch (error) {
+                position = null;
+            }
+            if (!position || typeof position.t !== 'number' || typeof position.f !== 'string' || typeof position.o !== 'number') {
+                return { success: false, message: 'Invalid cursor.' };
+            }
+        }
+        const { startTs, endTs } = timeRange;
+
+        // Ordered by time, then file name, then position in the file
+        const compareKeys = (a, b) => (a.t - b.t) || (a.f < b.f ? -1 : a.f > b.f ? 1 : 0) || (a.o - b.o);
+
+        const candidates = [];
+        for (const logFileName of (await this.getServiceLogs(serviceName)).sort()) {
+            const range = await this.getLogFileTimeRange(serviceName, logFileName);
+            if (range.start == null || range.end == null) continue;
+            if ((startTs !== null && range.end < startTs) || (endTs !== null && range.start > endTs)) continue;
+            if (position && range.end < position.t) continue;
+            let compiledQuery;
+            try {
+                compiledQuery = await this.#compileLogQuery(serviceName, logFileName, query);
+            } catch (error) {
+                return { success: false, message: `${logFileName}: ${error.message}` };
+            }
+            candidates.push({ logFileName, range, compiledQuery });
+        }
+
+        const page = this.#createLogPage(null, onLine);
+        const files = [];
+        let nextCursor = null;
+        /** @type {Array<{logFileName: string, range: Object, compiledQuery: CompiledLogQuery, iterator: AsyncGenerator<MatchedLogLine>, head: Object|null}>} */
+        const sources = [];
+        // Moves a file to its next line after the cursor
+        const advance = async (source) => {
+            for (;;) {
+                const { value, done } = await source.iterator.next();
+                if (done) {
+                    source.head = null;
+                    return;
+                }
+                const key = { t: value.timestamp ?? source.range.start, f: source.logFileName, o: value.record.offset };
+                if (!position || compareKeys(key, position) > 0) {
+                    source.head = { ...value, key };
+                    return;
                 }
             }
+        };
+
+        try {
+            // Lines at the time of the cursor may not have been returned yet
+            const fromTs = position ? Math.max(startTs ?? position.t, position.t) : startTs;
+            for (const candidate of candidates) {
+                const iterator = this.#readLinesInTimeRange(serviceName, candidate.logFileName, fromTs, endTs, candidate.compiledQuery, true);
+                const source = { ...candidate, iterator, head: null };
+                sources.push(source);
+                await advance(source);
+            }
+
+            let lastKey = null;
+            for (let count = 0; count < limit; count++) {
+                const next = sources.reduce((min, source) => (
+                    source.head && (!min || compareKeys(source.head.key, min.head.key) < 0) ? source : min
+                ), null);
+                if (!next) break;
+                const { record, matches, key } = next.head;
+                const added = await page.add(record.line, matches, next.logFileName, next.compiledQuery.parser);
+                // A line cut from the page is returned with the next one
+                if (!added || page.result.truncated) break;
+                if (!onLine) files.push(next.logFileName);
+                lastKey = key;
+                await advance(next);
+            }
+            if (lastKey && sources.some(source => source.head)) {
+                nextCursor = Buffer.from(JSON.stringify(lastKey)).toString('base64url');
+            }
+        } catch (error) {
+            return { success: false, message: error.message };
+        } finally {
+            await Promise.all(sources.map(source => source.iterator.return()));
         }
 
-        return logFiles;
+        return {
+            ...page.result,
+            total: null,
+            files,
+            searchedFiles: candidates.map(candidate => candidate.logFileName),
+            nextCursor,
+        };
     }
 
     /**
-     * @typedef {()=>void} StopMonitorFunction
-     * 
-     * @param {string} serviceName 
-     * @param {string} logFileName 
-     * @param {(line: string) => void} onLineCallback 
-     * @return {Promise<StopMonitorFunction>}
+     * Counts the lines of each level in a time range, after applying the search query.
+     * With a level filter only those levels are counted, lines without a level count as "unknown".
+     * @param {string} serviceName
+     * @param {string} logFileName
+     * @param {string|Date} startTime
+     * @param {string|Date} endTime
+     * @param {LogQuery} [query]
+     * @return {Promise<{counts: Object<string, number>, total: number}|{success: false, message: string}>}
      */
-    async monitorServiceLogs(serviceName, logFileName, onLineCallback, search = '') {
-        if (!(await this.#checkServiceExists(serviceName))) return () => {};
+    async getLogLevelCounts(serviceName, logFileName, startTime, endTime, query = {}) {
+        const counts = Object.fromEntries([...Object.values(LogParseUtils.LogLevel), 'unknown'].map(level => [level, 0]));
+        if (!(await this.#checkServiceExists(serviceName))) return { counts, total: 0 };
 
-        let logFilePath = path.join(this.#containerDir, serviceName, 'logs', logFileName);
-        if (!fs.existsSync(logFilePath)) {
-            console.error(`Error: Log file "${logFileName}" not found for service "${serviceName}"`);
-            return () => {};
+        const timeRange = this.#parseTimeRange(startTime, endTime);
+        if (!timeRange) return { counts, total: 0 };
+
+        let compiledQuery;
+        try {
+            compiledQuery = await this.#compileLogQuery(serviceName, logFileName, query);
+        } catch (error) {
+            return { success: false, message: error.message };
         }
 
-        const tailOptions = {
-            fromBeginning: false,
-            follow: true,
-            useWatchFile: false,
-        };
-        
-        const tailInstance = new tail(logFilePath, tailOptions);
-        tailInstance.on("line", function(line) {
-            if (!search || line.includes(search)) {
-                onLineCallback(line);
+        let total = 0;
+        try {
+            for await (const { record } of this.#readLinesInTimeRange(serviceName, logFileName, timeRange.startTs, timeRange.endTs, compiledQuery)) {
+                counts[compiledQuery.parser(record.line).level || 'unknown'] += 1;
+                total += 1;
             }
-        });
-        
-        tailInstance.on("error", function(error) {
-            console.error(`Error while tailing log file "${logFileName}" for service "${serviceName}": ${error.message}`);
-        });
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+        return { counts, total };
+    }
 
-        tailInstance.watch();
+    /**
+     * @typedef {Object} LogHistogram
+     * @property {number|null} start - Time the first bucket starts at, null if the file has no timestamps
+     * @property {number|null} end - Last time counted
+     * @property {number} bucketSize - Milliseconds per bucket
+     * @property {{start: number, count: number, errors: number}[]} buckets - `errors` counts lines of level error or fatal
+     */
 
-        console.log(`Started monitoring log file "${logFileName}" for service "${serviceName}"`);
+    /**
+     * Counts the lines per time bucket, after applying the search query. Without a time range the whole file is counted.
+     * Bucket bounds are found by binary search, so lines are counted by position without parsing the time of each;
+     * lines without timestamp count in the bucket of the line before them. Compressed files are read from the start.
+     * The result is kept in the timecache until the file changes.
+     * @param {string} serviceName
+     * @param {string} logFileName
+     * @param {string|Date} [startTime]
+     * @param {string|Date} [endTime]
+     * @param {number} [buckets=60] - At most LOG_HISTOGRAM_MAX_BUCKETS
+     * @param {LogQuery} [query]
+     * @return {Promise<LogHistogram|{success: false, message: string}>}
+     */
+    async getLogHistogram(serviceName, logFileName, startTime, endTime, buckets = 60, query = {}) {
+        const empty = { start: null, end: null, bucketSize: 0, buckets: [] };
+        const bucketCount = Math.min(Math.max(1, parseInt(buckets, 10) || 60), LOG_HISTOGRAM_MAX_BUCKETS);
 
-        return () => {
-            tailInstance.unwatch();
-            console.log(`Stopped monitoring log file "${logFileName}" for service "${serviceName}"`);
+        const timeRange = this.#parseTimeRange(startTime, endTime);
+        if (!timeRange) return { success: false, message: 'Invalid time format.' };
+
+        const logFilePath = await this.#resolveLogFile(serviceName, logFileName);
+        if (!logFilePath) {
+            console.error(`Error: Log file "${logFileName}" not found`);
+            return empty;
+        }
+
+        let compiledQuery;
+        try {
+            compiledQuery = await this.#compileLogQuery(serviceName, logFileName, query);
+        } catch (error) {
+            return { success: false, message: error.message };
         }
 
+        // The open ends of the range are those of the file
+        const fileRange = await this.getLogFileTimeRange(serviceName, logFileName);
+        const startTs = timeRange.startTs ?? fileRange.start;
+        const endTs = timeRange.endTs ?? fileRange.end;
+        if (startTs === null || endTs === null || endTs < startTs) return empty;
+        const bucketSize = Math.max(1, Math.ceil((endTs - startTs + 1) / bucketCount));
+
+        let fileHandle = null;
+        try {
+            fileHandle = await fs.promises.open(logFilePath, 'r');
+            const stats = await fileHandle.stat();
+            const headerSig = await this.#getFileHeaderSignature(fileHandle);
+            const cacheFilePath = await this.#resolveCachePath(serviceName, logFileName, stats.ino, headerSig);
+            const cacheKey = crypto.createHash('sha256')
+                .update(JSON.stringify([startTs, endTs, bucketCount, query.search || '', !!query.ignoreCase, query.exclude || '', compiledQuery.levels, fileRange.format, fileRange.timezone, compiledQuery.grouping?.key]))
+                .digest('base64url')
+                .slice(0, 16);
+            const cache = await this.#readTimeCache(cacheFilePath);
+            const cached = cache.histograms?.[cacheKey];
+            if (cached && cached.inode === stats.ino && cached.size === stats.size) return cached.histogram;
+
+            const counts = Array.from({ length: bucketCount }, (_, i) => ({ start: startTs + i * bucketSize, count: 0, errors: 0 }));
+            const count = (bucket, line) => {
+                const { level } = compiledQuery.parser(line);
+                bucket.count += 1;
+                if (level === LogParseUtils.LogLevel.ERROR || level === LogParseUtils.LogLevel.FATAL) bucket.errors += 1;
+            };
+            if (LogReadUtils.isCompressed(logFileName)) {
+                for await (const { record, timestamp } of this.#readLinesInTimeRange(serviceName, logFileName, startTs, endTs, compiledQuery, true)) {
+                    count(counts[Math.floor((timestamp - startTs) / bucketSize)], record.line);
+                }
+            } else {
+                // bounds[i] is the offset bucket i starts at, the last one the end of the range
+                const bounds = [];
+                let offset = 0;
+                for (let i = 0; i <= bucketCount; i++) {
+                    const time = i < bucketCount ? startTs + i * bucketSize : endTs + 1;
+                    offset = await this.#findOffsetByTime(fileHandle, stats.size, time, true, offset, compiledQuery.parseTimestamp);
+                    bounds.push(offset);
+                }
+                let bucket = 0;
+                const records = LogReadUtils.readLines(fileHandle, bounds[0], bounds[bucketCount], compiledQuery.grouping);
+                for await (const { record } of this.#matchLines(records, compiledQuery, { skipEmpty: true })) {
+                    while (record.offset >= bounds[bucket + 1]) bucket++;
+                    count(counts[bucket], record.line);
+                }
+            }
+
+            const histogram = { start: startTs, end: endTs, bucketSize, buckets: counts };
+            const kept = Object.entries(cache.histograms || {}).filter(([key]) => key !== cacheKey).slice(-(LOG_HISTOGRAM_CACHE_SIZE - 1));
+            cache.histograms = Object.fromEntries([...kept, [cacheKey, { inode: stats.ino, size: stats.size, histogram }]]);
+            await this.#saveTimeCache(cacheFilePath, cache, logFileName.endsWith('.log'));
+            return histogram;
+        } catch (error) {
+            // Only failures of the file system carry a code, the others come from evaluating the query
+            if (!error.code) return { success: false, message: error.message };
+            console.error(`Error counting log lines of ${logFileName}: ${error.message}`);
+            return empty;
+        } finally {
+            if (fileHandle) await fileHandle.close();
+        }
     }
 
     /**
-     * @param {string} serviceName 
+     * Opens a log file for download, decompressing it if it is gzip compressed.
+     * Only the bytes present when it was opened are read, so a growing file still ends.
+     * @param {string} serviceName
      * @param {string} logFileName
-     * @param {number} startLine
-     * @param {number} numLines
-     * @return {Promise<string[]>}
+     * @return {Promise<{success: true, stream: import('stream').Readable}|{success: false, message: string}>}
      */
-    async getLogLines(serviceName, logFileName, startLine, numLines) {
-        if (!(await this.#checkServiceExists(serviceName))) return [];
-        
-        let logFilePath = path.join(this.#containerDir, serviceName, 'logs', logFileName);
-        if (!fs.existsSync(logFilePath)) {
-            console.error(`Error: Log file "${logFileName}" not found for service "${serviceName}"`);
-            return [];
+    async createLogReadStream(serviceName, logFileName) {
+        const logFilePath = await this.#resolveLogFile(serviceName, logFileName);
+        if (!logFilePath) return { success: false, message: `Log file "${logFileName}" not found.` };
+
+        const { size } = await fs.promises.stat(logFilePath);
+        if (LogReadUtils.isCompressed(logFileName)) {
+            const stream = fs.createReadStream(logFilePath);
+            const gunzip = zlib.createGunzip();
+            // The file stream is not closed by pipe when the consumer gives up
+            gunzip.on('close', () => stream.destroy());
+            stream.on('error', (error) => gunzip.destroy(error));
+            return { success: true, stream: stream.pipe(gunzip) };
         }
+        if (size === 0) return { success: true, stream: Readable.from([]) };
+        return { success: true, stream: fs.createReadStream(logFilePath, { start: 0, end: size - 1 }) };
+    }
 
-        
-        
+    /**
+     * Passes every line of a time range matching the query to `onLine`, without the page size limit of a search.
+     * @param {string} serviceName
+     * @param {string} logFileName
+     * @param {string|Date} [startTime]
+     * @param {string|Date} [endTime]
+     * @param {LogQuery} [query]
+     * @param {LogLineCallback} onLine
+     * @return {Promise<{total: number}|{success: false, message: string}>} Total of the lines passed on
+     */
+    async exportLogLines(serviceName, logFileName, startTime, endTime, query = {}, onLine) {
+        if (!(await this.#resolveLogFile(serviceName, logFileName))) return { success: false, message: `Log file "${logFileName}" not found.` };
+
+        const timeRange = this.#parseTimeRange(startTime, endTime);
+        if (!timeRange) return { success: false, message: 'Invalid time format.' };
+
+        let compiledQuery;
         try {
-            const fileContent = await fs.promises.readFile(logFilePath, 'utf-8');
-            const lines = fileContent.split('\n');
+            compiledQuery = await this.#compileLogQuery(serviceName, logFileName, query);
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
 
-            if (startLine < 0) {
-                startLine = Math.max(0, lines.length + startLine);
-                startLine = Math.min(startLine, lines.length);
+        let total = 0;
+        try {
+            for await (const { record, matches } of this.#readLinesInTimeRange(serviceName, logFileName, timeRange.startTs, timeRange.endTs, compiledQuery)) {
+                total += 1;
+                if ((await onLine(record.line, matches, compiledQuery.parser(record.line))) === false) break;
             }
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+        return { total };
+    }
 
-            if (numLines <= 0) {
-                console.error(`Error: numLines must be greater than 0`);
-                return [];
-            }
+    /**
+     * Packs log files of a service into a tar.gz archive, streamed while `tar` writes it.
+     * Files are added as they are on disk, rotated ones stay compressed.
+     * @param {string} serviceName
+     * @param {string[]} logFileNames
+     * @return {Promise<{success: true, stream: import('stream').Readable}|{success: false, message: string}>}
+     */
+    async createLogBundle(serviceName, logFileNames) {
+        if (!Array.isArray(logFileNames) || logFileNames.length === 0) return { success: false, message: 'No log files selected.' };
+        for (const logFileName of logFileNames) {
+            if (!(await this.#resolveLogFile(serviceName, logFileName))) return { success: false, message: `Log file "${logFileName}" not found.` };
+        }
+
+        const logsDir = path.join(this.#containerDir, serviceName, 'logs');
+        // File names are passed as arguments, not through a shell; "--" keeps names starting with "-" from being options
+        const tar = spawn('tar', ['-czf', '-', '-C', logsDir, '--', ...logFileNames], { stdio: ['ignore', 'pipe', 'pipe'] });
+        let stderr = '';
+        tar.stderr.on('data', (chunk) => { stderr += chunk; });
+        tar.on('close', (code) => {
+            // Exit code 1 means a file changed while it was read, which is expected for live logs
+            if (code > 1) console.error(`Error bundling logs of service "${serviceName}": ${stderr.trim()}`);
+        });
+        tar.stdout.on('close', () => {
+            if (tar.exitCode === null) tar.kill();
+        });
+        return { success: true, stream: tar.stdout };
+    }
 
-            const endLine = Math.min(startLine + numLines, lines.length);
-            let result = lines.slice(startLine, endLine);
-            return result;
+    /**
+     * @param {string} serviceName
+     * @param {string} logFileName
+     * @return {Promise<string|null>} Path of the log file, null if it is not a file directly in the logs directory of the service
+     */
+    async #resolveLogFile(serviceName, logFileName) {
+        if (!(await this.#checkServiceExists(serviceName))) return null;
+        if (typeof logFileName !== 'string' || !logFileName || path.basename(logFileName) !== logFileName || logFileName === '..' || logFileName.endsWith('.timecache')) {
+            return null;
+        }
+        const logFilePath = path.join(this.#containerDir, serviceName, 'logs', logFileName);
+        try {
+            return (await fs.promises.stat(logFilePath)).isFile() ? logFilePath : null;
         } catch (error) {
-            console.error(`Error reading log file "${logFileName}" for service "${serviceName}": ${error.message}`);
-            return [];
+            return null;
         }
     }
 
     /**
-     * Efficiently search log file using Binary Search on file bytes.
-     * 
-     * @param {string} serviceName 
+     * Collects the lines of a page, or passes them to `onLine` as they are read.
+     * Collected lines are capped at LOG_READ_MAX_BYTES so a page of long lines cannot exhaust memory;
+     * the first line is always taken so a page never comes back empty because of the cap.
+     * @param {CompiledLogQuery|null} compiledQuery - Null if each line is added with its own parser
+     * @param {LogLineCallback} [onLine]
+     * @return {{result: LogLinesResult, add: (line: string, matches: Array<[number, number]>, file?: string, parser?: Function, context?: LogLineContext) => Promise<boolean>}}
+     *   `add` resolves to false once `onLine` asked to stop, lines after the cut are ignored.
+     *   Contexts are collected into `result.contexts`, which the caller sets up.
+     */
+    #createLogPage(compiledQuery, onLine) {
+        const result = { lines: [], matches: [], entries: [], total: 0, truncated: false };
+        let bytes = 0;
+        let stopped = false;
+        const add = async (line, matches, file, parser = compiledQuery.parser, context = undefined) => {
+            if (stopped) return false;
+            // Lines after the cut are dropped, so the page stays contiguous
+            if (result.truncated) return true;
+            if (onLine) {
+                stopped = (await onLine(line, matches, parser(line), file, context)) === false;
+                return !stopped;
+            }
+            bytes += line.length;
+            if (context) {
+                for (const record of [...context.before, ...context.after]) bytes += record.line.length;
+            }
+            if (bytes > LOG_READ_MAX_BYTES && result.lines.length > 0) {
+                result.truncated = true;
+                return true;
+            }
+            result.lines.push(line);
+            result.matches.push(matches);
+            result.entries.push(parser(line));
+            if (context) result.contexts.push(context);
+            return true;
+        };
+        return { result, add };
+    }
+
+    /**
+     * Filters lines in batches, keeping those having one of the levels and matching the search query.
+     * @param {AsyncIterable<import('./utils/logReadUtils').LogLineRecord>} records
+     * @param {CompiledLogQuery} compiledQuery
+     * @param {{skipEmpty?: boolean, withTimestamps?: boolean, batchSize?: number}} [options] - Drop blank lines before
+     *   filtering, resolve the time of each match; a line without timestamp counts as logged at the time of the last line
+     *   before it having one. Smaller batches read less ahead when only a few matches are needed.
+     * @return {AsyncGenerator<MatchedLogLine>}
+     * @throws {Error} If the search query times out
+     */
+    async *#matchLines(records, compiledQuery, { skipEmpty = false, withTimestamps = false, batchSize = LOG_FILTER_BATCH_SIZE } = {}) {
+        const { parseTimestamp } = compiledQuery;
+        // Time of the last line filtered having one, only parsed for matches and the end of each batch
+        let timestamp = null;
+        let batch = [];
+
+        const filter = () => {
+            const { matches, indexes } = this.#filterLogLines(batch.map(record => record.line), compiledQuery);
+            let previous = -1;
+            const resolveTimestamp = (index) => {
+                // The time up to the previous match is known, only the lines after it are parsed
+                for (let i = index; i > previous; i--) {
+                    const parsed = parseTimestamp(batch[i].line);
+                    if (parsed) return parsed.time;
+                }
+                return timestamp;
+            };
+            const matched = indexes.map((index, i) => {
+                if (withTimestamps) {
+                    timestamp = resolveTimestamp(index);
+                    previous = index;
+                }
+                return { record: batch[index], matches: matches[i], timestamp: withTimestamps ? timestamp : null };
+            });
+            if (withTimestamps) timestamp = resolveTimestamp(batch.length - 1);
+            batch = [];
+            return matched;
+        };
+
+        for await (const record of records) {
+            if (skipEmpty && record.line.trim().length === 0) continue;
+            batch.push(record);
+            if (batch.length >= batchSize) yield* filter();
+        }
+        if (batch.length > 0) yield* filter();
+    }
+
+    /**
+     * @param {string|Date} [startTime]
+     * @param {string|Date} [endTime]
+     * @return {{startTs: number|null, endTs: number|null}|null} Null if a time is invalid
+     */
+    #parseTimeRange(startTime, endTime) {
+        const startTs = startTime ? new Date(startTime).getTime() : null;
+        const endTs = endTime ? new Date(endTime).getTime() : null;
+
+        if ((startTime && isNaN(startTs)) || (endTime && isNaN(endTs))) {
+            console.error('Error: Invalid time format');
+            return null;
+        }
+        return { startTs, endTs };
+    }
+
+    /**
+     * Locates the lines logged between two times by binary search.
+     * @param {fs.FileHandle} fileHandle
+     * @param {number} fileSize - Lines after it are left out
+     * @param {number|null} startTs - From the beginning of the file if null
+     * @param {number|null} endTs - To the end of the file if null
+     * @param {import('./utils/timestampUtils').TimestampParser} parseTimestamp
+     * @return {Promise<{startOffset: number, endOffset: number}>}
+     */
+    async #findTimeRangeOffsets(fileHandle, fileSize, startTs, endTs, parseTimestamp) {
+        const startOffset = startTs !== null ? await this.#findOffsetByTime(fileHandle, fileSize, startTs, true, 0, parseTimestamp) : 0;
+        const endOffset = endTs !== null ? await this.#findOffsetByTime(fileHandle, fileSize, endTs + 1, false, startOffset, parseTimestamp) : fileSize;
+        return { startOffset, endOffset };
+    }
+
+    /**
+     * Reads the non-empty lines logged between two times that match the query.
+     * Plain files are located by binary search and read in chunks, compressed ones are read from the start
+     * until the end time is passed.
+     * @param {string} serviceName
      * @param {string} logFileName
-     * @param {string|Date} startTime
-     * @param {string|Date} endTime
-     * @param {number} [limit=1000] - The maximum number of lines to return.
-     * @param {number} [offset=0] - The starting offset for pagination.
-     * @return {Promise<{lines: string[], total: number}>}
-     */
-   async searchLogLinesByTimeRange(serviceName, logFileName, startTime, endTime, limit = 1000, offset = 0, search = '') {
-       if (!(await this.#checkServiceExists(serviceName))) return { lines: [], total: 0 };
-
-       const logFilePath = path.join(this.#containerDir, serviceName, 'logs', logFileName);
-       if (!fs.existsSync(logFilePath)) {
-           console.error(`Error: Log file "${logFileName}" not found`);
-           return { lines: [], total: 0 };
-       }
-
-       const startTs = startTime ? new Date(startTime).getTime() : null;
-       const endTs = endTime ? new Date(endTime).getTime() : null;
-
-       if ((startTime && isNaN(startTs)) || (endTime && isNaN(endTs))) {
-           console.error('Error: Invalid time format');
-           return { lines: [], total: 0 };
-       }
- 
-       let fileHandle = null;
-       try {
-           fileHandle = await fs.promises.open(logFilePath, 'r');
-           const stats = await fileHandle.stat();
-           const fileSize = stats.size;
- 
-           const startOffset = startTs ? await this.#findOffsetByTime(fileHandle, fileSize, startTs, true) : 0;
-           const endOffset = endTs ? await this.#findOffsetByTime(fileHandle, fileSize, endTs + 1, false, startOffset) : fileSize;
-
-           const readLength = endOffset - startOffset;
-           if (readLength <= 0) return { lines: [], total: 0 };
-
-           const buffer = Buffer.alloc(readLength);
-           await fileHandle.read(buffer, 0, readLength, startOffset);
-           
-           const content = buffer.toString('utf-8');
-           let allLines = content.split('\n').filter(line => line.trim().length > 0);
-
-           if (search) {
-               allLines = allLines.filter(line => line.includes(search));
-           }
-
-           const total = allLines.length;
-           const paginatedLines = allLines.slice(offset, offset + limit);
-
-           return { lines: paginatedLines, total: total };
-
-       } catch (error) {
-           console.error(`Error searching logs: ${error.message}`);
-           return { lines: [], total: 0 };
-       } finally {
-           if (fileHandle) await fileHandle.close();
-       }
-   }
+     * @param {number|null} startTs - From the beginning of the file if null
+     * @param {number|null} endTs - To the end of the file if null
+     * @param {CompiledLogQuery} compiledQuery
+     * @param {boolean} [withTimestamps=false] - Resolve the time of each line, see #matchLines
+     * @return {AsyncGenerator<MatchedLogLine>} Nothing if the file cannot be read
+     * @throws {Error} If the search query times out
+     */
+    async *#readLinesInTimeRange(serviceName, logFileName, startTs, endTs, compiledQuery, withTimestamps = false) {
+        const logFilePath = await this.#resolveLogFile(serviceName, logFileName);
+        if (!logFilePath) {
+            console.error(`Error: Log file "${logFileName}" not found`);
+            return;
+        }
 
-    
+        const { parseTimestamp } = compiledQuery;
+        let fileHandle = null;
+        try {
+            if (LogReadUtils.isCompressed(logFileName)) {
+                const records = LogReadUtils.readCompressedLines(logFilePath, compiledQuery.grouping);
+                const isFiltered = startTs !== null || endTs !== null;
+                for await (const matched of this.#matchLines(records, compiledQuery, { skipEmpty: true, withTimestamps: withTimestamps || isFiltered })) {
+                    if (startTs !== null && (matched.timestamp === null || matched.timestamp < startTs)) continue;
+                    if (endTs !== null && matched.timestamp > endTs) return;
+                    yield matched;
+                }
+                return;
+            }
+
+            fileHandle = await fs.promises.open(logFilePath, 'r');
+            const stats = await fileHandle.stat();
+            const { startOffset, endOffset } = await this.#findTimeRangeOffsets(fileHandle, stats.size, startTs, endTs, parseTimestamp);
+
+            if (endOffset > startOffset) {
+                const records = LogReadUtils.readLines(fileHandle, startOffset, endOffset, compiledQuery.grouping);
+                yield* this.#matchLines(records, compiledQuery, { skipEmpty: true, withTimestamps });
+            }
+        } catch (error) {
+            // Only failures of the file system carry a code, the others come from evaluating the query
+            if (!error.code) throw error;
+            console.error(`Error searching logs: ${error.message}`);
+        } finally {
+            if (fileHandle) await fileHandle.close();
+        }
+    }
 
     /**
      * Find the first valid timestamp in the file.
      * @param {fs.FileHandle} fileHandle 
      * @param {number} fileSize 
+     * @param {import('./utils/timestampUtils').TimestampParser} parseTimestamp
      * @returns {Promise<number|null>} Timestamp or null
      */
-    async #findFirstTimestamp(fileHandle, fileSize) {
+    async #findFirstTimestamp(fileHandle, fileSize, parseTimestamp) {
         // Scan up to 50KB from start to find a timestamp
         const SCAN_LIMIT = 50 * 1024;
         const scanSize = Math.min(fileSize, SCAN_LIMIT);
         
         try {
-            const { nextTs } = await this.#scanForwardForTime(fileHandle, 0, scanSize);
+            const { nextTs } = await this.#scanForwardForTime(fileHandle, 0, scanSize, parseTimestamp);
             return nextTs;
         } catch (error) {
             console.error('Error finding first timestamp:', error);
@@ -640,9 +2683,10 @@ class DockerModule {
      * Find the last valid timestamp in the file.
      * @param {fs.FileHandle} fileHandle 
      * @param {number} fileSize 
+     * @param {import('./utils/timestampUtils').TimestampParser} parseTimestamp
      * @returns {Promise<number|null>} Timestamp or null
      */
-    async #findLastTimestamp(fileHandle, fileSize) {
+    async #findLastTimestamp(fileHandle, fileSize, parseTimestamp) {
         // We'll read chunks from the end backwards
         const CHUNK_SIZE = 10 * 1024; // 10KB
         let position = fileSize;
@@ -661,21 +2705,12 @@ class DockerModule {
             
             // We want to find the *last* timestamp in this chunk.
             const lines = chunk.split('\n');
-            const tz = moment.tz.guess();
             
-            // Iterate backwards
-            for (let i = lines.length - 1; i >= 0; i--) {
-                const line = lines[i];
-                // Regex from #extractTimeAtOffset but strict
-                const timeRegex = /^(\d{1,2}\/\d{1,2}\/\d{4}, \d{1,2}:\d{2}:\d{2} (?:AM|PM))/;
-                const match = line.match(timeRegex);
-                
-                if (match) {
-                    const dateString = match[1];
-                    const ts = moment.tz(dateString, "MM/DD/YYYY, hh:mm:ss A", tz).valueOf();
-                    if (!isNaN(ts)) {
-                        return ts;
-                    }
+            // Iterate backwards. The first part is cut off by the chunk start unless the file starts there.
+            for (let i = lines.length - 1; i >= (startOffset === 0 ? 0 : 1); i--) {
+                const timestamp = parseTimestamp(lines[i]);
+                if (timestamp) {
+                    return timestamp.time;
                 }
             }
 
@@ -719,8 +2754,10 @@ class DockerModule {
 
     /**
      * Reads and parses the timecache file. Returns a default object if missing/invalid.
+     * `format` and `timezone` are what start and end were parsed with, `detectedFormat` is the detected timestamp format,
+     * `histograms` holds the results of getLogHistogram by a hash of their parameters.
      * @param {string} cacheFilePath 
-     * @returns {Promise<{start: number|null, end: number|null, size: number, inode: number, headerSig: string}>}
+     * @returns {Promise<{start: number|null, end: number|null, size: number, inode: number, headerSig: string, format?: string, timezone?: string, detectedFormat?: string, histograms?: Object<string, {inode: number, size: number, histogram: LogHistogram}>}>}
      */
     async #readTimeCache(cacheFilePath) {
         try {
@@ -782,23 +2819,42 @@ class DockerModule {
      * @param {Object} cache - Will be mutated with new timestamps
      * @param {boolean} needsStart 
      * @param {boolean} needsEnd 
+     * @param {import('./utils/timestampUtils').TimestampParser} parseTimestamp
      */
-    async #calculateMissingTimeRanges(fileHandle, fileSize, cache, needsStart, needsEnd) {
+    async #calculateMissingTimeRanges(fileHandle, fileSize, cache, needsStart, needsEnd, parseTimestamp) {
         if (needsStart) {
-            const startTs = await this.#findFirstTimestamp(fileHandle, fileSize);
+            const startTs = await this.#findFirstTimestamp(fileHandle, fileSize, parseTimestamp);
             if (startTs !== null) {
                 cache.start = startTs;
             }
         }
 
         if (needsEnd) {
-            const endTs = await this.#findLastTimestamp(fileHandle, fileSize);
+            const endTs = await this.#findLastTimestamp(fileHandle, fileSize, parseTimestamp);
             if (endTs !== null) {
                 cache.end = endTs;
             }
         }
     }
 
+    /**
+     * Finds the first and the last timestamp of a compressed file by decompressing all of it.
+     * @param {string} logFilePath
+     * @param {import('./utils/timestampUtils').TimestampParser} parseTimestamp
+     * @returns {Promise<{start: number|null, end: number|null}>}
+     */
+    async #findCompressedTimeRange(logFilePath, parseTimestamp) {
+        let start = null;
+        let end = null;
+        for await (const { line } of LogReadUtils.readCompressedLines(logFilePath)) {
+            const timestamp = parseTimestamp(line);
+            if (!timestamp) continue;
+            if (start === null) start = timestamp.time;
+            end = timestamp.time;
+        }
+        return { start, end };
+    }
+
     /**
      * Persists the cache object to disk.
      * @param {string} cacheFilePath 
@@ -811,7 +2867,11 @@ class DockerModule {
             end: cache.end,
             size: cache.size,
             inode: cache.inode,
-            headerSig: cache.headerSig
+            headerSig: cache.headerSig,
+            format: cache.format,
+            timezone: cache.timezone,
+            detectedFormat: cache.detectedFormat,
+            histograms: cache.histograms,
         };
         await fs.promises.writeFile(cacheFilePath, JSON.stringify(cacheToSave), 'utf-8');
     }
@@ -820,19 +2880,17 @@ class DockerModule {
      * Get start and end time of a log file, utilising caching.
      * @param {string} serviceName 
      * @param {string} logFileName 
-     * @returns {Promise<{start: number|null, end: number|null}>}
+     * @returns {Promise<{start: number|null, end: number|null, format?: string, timezone?: string}>}
+     *   With the timestamp format and timezone the times were parsed with
      */
     async getLogFileTimeRange(serviceName, logFileName) {
-        if (!(await this.#checkServiceExists(serviceName))) return { start: null, end: null };
-
-        const logFilePath = path.join(this.#containerDir, serviceName, 'logs', logFileName);
-        
-        if (!fs.existsSync(logFilePath)) {
-            return { start: null, end: null };
-        }
+        const logFilePath = await this.#resolveLogFile(serviceName, logFileName);
+        if (!logFilePath) return { start: null, end: null };
 
         let fileHandle = null;
         try {
+            const { timestampFormat, timezone, parseTimestamp } = await this.#resolveLogFormat(serviceName, logFileName);
+
             fileHandle = await fs.promises.open(logFilePath, 'r');
             const stats = await fileHandle.stat();
             const fileSize = stats.size;
@@ -842,18 +2900,28 @@ class DockerModule {
             const cacheFilePath = await this.#resolveCachePath(serviceName, logFileName, inode, headerSig);
             let cache = await this.#readTimeCache(cacheFilePath);
 
+            // Times parsed with another format or timezone are recalculated
+            if (cache.format !== timestampFormat || cache.timezone !== timezone) {
+                cache = { ...cache, start: null, end: null };
+            }
+
             const validation = this.#validateTimeCache(cache, inode, fileSize, headerSig, logFileName);
             
             // If fully valid, return immediately
             if (validation.isValid) {
-                return { start: validation.cache.start, end: validation.cache.end };
+                return { start: validation.cache.start, end: validation.cache.end, format: timestampFormat, timezone };
             }
 
-            cache = validation.cache;
-            await this.#calculateMissingTimeRanges(fileHandle, fileSize, cache, validation.needsStart, validation.needsEnd);
+            cache = { ...validation.cache, format: timestampFormat, timezone };
+            if (LogReadUtils.isCompressed(logFileName)) {
+                // Compressed files cannot be read from the end, they are scanned once and cached for good
+                Object.assign(cache, await this.#findCompressedTimeRange(logFilePath, parseTimestamp));
+            } else {
+                await this.#calculateMissingTimeRanges(fileHandle, fileSize, cache, validation.needsStart, validation.needsEnd, parseTimestamp);
+            }
             await this.#saveTimeCache(cacheFilePath, cache, logFileName.endsWith('.log'));
 
-            return { start: cache.start, end: cache.end };
+            return { start: cache.start, end: cache.end, format: timestampFormat, timezone };
 
         } catch (error) {
             console.error(`Error calculating time range for ${logFileName}:`, error);
@@ -864,13 +2932,19 @@ class DockerModule {
     }
 
     /**
-     * implement in future
+     * @typedef {Object} ServiceMetadata - Contents of dcm.yml in the service directory
+     * @property {import('./utils/logParseUtils').LogFormat} [logs] - How log lines are parsed
+     */
+
+    /**
+     * Reads the DCM settings of a service.
      * @param {string} serviceName 
-     * @return {Promise<ServiceMetadata>}
+     * @return {Promise<ServiceMetadata>} Empty if the service has no dcm.yml
      */
     async readServiceMetadata(serviceName) {
-        console.error('readServiceMetadata not implemented yet');
-        return {};
+        if (!(await this.#checkServiceExists(serviceName))) return {};
+        const metadata = await YmlUtils.loadOptional(path.join(this.#containerDir, serviceName, 'dcm.yml'));
+        return metadata || {};
     }
 
     
@@ -0,0 +1,155 @@
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+
+let ServiceEventType = Object.freeze({
+    STARTED: "started",
+    DIED: "died",
+    OOM: "oom",
+    HEALTH: "health",
+    // The docker event stream was (re)connected, events may have been missed in between
+    RESYNC: "resync",
+});
+
+// docker events actions we translate, health changes arrive as "health_status: <status>"
+const DOCKER_EVENT_FILTERS = ['start', 'die', 'oom', 'health_status'];
+
+class EventModule {
+    #emitter = new EventEmitter();
+    /** @type {import('child_process').ChildProcess|null} */
+    #process = null;
+    #restartTimer = null;
+    #restartDelay;
+
+    ServiceEventType = ServiceEventType;
+
+    constructor() {
+        this.#restartDelay = parseInt(process.env.DOCKER_EVENTS_RESTART_DELAY_MS, 10) || 5000;
+        // One listener per open /ws/events socket
+        this.#emitter.setMaxListeners(0);
+    }
+
+    /**
+     * @typedef {Object} ServiceEvent
+     * @property {'started'|'died'|'oom'|'health'|'resync'} type
+     * @property {number} time - Unix timestamp in milliseconds
+     * @property {string} [service] - Compose project, i.e. the DCM service name
+     * @property {string} [container] - Container name
+     * @property {string} [composeService] - Service inside the compose file
+     * @property {number} [exitCode] - For "died" events
+     * @property {'starting'|'healthy'|'unhealthy'} [health] - For "health" events
+     */
+
+    /**
+     * Subscribes to service events. `docker events` runs while there is at least one subscriber.
+     * @param {(event: ServiceEvent) => void} listener
+     * @returns {() => void} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.#emitter.on('event', listener);
+        this.#start();
+        return () => {
+            this.#emitter.off('event', listener);
+            if (this.#emitter.listenerCount('event') === 0) this.#stop();
+        };
+    }
+
+    #start() {
+        if (this.#process || this.#restartTimer) return;
+
+        const filters = DOCKER_EVENT_FILTERS.flatMap(event => ['--filter', `event=${event}`]);
+        const child = spawn('docker', [
+            'events',
+            '--filter', 'type=container',
+            '--filter', 'label=com.docker.compose.project',
+            ...filters,
+            '--format', '{{json .}}',
+        ]);
+        this.#process = child;
+        console.log('Subscribed to docker events');
+        this.#emit({ type: ServiceEventType.RESYNC, time: Date.now() });
+
+        let pending = '';
+        child.stdout.on('data', (chunk) => {
+            pending += chunk.toString('utf-8');
+            const lines = pending.split('\n');
+            pending = lines.pop();
+            for (const line of lines) {
+                if (line.trim()) this.#handleLine(line);
+            }
+        });
+        child.stderr.on('data', (chunk) => console.error(`docker events: ${chunk.toString('utf-8').trim()}`));
+
+        const onExit = (reason) => {
+            if (this.#process !== child) return;
+            this.#process = null;
+            if (this.#emitter.listenerCount('event') === 0) return;
+
+            console.error(`Error: docker events ${reason}, reconnecting in ${this.#restartDelay}ms`);
+            this.#restartTimer = setTimeout(() => {
+                this.#restartTimer = null;
+                if (this.#emitter.listenerCount('event') > 0) this.#start();
+            }, this.#restartDelay);
+        };
+        child.on('error', (error) => onExit(`failed: ${error.message}`));
+        child.on('close', (code) => onExit(`exited with code ${code}`));
+    }
+
+    #stop() {
+        clearTimeout(this.#restartTimer);
+        this.#restartTimer = null;
+        if (this.#process) {
+            const child = this.#process;
+            this.#process = null;
+            child.kill();
+            console.log('Unsubscribed from docker events');
+        }
+    }
+
+    /**
+     * @param {string} line - One event from `docker events --format '{{json .}}'`
+     */
+    #handleLine(line) {
+        let dockerEvent;
+        try {
+            dockerEvent = JSON.parse(line);
+        } catch (error) {
+            console.error(`Error parsing docker event: ${line}`);
+            return;
+        }
+
+        const event = this.#toServiceEvent(dockerEvent);
+        if (event) this.#emit(event);
+    }
+
+    /**
+     * @param {Object} dockerEvent
+     * @returns {ServiceEvent|null} Null for events that are not translated
+     */
+    #toServiceEvent(dockerEvent) {
+        const attributes = (dockerEvent.Actor || {}).Attributes || {};
+        const action = dockerEvent.Action || dockerEvent.status || '';
+        const event = {
+            time: dockerEvent.timeNano ? Math.floor(dockerEvent.timeNano / 1e6) : dockerEvent.time * 1000,
+            service: attributes['com.docker.compose.project'],
+            container: attributes.name,
+            composeService: attributes['com.docker.compose.service'],
+        };
+
+        if (action === 'start') return { type: ServiceEventType.STARTED, ...event };
+        if (action === 'die') return { type: ServiceEventType.DIED, ...event, exitCode: parseInt(attributes.exitCode, 10) };
+        if (action === 'oom') return { type: ServiceEventType.OOM, ...event };
+        if (action.startsWith('health_status:')) {
+            return { type: ServiceEventType.HEALTH, ...event, health: action.substring('health_status:'.length).trim() };
+        }
+        return null;
+    }
+
+    /**
+     * @param {ServiceEvent} event
+     */
+    #emit(event) {
+        this.#emitter.emit('event', event);
+    }
+}
+
+module.exports = new EventModule();
@@ -1,19 +1,28 @@
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import Dashboard from './pages/Dashboard';
 import ServiceDetail from './pages/ServiceDetail';
+import LiveTail from './pages/LiveTail';
+import Login from './pages/Login';
+import { getAuthToken } from './api/client';
 import './App.css';
 
 const queryClient = new QueryClient();
 
+const RequireAuth: React.FC<{ children: React.ReactElement }> = ({ children }) => {
+  return getAuthToken() ? children : <Navigate to="/login" replace />;
+};
+
 const App: React.FC = () => {
   return (
     <QueryClientProvider client={queryClient}>
       <Router>
         <Routes>
-          <Route path="/" element={<Dashboard />} />
-          <Route path="/service/:name" element={<ServiceDetail />} />
+          <Route path="/login" element={<Login />} />
+          <Route path="/" element={<RequireAuth><Dashboard /></RequireAuth>} />
+          <Route path="/service/:name" element={<RequireAuth><ServiceDetail /></RequireAuth>} />
+          <Route path="/tail" element={<RequireAuth><LiveTail /></RequireAuth>} />
         </Routes>
       </Router>
     </QueryClientProvider>
@@ -4,24 +4,334 @@ const apiClient = axios.create({
   baseURL: `${import.meta.env.VITE_API_URL}/api`,
 });
 
+const TOKEN_KEY = 'dcm-token';
+
+export const getAuthToken = () => localStorage.getItem(TOKEN_KEY);
+
+apiClient.interceptors.request.use(config => {
+  const token = getAuthToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+apiClient.interceptors.response.use(undefined, error => {
+  // Session expired or revoked: drop the token and send the user back to the login page
+  if (error.response?.status === 401 && window.location.pathname !== '/login') {
+    localStorage.removeItem(TOKEN_KEY);
+    window.location.assign('/login');
+  }
+  return Promise.reject(error);
+});
+
+/** Builds a WebSocket URL for the API server, authenticated with the current token. */
+export const getWebSocketUrl = (path: string, params: Record<string, string> = {}) => {
+  const wsUrl = import.meta.env.VITE_API_URL.replace(/^http/, 'ws');
+  const query = new URLSearchParams({ ...params, token: getAuthToken() ?? '' });
+  return `${wsUrl}${path}?${query}`;
+};
+
+export interface User {
+  username: string;
+  role: 'viewer' | 'operator' | 'admin';
+  services?: string[];
+}
+
+export const login = (username: string, password: string): Promise<{ token: string; user: User }> =>
+  apiClient.post('/auth/login', { username, password }).then(res => {
+    localStorage.setItem(TOKEN_KEY, res.data.token);
+    return res.data;
+  });
+
+export const logout = () =>
+  apiClient.post('/auth/logout').finally(() => localStorage.removeItem(TOKEN_KEY));
+
+export const getCurrentUser = (): Promise<User> => apiClient.get('/auth/me').then(res => res.data);
+
 export const getServices = () => apiClient.get('/services').then(res => res.data);
 
-export const getServiceStatus = (name: string) => apiClient.get(`/services/${name}/status`).then(res => res.data);
+export interface NetworkConfigData {
+  type: 'internal' | 'external';
+  mappingDstIPv4?: string;
+  mappingDstPort?: string;
+  mappingSrcPort?: string;
+  internalNetSegment?: string;
+  externalIPv4?: string;
+  externalIPv6?: string;
+}
+
+export interface ConfigData {
+  service_name: string;
+  network: NetworkConfigData;
+}
+
+export const createService = (configData: ConfigData, envData: object = {}, projectEnvData: object = {}) =>
+  apiClient.post('/services', { configData, envData, projectEnvData }).then(res => res.data);
+
+export const deleteService = (name: string, mode: 'archive' | 'delete' = 'archive', confirm?: string) =>
+  apiClient.delete(`/services/${name}`, { data: { mode, confirm } }).then(res => res.data);
+
+export interface ServiceArchive {
+  file: string;
+  service: string;
+  size: number;
+  createdAt: number;
+}
+
+export const getArchives = (): Promise<ServiceArchive[]> => apiClient.get('/archives').then(res => res.data);
+export const restoreService = (file: string) => apiClient.post(`/archives/${file}/restore`).then(res => res.data);
+
+export type ServiceStatusType = 'Up' | 'Down' | 'Starting' | 'Unhealthy' | 'CrashLooping' | 'Paused' | 'Degraded' | 'Unknown';
+
+export interface ContainerStatus {
+  id: string;
+  name: string;
+  service: string | null;
+  state: 'created' | 'running' | 'restarting' | 'exited' | 'paused' | 'removing' | 'dead';
+  exitCode: number | null;
+  health: 'starting' | 'healthy' | 'unhealthy' | null;
+  startedAt: string | null;
+  finishedAt: string | null;
+  uptime: number | null;
+  restartCount: number;
+  oomKilled: boolean;
+  image: string;
+  imageDigest: string | null;
+  networks: Record<string, { ipv4: string | null; ipv6: string | null }>;
+}
+
+export interface ServiceStatus {
+  status: ServiceStatusType;
+  containers: ContainerStatus[];
+  message?: string;
+}
+
+export const getServiceStatus = (name: string): Promise<ServiceStatus> => apiClient.get(`/services/${name}/status`).then(res => res.data);
+
+export interface ContainerSummary {
+  id: string;
+  name: string;
+  service: string | null;
+  state: string;
+  exitCode: number | null;
+  health: 'starting' | 'healthy' | 'unhealthy' | null;
+  image: string;
+  statusText: string;
+}
+
+export interface MetricsSample {
+  time: number;
+  containers: number;
+  cpu: number;
+  memory: number;
+  memoryLimit: number;
+  memoryPercent: number;
+  netRx: number;
+  netTx: number;
+  blockRead: number;
+  blockWrite: number;
+  pids: number;
+}
+
+export interface ServiceStatusSummary {
+  name: string;
+  status: ServiceStatusType;
+  containers: ContainerSummary[];
+  message?: string;
+  /** Latest resource usage, null if no container is running */
+  metrics: MetricsSample | null;
+}
+
+export interface ServiceEvent {
+  type: 'started' | 'died' | 'oom' | 'health' | 'resync';
+  time: number;
+  service?: string;
+  container?: string;
+  composeService?: string;
+  exitCode?: number;
+  health?: 'starting' | 'healthy' | 'unhealthy';
+}
+
+/** Lists all services with their status and current usage in one request, served from server side caches */
+export const getServicesWithStatus = (): Promise<ServiceStatusSummary[]> =>
+  apiClient.get('/services', { params: { include: 'status,metrics' } }).then(res => res.data);
+
+export interface ServiceMetrics {
+  from: number;
+  to: number;
+  step: number;
+  points: MetricsSample[];
+  current: MetricsSample | null;
+}
+
+/** `from` and `to` are ISO timestamps or milliseconds, `step` is in seconds */
+export const getServiceMetrics = (name: string, params: { from?: string | number; to?: string | number; step?: number } = {}): Promise<ServiceMetrics> =>
+  apiClient.get(`/services/${name}/metrics`, { params }).then(res => res.data);
 
 export const getServiceConfig = (name: string) => apiClient.get(`/services/${name}/config`).then(res => res.data);
 export const getServiceConfigData = (name: string) => apiClient.get(`/services/${name}/config-data`).then(res => res.data);
+export const updateServiceConfigData = (name: string, configData: ConfigData, recreate: boolean) =>
+  apiClient.put(`/services/${name}/config-data`, { configData, recreate }).then(res => res.data);
 export const writeServiceEnvConfig = (name: string, envData: object) => apiClient.post(`/services/${name}/config/env`, { envData });
-export const powerAction = (name: string, action: 'start' | 'stop' | 'restart' | 'down') => apiClient.post(`/services/${name}/power`, { action });
+/** up recreates the containers, pull and build update the image and then recreate the changed containers */
+export type PowerActionType = 'start' | 'stop' | 'restart' | 'down' | 'up' | 'pull' | 'build';
+
+export interface PowerActionResult {
+  success: boolean;
+  message: string;
+  jobId?: string;
+  /** Number of operations on the service ahead of this one */
+  queuePosition?: number;
+}
+
+/** With `wait` false the request returns as soon as the job is started; follow it with getJob or /ws/jobs/:id. */
+export const powerAction = (name: string, action: PowerActionType, wait = true): Promise<PowerActionResult> =>
+  apiClient.post(`/services/${name}/power`, { action, wait }).then(res => res.data);
 export const getLogFiles = (name: string) => apiClient.get(`/services/${name}/logs/files`).then(res => res.data.filter((f: string) => !f.endsWith('.timecache')));
 
-export const readLogFile = (name: string, file: string, startLine: number) =>
-  apiClient.get(`/services/${name}/logs/read`, { params: { file, start: startLine, num: 100 } }).then(res => res.data);
+/** Start (inclusive) and end (exclusive) index of a search hit in a line */
+export type MatchRange = [number, number];
+
+export type LogLevel = 'fatal' | 'error' | 'warn' | 'info' | 'debug' | 'trace';
 
-export interface SearchLogResult {
+/** A log line split by the log format of the service (dcm.yml) */
+export interface LogEntry {
+  timestamp: number | null;
+  level: LogLevel | null;
+  message: string;
+  raw: string;
+}
+
+/**
+ * Log search query: terms are ANDed, `OR`, `NOT`/`-term`, `"phrases"`, `/regex/flags` and parentheses are supported.
+ * Lines matching `exclude` are dropped, with `levels` only lines of these levels are kept.
+ * `before` and `after` ask for lines of context around each match, like `grep -B -A`.
+ */
+export interface LogSearchQuery {
+  search: string;
+  ignoreCase?: boolean;
+  exclude?: string;
+  levels?: LogLevel[];
+  before?: number;
+  after?: number;
+}
+
+export interface LogContextLine {
+  line: string;
+  /** Byte offsets of the line start and of the next line */
+  offset: number;
+  end: number;
+}
+
+/** Where a search result is in its file and the lines around it */
+export interface LogLineContext {
+  offset: number;
+  before: LogContextLine[];
+  after: LogContextLine[];
+}
+
+/** A log line with the hits of the search query, also the message format of /ws/logs with `format=json` */
+export interface LogLine {
+  /** The lines of an entry joined by newlines, e.g. a message with its stack trace */
+  line: string;
+  matches: MatchRange[];
+  entry?: LogEntry;
+  /** Set for searches across all log files */
+  file?: string;
+  /** Set for searches of a file */
+  context?: LogLineContext;
+  /** A line around a match sent by /ws/logs for `before`/`after`, not a match itself */
+  isContext?: boolean;
+}
+
+/** A log file followed over /ws/tail, with the lines it sends filtered by `query` */
+export interface LogTailSubscription {
+  id: string;
+  service: string;
+  file: string;
+  query?: Partial<LogSearchQuery>;
+  /** Matching lines written before subscribing that are sent first */
+  backfill?: number;
+}
+
+/**
+ * Messages of /ws/tail; `reset` tells that the file was rotated or truncated and is followed from its start,
+ * `position` where to resume after a reconnect
+ */
+export type LogTailMessage =
+  | ({ type: 'line'; id: string; service: string; file: string } & LogLine)
+  | { type: 'subscribed' | 'unsubscribed'; id: string }
+  | { type: 'position'; id: string; position: number; cursor: string }
+  | { type: 'reset'; id: string; service: string; file: string; reason: 'rotated' | 'truncated' }
+  | { type: 'error'; id: string | null; message: string };
+
+export interface LogLinesResult {
   lines: string[];
+  matches: MatchRange[][];
+  entries: LogEntry[];
+  /** Null when reading backwards with a query, as counting would need a full scan */
+  total: number | null;
+  /** The page was cut at the server's LOG_READ_MAX_BYTES */
+  truncated: boolean;
+  /** Set for searches of a file */
+  contexts?: LogLineContext[];
+}
+
+export const toLogLines = ({ lines, matches, entries, files, contexts }: LogLinesResult & { files?: string[] }): LogLine[] =>
+  lines.map((line, i) => ({ line, matches: matches[i] ?? [], entry: entries[i], file: files?.[i], context: contexts?.[i] }));
+
+/** Query string form of a search query, levels are sent comma separated */
+export const toLogSearchParams = ({ levels, ...query }: LogSearchQuery): Record<string, string> => ({
+  search: query.search,
+  ignoreCase: String(query.ignoreCase ?? false),
+  exclude: query.exclude ?? '',
+  levels: levels?.join(',') ?? '',
+  before: String(query.before ?? 0),
+  after: String(query.after ?? 0),
+});
+
+/** With a query, `startLine` and `total` count matching lines only. */
+export const readLogFile = (name: string, file: string, startLine: number, query?: LogSearchQuery): Promise<LogLinesResult> =>
+  apiClient.get(`/services/${name}/logs/read`, { params: { file, start: startLine, num: 100, ...(query && toLogSearchParams(query)) } }).then(res => res.data);
+
+export interface LogWindow extends LogLinesResult {
+  /** Byte offset of each line */
+  offsets: number[];
+  /** Position of the line holding the requested offset */
+  index: number;
+  /** Byte offset after the last line */
+  end: number;
+}
+
+/** Reads the lines around a byte offset, e.g. of a search result, to jump to it. */
+export const readLogWindow = (name: string, file: string, offset: number, before: number, after: number): Promise<LogWindow> =>
+  apiClient.get(`/services/${name}/logs/window`, { params: { file, offset, before, after } }).then(res => res.data);
+
+export interface LogLevelCounts {
+  counts: Record<LogLevel | 'unknown', number>;
   total: number;
 }
 
+export const getLogLevelCounts = (
+  name: string,
+  file: string,
+  from: string | null,
+  to: string | null,
+  query: LogSearchQuery,
+): Promise<LogLevelCounts> =>
+  apiClient.get(`/services/${name}/logs/levels`, { params: { file, from, to, ...toLogSearchParams(query) } }).then(res => res.data);
+
+export interface SearchLogResult extends LogLinesResult {
+  /** Only counted for the first page, null on pages requested with a cursor */
+  total: number | null;
+  /** Null on the last page */
+  nextCursor: string | null;
+  /** Null on the first page */
+  prevCursor: string | null;
+}
+
+/** Searches a log file by time range; a cursor of a previous page seeks to the next or previous page, ignoring `offset`. */
 export const searchLogLinesByTimeRange = (
   name: string,
   file: string,
@@ -29,14 +339,202 @@ export const searchLogLinesByTimeRange = (
   to: string | null,
   limit: number,
   offset: number,
-  search: string,
+  query: LogSearchQuery,
+  cursor: string | null = null,
 ): Promise<SearchLogResult> =>
-  apiClient.post(`/services/${name}/logs/search`, { file, from, to, limit, offset, search }).then(res => res.data);
+  apiClient.post(`/services/${name}/logs/search`, { file, from, to, limit, offset, cursor, ...query }).then(res => res.data);
+
+export interface ServiceLogsResult extends LogLinesResult {
+  /** File of each line */
+  files: string[];
+  searchedFiles: string[];
+  /** Null on the last page */
+  nextCursor: string | null;
+}
+
+/** Searches all log files of a service, rotated and compressed ones included, in time order. */
+export const searchServiceLogs = (
+  name: string,
+  from: string | null,
+  to: string | null,
+  limit: number,
+  cursor: string | null,
+  query: LogSearchQuery,
+): Promise<ServiceLogsResult> =>
+  apiClient.post(`/services/${name}/logs/search-all`, { from, to, limit, cursor, ...query }).then(res => res.data);
+
+export type LogExportFormat = 'text' | 'ndjson' | 'gzip';
+
+/**
+ * Builds the download URL of a log file, only the lines in the time range matching the query if given.
+ * Authenticated with the token in the URL, as downloads cannot set headers.
+ */
+export const getLogExportUrl = (
+  name: string,
+  file: string,
+  format: LogExportFormat,
+  from: string | null,
+  to: string | null,
+  query: LogSearchQuery,
+) => {
+  const params = new URLSearchParams({ file, format, from: from ?? '', to: to ?? '', ...toLogSearchParams(query), token: getAuthToken() ?? '' });
+  return `${import.meta.env.VITE_API_URL}/api/services/${name}/logs/export?${params}`;
+};
+
+/** Builds the download URL of a tar.gz bundle of whole log files. */
+export const getLogBundleUrl = (name: string, files: string[]) => {
+  const params = new URLSearchParams({ files: files.join(','), token: getAuthToken() ?? '' });
+  return `${import.meta.env.VITE_API_URL}/api/services/${name}/logs/export?${params}`;
+};
 
 export interface LogFileTimeRange {
   start: number | null;
   end: number | null;
+  /** Timestamp format the times were parsed with: 'us', 'iso8601', 'syslog', 'epoch' or a moment.js format */
+  format?: string;
+  timezone?: string;
 }
 
 export const getLogFileTimeRange = (name: string, file: string): Promise<LogFileTimeRange> =>
-  apiClient.get(`/services/${name}/logs/time-range`, { params: { file } }).then(res => res.data);
\ No newline at end of file
+  apiClient.get(`/services/${name}/logs/time-range`, { params: { file } }).then(res => res.data);
+
+export interface LogHistogramBucket {
+  /** Time the bucket starts at, it ends where the next one starts */
+  start: number;
+  count: number;
+  /** Lines of level error or fatal */
+  errors: number;
+}
+
+export interface LogHistogram {
+  /** Null if the file has no timestamps */
+  start: number | null;
+  end: number | null;
+  bucketSize: number;
+  buckets: LogHistogramBucket[];
+}
+
+/** Counts lines per time bucket, over the whole file if no range is given. */
+export const getLogHistogram = (
+  name: string,
+  file: string,
+  from: string | null,
+  to: string | null,
+  buckets: number,
+  query?: LogSearchQuery,
+): Promise<LogHistogram> =>
+  apiClient.get(`/services/${name}/logs/histogram`, { params: { file, from, to, buckets, ...(query && toLogSearchParams(query)) } }).then(res => res.data);
+
+export interface AuditEntry {
+  time: number;
+  user: string;
+  service?: string;
+  action: string;
+  success: boolean;
+  message: string;
+  stderr?: string;
+  envDiff?: {
+    added: Record<string, string>;
+    removed: Record<string, string>;
+    changed: Record<string, { before: string; after: string }>;
+  };
+  details?: object;
+}
+
+export interface AuditQuery {
+  service?: string;
+  user?: string;
+  action?: string;
+  from?: string;
+  to?: string;
+  limit?: number;
+}
+
+export const getAuditLog = (query: AuditQuery): Promise<AuditEntry[]> =>
+  apiClient.get('/audit', { params: query }).then(res => res.data);
+
+export interface JobOutputLine {
+  time: number;
+  stream: 'stdout' | 'stderr';
+  line: string;
+}
+
+export interface Job {
+  id: string;
+  service: string;
+  action: string;
+  user: string;
+  status: 'queued' | 'running' | 'succeeded' | 'failed';
+  exitCode: number | null;
+  createdAt: number;
+  startedAt: number | null;
+  finishedAt: number | null;
+  truncated: boolean;
+  output?: JobOutputLine[];
+}
+
+export type JobEvent = { type: 'line'; line: JobOutputLine } | { type: 'status'; job: Job };
+
+export const getJobs = (service?: string): Promise<Job[]> => apiClient.get('/jobs', { params: { service } }).then(res => res.data);
+export const getJob = (id: string): Promise<Job> => apiClient.get(`/jobs/${id}`).then(res => res.data);
+
+export interface ServiceOperation {
+  id: string;
+  service: string;
+  action: string;
+  user: string;
+  jobId?: string;
+  queuedAt: number;
+  startedAt: number | null;
+  position: number;
+}
+
+export const getOperations = (service?: string): Promise<ServiceOperation[]> =>
+  apiClient.get('/operations', { params: { service } }).then(res => res.data);
+
+export interface Alert {
+  id: string;
+  rule: string;
+  type: 'down' | 'restart_loop' | 'log_pattern' | 'disk_usage';
+  severity: string;
+  service: string;
+  message: string;
+  firedAt: number;
+  notifiedAt: number;
+  acknowledgedAt: number | null;
+  acknowledgedBy: string | null;
+}
+
+export interface AlertHistoryEntry {
+  time: number;
+  alertId: string;
+  rule: string;
+  type: Alert['type'];
+  severity: string;
+  service: string;
+  message: string;
+  event: 'fired' | 'repeated' | 'resolved' | 'acknowledged';
+  silenced?: boolean;
+  user?: string;
+  deliveries?: { webhook: string; status?: number; error?: string }[];
+}
+
+export interface AlertSilence {
+  id: string;
+  rule?: string;
+  service?: string;
+  until: number;
+  comment: string;
+  user: string;
+  createdAt: number;
+}
+
+export const getAlerts = (service?: string): Promise<Alert[]> => apiClient.get('/alerts', { params: { service } }).then(res => res.data);
+export const getAlertHistory = (service?: string, limit = 200): Promise<AlertHistoryEntry[]> =>
+  apiClient.get('/alerts/history', { params: { service, limit } }).then(res => res.data);
+export const acknowledgeAlert = (id: string) => apiClient.post(`/alerts/${id}/acknowledge`).then(res => res.data);
+export const getAlertSilences = (): Promise<AlertSilence[]> => apiClient.get('/alerts/silences').then(res => res.data);
+/** Silences notifications for `duration` seconds; omit rule to silence every rule of the service */
+export const addAlertSilence = (silence: { rule?: string; service?: string; duration: number; comment?: string }) =>
+  apiClient.post('/alerts/silences', silence).then(res => res.data);
+export const removeAlertSilence = (id: string) => apiClient.delete(`/alerts/silences/${id}`).then(res => res.data);
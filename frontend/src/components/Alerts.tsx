@@ -0,0 +1,136 @@
+import React from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Button, List, Space, Table, Tag, message } from 'antd';
+import { acknowledgeAlert, addAlertSilence, getAlertHistory, getAlerts, getAlertSilences, removeAlertSilence } from '../api/client';
+import type { Alert, AlertHistoryEntry, AlertSilence } from '../api/client';
+
+interface AlertsProps {
+  serviceName: string;
+}
+
+const SILENCE_DURATION = 60 * 60;
+
+const eventColors: Record<AlertHistoryEntry['event'], string> = {
+  fired: 'red',
+  repeated: 'orange',
+  resolved: 'green',
+  acknowledged: 'blue',
+};
+
+const Alerts: React.FC<AlertsProps> = ({ serviceName }) => {
+  const queryClient = useQueryClient();
+
+  const { data: alerts, isLoading } = useQuery<Alert[], Error>({
+    queryKey: ['alerts', serviceName],
+    queryFn: () => getAlerts(serviceName),
+    refetchInterval: 15000,
+  });
+
+  const { data: history, isLoading: isHistoryLoading } = useQuery<AlertHistoryEntry[], Error>({
+    queryKey: ['alertHistory', serviceName],
+    queryFn: () => getAlertHistory(serviceName),
+    refetchInterval: 15000,
+  });
+
+  const { data: silences } = useQuery<AlertSilence[], Error>({
+    queryKey: ['alertSilences'],
+    queryFn: getAlertSilences,
+  });
+  const serviceSilences = (silences ?? []).filter(silence => silence.service === serviceName);
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['alerts', serviceName] });
+    queryClient.invalidateQueries({ queryKey: ['alertHistory', serviceName] });
+    queryClient.invalidateQueries({ queryKey: ['alertSilences'] });
+  };
+  const onError = (error: Error) => message.error(`Failed: ${error.message}`);
+
+  const acknowledgeMutation = useMutation({
+    mutationFn: acknowledgeAlert,
+    onSuccess: invalidate,
+    onError,
+  });
+
+  const silenceMutation = useMutation({
+    mutationFn: (rule?: string) => addAlertSilence({ rule, service: serviceName, duration: SILENCE_DURATION }),
+    onSuccess: () => {
+      message.success('Notifications silenced for one hour.');
+      invalidate();
+    },
+    onError,
+  });
+
+  const unsilenceMutation = useMutation({
+    mutationFn: removeAlertSilence,
+    onSuccess: invalidate,
+    onError,
+  });
+
+  const historyColumns = [
+    { title: 'Time', dataIndex: 'time', key: 'time', render: (time: number) => new Date(time).toLocaleString() },
+    { title: 'Rule', dataIndex: 'rule', key: 'rule' },
+    {
+      title: 'Event',
+      key: 'event',
+      render: (_: unknown, entry: AlertHistoryEntry) => (
+        <>
+          <Tag color={eventColors[entry.event]}>{entry.event}</Tag>
+          {entry.silenced && <Tag>silenced</Tag>}
+        </>
+      ),
+    },
+    {
+      title: 'Message',
+      key: 'message',
+      render: (_: unknown, entry: AlertHistoryEntry) => (entry.user ? `${entry.message} (by ${entry.user})` : entry.message),
+    },
+  ];
+
+  return (
+    <>
+      <List
+        loading={isLoading}
+        dataSource={alerts ?? []}
+        locale={{ emptyText: 'No firing alerts' }}
+        renderItem={(alert) => (
+          <List.Item
+            actions={[
+              <Button
+                key="ack"
+                size="small"
+                disabled={!!alert.acknowledgedAt}
+                loading={acknowledgeMutation.isPending && acknowledgeMutation.variables === alert.id}
+                onClick={() => acknowledgeMutation.mutate(alert.id)}
+              >
+                {alert.acknowledgedAt ? `Acknowledged by ${alert.acknowledgedBy}` : 'Acknowledge'}
+              </Button>,
+              <Button key="silence" size="small" onClick={() => silenceMutation.mutate(alert.rule)}>Silence 1h</Button>,
+            ]}
+          >
+            <List.Item.Meta
+              title={<Space><Tag color="red">{alert.severity}</Tag>{alert.rule}</Space>}
+              description={`${alert.message} (since ${new Date(alert.firedAt).toLocaleString()})`}
+            />
+          </List.Item>
+        )}
+      />
+      <Space wrap style={{ margin: '12px 0' }}>
+        {serviceSilences.map(silence => (
+          <Tag key={silence.id} closable onClose={() => unsilenceMutation.mutate(silence.id)}>
+            {silence.rule ?? 'All rules'} silenced until {new Date(silence.until).toLocaleTimeString()}
+          </Tag>
+        ))}
+        <Button size="small" onClick={() => silenceMutation.mutate(undefined)}>Silence all alerts for 1h</Button>
+      </Space>
+      <Table
+        size="small"
+        loading={isHistoryLoading}
+        dataSource={(history ?? []).map((entry, index) => ({ ...entry, key: `${entry.time}-${index}` }))}
+        columns={historyColumns}
+        pagination={{ pageSize: 10 }}
+      />
+    </>
+  );
+};
+
+export default Alerts;
@@ -0,0 +1,54 @@
+import React from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Table, Tag } from 'antd';
+import { getAuditLog } from '../api/client';
+import type { AuditEntry } from '../api/client';
+
+interface AuditLogProps {
+  serviceName: string;
+}
+
+const AuditLog: React.FC<AuditLogProps> = ({ serviceName }) => {
+  const { data, isLoading } = useQuery<AuditEntry[], Error>({
+    queryKey: ['auditLog', serviceName],
+    queryFn: () => getAuditLog({ service: serviceName, limit: 200 }),
+    refetchInterval: 10000,
+  });
+
+  const columns = [
+    { title: 'Time', dataIndex: 'time', key: 'time', render: (time: number) => new Date(time).toLocaleString() },
+    { title: 'User', dataIndex: 'user', key: 'user' },
+    { title: 'Action', dataIndex: 'action', key: 'action' },
+    {
+      title: 'Result',
+      dataIndex: 'success',
+      key: 'success',
+      render: (success: boolean) => <Tag color={success ? 'green' : 'red'}>{success ? 'Success' : 'Failed'}</Tag>,
+    },
+    { title: 'Message', dataIndex: 'message', key: 'message' },
+  ];
+
+  const renderDetails = (entry: AuditEntry) => (
+    <pre style={{ margin: 0, whiteSpace: 'pre-wrap' }}>
+      {entry.envDiff && `Env changes:\n${JSON.stringify(entry.envDiff, null, 2)}\n`}
+      {entry.details && `Details:\n${JSON.stringify(entry.details, null, 2)}\n`}
+      {entry.stderr && `Stderr:\n${entry.stderr}`}
+    </pre>
+  );
+
+  return (
+    <Table
+      size="small"
+      loading={isLoading}
+      dataSource={(data ?? []).map((entry, index) => ({ ...entry, key: `${entry.time}-${index}` }))}
+      columns={columns}
+      pagination={{ pageSize: 10 }}
+      expandable={{
+        expandedRowRender: renderDetails,
+        rowExpandable: (entry) => !!(entry.envDiff || entry.details || entry.stderr),
+      }}
+    />
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,91 @@
+import React from 'react';
+import { Table, Tag, Tooltip } from 'antd';
+import type { ContainerStatus } from '../api/client';
+import { formatUptime } from '../utils/format';
+
+interface ContainerStatusTableProps {
+  containers: ContainerStatus[];
+  loading?: boolean;
+}
+
+const stateColors: Record<ContainerStatus['state'], string> = {
+  created: 'default',
+  running: 'green',
+  restarting: 'red',
+  exited: 'default',
+  paused: 'orange',
+  removing: 'default',
+  dead: 'red',
+};
+
+const healthColors = {
+  starting: 'blue',
+  healthy: 'green',
+  unhealthy: 'orange',
+};
+
+const ContainerStatusTable: React.FC<ContainerStatusTableProps> = ({ containers, loading }) => {
+  const columns = [
+    { title: 'Container', dataIndex: 'name', key: 'name' },
+    {
+      title: 'State',
+      key: 'state',
+      render: (_: unknown, container: ContainerStatus) => (
+        <>
+          <Tag color={stateColors[container.state]}>{container.state}</Tag>
+          {container.exitCode !== null && <Tag color={container.exitCode === 0 ? 'default' : 'red'}>exit {container.exitCode}</Tag>}
+          {container.oomKilled && <Tag color="red">OOM killed</Tag>}
+        </>
+      ),
+    },
+    {
+      title: 'Health',
+      dataIndex: 'health',
+      key: 'health',
+      render: (health: ContainerStatus['health']) => (health ? <Tag color={healthColors[health]}>{health}</Tag> : '-'),
+    },
+    {
+      title: 'Uptime',
+      key: 'uptime',
+      render: (_: unknown, container: ContainerStatus) => {
+        if (container.uptime !== null) return formatUptime(container.uptime);
+        return container.finishedAt ? `Stopped ${new Date(container.finishedAt).toLocaleString()}` : '-';
+      },
+    },
+    { title: 'Restarts', dataIndex: 'restartCount', key: 'restartCount' },
+    {
+      title: 'Image',
+      key: 'image',
+      render: (_: unknown, container: ContainerStatus) => (
+        <Tooltip title={container.imageDigest ?? 'No repo digest (locally built image)'}>
+          <span>{container.image}</span>
+        </Tooltip>
+      ),
+    },
+    {
+      title: 'IP Addresses',
+      key: 'networks',
+      render: (_: unknown, container: ContainerStatus) => (
+        <>
+          {Object.entries(container.networks).map(([network, { ipv4, ipv6 }]) => (
+            <div key={network}>{network}: {[ipv4, ipv6].filter(Boolean).join(', ') || '-'}</div>
+          ))}
+        </>
+      ),
+    },
+  ];
+
+  return (
+    <Table
+      size="small"
+      loading={loading}
+      rowKey="id"
+      dataSource={containers}
+      columns={columns}
+      pagination={false}
+      locale={{ emptyText: 'No containers' }}
+    />
+  );
+};
+
+export default ContainerStatusTable;
@@ -0,0 +1,45 @@
+import React from 'react';
+import type { LogLevel, LogLine } from '../api/client';
+
+const markStyle: React.CSSProperties = { background: '#d4b106', color: '#000', padding: 0 };
+const fileStyle: React.CSSProperties = { color: '#69b1ff' };
+const contextStyle: React.CSSProperties = { opacity: 0.5 };
+
+/** Text colors of lines by level, on the black console background */
+const logLevelColors: Record<LogLevel, string> = {
+  fatal: '#ff4d4f',
+  error: '#ff7875',
+  warn: '#ffc53d',
+  info: '#fff',
+  debug: '#8c8c8c',
+  trace: '#595959',
+};
+
+/**
+ * Renders a log line colored by its level, with its search hits highlighted and prefixed by its file if known.
+ * Context lines of a search result are shown dimmed around it, separated from other results like `grep -C` does.
+ */
+const HighlightedLogLine: React.FC<LogLine> = ({ line, matches, entry, file, context, isContext }) => {
+  const parts: React.ReactNode[] = [];
+  let position = 0;
+  for (const [start, end] of matches) {
+    if (start > position) parts.push(line.slice(position, start));
+    parts.push(<mark key={start} style={markStyle}>{line.slice(start, end)}</mark>);
+    position = end;
+  }
+  if (position < line.length) parts.push(line.slice(position));
+
+  const color = entry?.level ? logLevelColors[entry.level] : undefined;
+  const hasContext = context && (context.before.length > 0 || context.after.length > 0);
+  return (
+    <>
+      {hasContext && <span style={contextStyle}>{'--\n'}</span>}
+      {context?.before.map(({ line: text, offset }) => <span key={offset} style={contextStyle}>{text}{'\n'}</span>)}
+      {file && <span style={fileStyle}>[{file}] </span>}
+      <span style={{ ...(color ? { color } : undefined), ...(isContext ? contextStyle : undefined) }}>{parts}</span>
+      {context?.after.map(({ line: text, offset }) => <span key={offset} style={contextStyle}>{'\n'}{text}</span>)}
+    </>
+  );
+};
+
+export default HighlightedLogLine;
@@ -0,0 +1,74 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Tag } from 'antd';
+import { getWebSocketUrl } from '../api/client';
+import type { Job, JobEvent, JobOutputLine } from '../api/client';
+
+interface JobOutputProps {
+  jobId: string;
+  onFinished?: (job: Job) => void;
+}
+
+const statusColors: Record<Job['status'], string> = {
+  queued: 'default',
+  running: 'processing',
+  succeeded: 'success',
+  failed: 'error',
+};
+
+const JobOutput: React.FC<JobOutputProps> = ({ jobId, onFinished }) => {
+  const [lines, setLines] = useState<JobOutputLine[]>([]);
+  const [job, setJob] = useState<Job | null>(null);
+  const outputRef = useRef<HTMLPreElement | null>(null);
+  const onFinishedRef = useRef(onFinished);
+
+  useEffect(() => {
+    onFinishedRef.current = onFinished;
+  }, [onFinished]);
+
+  useEffect(() => {
+    const ws = new WebSocket(getWebSocketUrl(`/ws/jobs/${jobId}`));
+    ws.onmessage = (event) => {
+      const data: JobEvent = JSON.parse(event.data);
+      if (data.type === 'line') {
+        setLines(prev => [...prev, data.line]);
+      } else {
+        setJob(data.job);
+        if (data.job.status === 'succeeded' || data.job.status === 'failed') {
+          onFinishedRef.current?.(data.job);
+        }
+      }
+    };
+    return () => {
+      ws.close();
+      setLines([]);
+      setJob(null);
+    };
+  }, [jobId]);
+
+  useEffect(() => {
+    if (outputRef.current) {
+      outputRef.current.scrollTop = outputRef.current.scrollHeight;
+    }
+  }, [lines]);
+
+  return (
+    <div>
+      <div style={{ marginBottom: 8 }}>
+        {job && (
+          <>
+            <strong>{job.action}</strong> by {job.user}{' '}
+            <Tag color={statusColors[job.status]}>{job.status}</Tag>
+            {job.exitCode !== null && <span>exit code {job.exitCode}</span>}
+          </>
+        )}
+      </div>
+      <pre ref={outputRef} style={{ background: '#000', color: '#fff', padding: 8, margin: 0, maxHeight: 240, overflow: 'auto' }}>
+        {lines.map((line, index) => (
+          <div key={index} style={{ color: line.stream === 'stderr' ? '#faad14' : undefined }}>{line.line}</div>
+        ))}
+      </pre>
+    </div>
+  );
+};
+
+export default JobOutput;
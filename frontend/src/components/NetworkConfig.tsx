@@ -1,5 +1,10 @@
-import React from 'react';
-import { LaptopOutlined, ContainerOutlined, ArrowRightOutlined, CodeSandboxOutlined, GlobalOutlined, DockerOutlined } from '@ant-design/icons';
+import React, { useState } from 'react';
+import { LaptopOutlined, ArrowRightOutlined, GlobalOutlined, DockerOutlined } from '@ant-design/icons';
+import { Button, Checkbox, Form, Input, Radio, message } from 'antd';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useParams } from 'react-router-dom';
+import { updateServiceConfigData } from '../api/client';
+import type { NetworkConfigData } from '../api/client';
 
 interface NetworkConfigProps {
   network: {
@@ -14,6 +19,44 @@ interface NetworkConfigProps {
 }
 
 const NetworkConfig: React.FC<NetworkConfigProps> = ({ network }) => {
+  const { name } = useParams<{ name: string }>();
+  const queryClient = useQueryClient();
+  const [editMode, setEditMode] = useState(false);
+  const [form] = Form.useForm<NetworkConfigData & { recreate: boolean }>();
+  const networkType = Form.useWatch('type', form);
+
+  const mutation = useMutation({
+    mutationFn: ({ recreate, ...newNetwork }: NetworkConfigData & { recreate: boolean }) =>
+      updateServiceConfigData(name!, { service_name: name!, network: newNetwork }, recreate),
+    onSuccess: (data) => {
+      if (data.success) {
+        message.success(data.message);
+        setEditMode(false);
+      } else {
+        message.error(data.message);
+      }
+      queryClient.invalidateQueries({ queryKey: ['serviceConfigData', name] });
+      queryClient.invalidateQueries({ queryKey: ['serviceConfig', name] });
+    },
+    onError: (error) => {
+      message.error(`Failed to update network configuration: ${error.message}`);
+    },
+  });
+
+  const handleEdit = () => {
+    form.setFieldsValue({
+      type: network.type,
+      mappingDstIPv4: network.mappingDstIPv4,
+      mappingDstPort: network.mappingDstPort?.toString(),
+      mappingSrcPort: network.mappingSrcPort?.toString(),
+      internalNetSegment: network.internalNetSegment,
+      externalIPv4: network.externalIPv4,
+      externalIPv6: network.externalIPv6,
+      recreate: false,
+    });
+    setEditMode(true);
+  };
+
   const renderInternal = () => (
     <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-around', textAlign: 'center' }}>
       <div>
@@ -42,7 +85,45 @@ const NetworkConfig: React.FC<NetworkConfigProps> = ({ network }) => {
     </div>
   );
 
-  return network.type === 'internal' ? renderInternal() : renderExternal();
+  const renderForm = () => (
+    <Form form={form} layout="vertical" onFinish={(values) => mutation.mutate(values)}>
+      <Form.Item name="type" label="Network Type">
+        <Radio.Group>
+          <Radio.Button value="internal">Internal</Radio.Button>
+          <Radio.Button value="external">External</Radio.Button>
+        </Radio.Group>
+      </Form.Item>
+      {networkType === 'internal' ? (
+        <>
+          <Form.Item name="mappingDstIPv4" label="Host IPv4" rules={[{ required: true }]}><Input /></Form.Item>
+          <Form.Item name="mappingDstPort" label="Host Port" rules={[{ required: true }]}><Input /></Form.Item>
+          <Form.Item name="mappingSrcPort" label="Container Port" rules={[{ required: true }]}><Input /></Form.Item>
+          <Form.Item name="internalNetSegment" label="Network Segment (e.g. 172.28)" rules={[{ required: true }]}><Input /></Form.Item>
+        </>
+      ) : (
+        <>
+          <Form.Item name="externalIPv4" label="IPv4" rules={[{ required: true }]}><Input /></Form.Item>
+          <Form.Item name="externalIPv6" label="IPv6" rules={[{ required: true }]}><Input /></Form.Item>
+        </>
+      )}
+      <Form.Item name="recreate" valuePropName="checked">
+        <Checkbox>Recreate container after saving</Checkbox>
+      </Form.Item>
+      <Button type="primary" htmlType="submit" loading={mutation.isPending} style={{ marginRight: 8 }}>
+        Save
+      </Button>
+      <Button onClick={() => setEditMode(false)} disabled={mutation.isPending}>Cancel</Button>
+    </Form>
+  );
+
+  return (
+    <div>
+      <div style={{ marginBottom: 16, textAlign: 'right' }}>
+        {!editMode && <Button onClick={handleEdit}>Edit</Button>}
+      </div>
+      {editMode ? renderForm() : (network.type === 'internal' ? renderInternal() : renderExternal())}
+    </div>
+  );
 };
 
-export default NetworkConfig;
\ No newline at end of file
+export default NetworkConfig;
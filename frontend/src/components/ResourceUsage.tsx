@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Col, Empty, Radio, Row, Spin, Statistic } from 'antd';
+import { getServiceMetrics } from '../api/client';
+import type { MetricsSample, ServiceMetrics } from '../api/client';
+import { formatBytes } from '../utils/format';
+
+interface ResourceUsageProps {
+  serviceName: string;
+}
+
+const RANGES: Record<string, number> = {
+  '1h': 60 * 60 * 1000,
+  '6h': 6 * 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+};
+
+interface SparklineProps {
+  points: MetricsSample[];
+  value: (point: MetricsSample) => number;
+  color: string;
+  format: (value: number) => string;
+}
+
+const Sparkline: React.FC<SparklineProps> = ({ points, value, color, format }) => {
+  const width = 300;
+  const height = 60;
+  if (points.length < 2) return <div style={{ height }} />;
+
+  const values = points.map(value);
+  const max = Math.max(...values) || 1;
+  const start = points[0].time;
+  const span = points[points.length - 1].time - start || 1;
+  const path = points
+    .map((point, index) => `${index === 0 ? 'M' : 'L'}${((point.time - start) / span) * width},${height - (values[index] / max) * height}`)
+    .join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" style={{ width: '100%', height }}>
+      <title>{`Peak ${format(max)}`}</title>
+      <path d={path} fill="none" stroke={color} strokeWidth={1.5} vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+};
+
+const ResourceUsage: React.FC<ResourceUsageProps> = ({ serviceName }) => {
+  const [range, setRange] = useState('1h');
+
+  const { data, isLoading } = useQuery<ServiceMetrics, Error>({
+    queryKey: ['serviceMetrics', serviceName, range],
+    queryFn: () => getServiceMetrics(serviceName, { from: Date.now() - RANGES[range] }),
+    refetchInterval: 30000,
+  });
+
+  if (isLoading) return <Spin />;
+
+  const current = data?.current;
+  const points = data?.points ?? [];
+
+  return (
+    <>
+      <Radio.Group value={range} onChange={(e) => setRange(e.target.value)} size="small" style={{ marginBottom: 16 }}>
+        {Object.keys(RANGES).map(key => <Radio.Button key={key} value={key}>{key}</Radio.Button>)}
+      </Radio.Group>
+      {!current && points.length === 0 ? (
+        <Empty description="No resource usage recorded" />
+      ) : (
+        <Row gutter={24}>
+          <Col span={8}>
+            <Statistic title="CPU" value={current ? current.cpu : '-'} suffix={current ? '%' : undefined} precision={1} />
+            <Sparkline points={points} value={point => point.cpu} color="#1677ff" format={value => `${value.toFixed(1)}%`} />
+          </Col>
+          <Col span={8}>
+            <Statistic
+              title="Memory"
+              value={current ? `${formatBytes(current.memory)} / ${formatBytes(current.memoryLimit)}` : '-'}
+            />
+            <Sparkline points={points} value={point => point.memory} color="#fa8c16" format={formatBytes} />
+          </Col>
+          <Col span={8}>
+            <Statistic
+              title="Network (rx / tx)"
+              value={current ? `${formatBytes(current.netRx)} / ${formatBytes(current.netTx)}` : '-'}
+            />
+            <Statistic
+              title="Disk I/O (read / write)"
+              value={current ? `${formatBytes(current.blockRead)} / ${formatBytes(current.blockWrite)}` : '-'}
+              style={{ marginTop: 8 }}
+            />
+          </Col>
+        </Row>
+      )}
+    </>
+  );
+};
+
+export default ResourceUsage;
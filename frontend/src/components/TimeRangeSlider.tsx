@@ -1,15 +1,18 @@
 import React, { useState } from 'react';
 import { Slider, Tooltip, Modal, DatePicker, Button } from 'antd';
 import dayjs from 'dayjs';
+import type { LogHistogram } from '../api/client';
 
 interface TimeRangeSliderProps {
     startTime: number;
     endTime: number;
     value: [number, number];
     onChange: (value: [number, number]) => void;
+    /** Drawn above the slider, clicking a bar selects its bucket */
+    histogram?: LogHistogram;
 }
 
-const TimeRangeSlider: React.FC<TimeRangeSliderProps> = ({ startTime, endTime, value, onChange }) => {
+const TimeRangeSlider: React.FC<TimeRangeSliderProps> = ({ startTime, endTime, value, onChange, histogram }) => {
     const [editModalOpen, setEditModalOpen] = useState(false);
     const [editingHandleIndex, setEditingHandleIndex] = useState<0 | 1 | null>(null);
     const [tempDate, setTempDate] = useState<dayjs.Dayjs | null>(null);
@@ -58,8 +61,46 @@ const TimeRangeSlider: React.FC<TimeRangeSliderProps> = ({ startTime, endTime, v
         );
     };
 
+    const maxCount = Math.max(1, ...(histogram?.buckets.map(bucket => bucket.count) ?? []));
+    const span = Math.max(1, endTime - startTime);
+
     return (
         <div style={{ width: '100%', padding: '0 10px' }}>
+            {histogram && histogram.buckets.length > 0 && (
+                <div style={{ position: 'relative', height: 32, margin: '0 6px' }}>
+                    {histogram.buckets.map((bucket) => {
+                        const bucketEnd = Math.min(bucket.start + histogram.bucketSize, endTime);
+                        const left = Math.max(0, (bucket.start - startTime) / span) * 100;
+                        const width = Math.max(0, (bucketEnd - Math.max(bucket.start, startTime)) / span) * 100;
+                        return (
+                            <Tooltip
+                                key={bucket.start}
+                                title={`${formatTime(bucket.start)}: ${bucket.count} lines, ${bucket.errors} errors`}
+                            >
+                                <div
+                                    onClick={() => onChange([Math.max(bucket.start, startTime), bucketEnd])}
+                                    style={{
+                                        position: 'absolute',
+                                        bottom: 0,
+                                        left: `${left}%`,
+                                        width: `${width}%`,
+                                        height: `${(bucket.count / maxCount) * 100}%`,
+                                        minHeight: bucket.count > 0 ? 1 : 0,
+                                        cursor: 'pointer',
+                                        background: '#91caff',
+                                        boxShadow: 'inset 0 0 0 0.5px #fff',
+                                        display: 'flex',
+                                        alignItems: 'flex-end',
+                                    }}
+                                >
+                                    {/* The error share of the bar in red */}
+                                    <div style={{ width: '100%', height: `${bucket.count > 0 ? (bucket.errors / bucket.count) * 100 : 0}%`, background: '#ff4d4f' }} />
+                                </div>
+                            </Tooltip>
+                        );
+                    })}
+                </div>
+            )}
             <Slider
                 range
                 min={startTime}
@@ -0,0 +1,84 @@
+import { useEffect, useRef } from 'react';
+import { getWebSocketUrl } from '../api/client';
+import type { LogTailMessage, LogTailSubscription } from '../api/client';
+
+const RECONNECT_DELAY = 5000;
+
+/**
+ * Follows several log files over one /ws/tail socket, reconnecting when the socket drops.
+ * Subscriptions added or removed later are sent over the open socket. A new subscription starts with its backfill;
+ * after a reconnect all of them are sent again with the last position the server acknowledged, so the lines written
+ * while the socket was closed are sent first.
+ */
+export const useLogTail = (subscriptions: LogTailSubscription[], onMessage: (message: LogTailMessage) => void) => {
+  const onMessageRef = useRef(onMessage);
+  const wsRef = useRef<WebSocket | null>(null);
+  /** Subscriptions sent over the current socket, by id */
+  const sentRef = useRef(new Map<string, LogTailSubscription>());
+  const subscriptionsRef = useRef(subscriptions);
+  /** Cursor of the last position message, by subscription id */
+  const cursorsRef = useRef(new Map<string, string>());
+
+  useEffect(() => {
+    onMessageRef.current = onMessage;
+  });
+
+  const sync = () => {
+    const ws = wsRef.current;
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    const sent = sentRef.current;
+    const cursors = cursorsRef.current;
+    const wanted = new Map(subscriptionsRef.current.map(subscription => [subscription.id, subscription]));
+    for (const [id, subscription] of sent) {
+      if (wanted.get(id) === subscription) continue;
+      ws.send(JSON.stringify({ type: 'unsubscribe', id }));
+      sent.delete(id);
+      cursors.delete(id);
+    }
+    for (const id of cursors.keys()) {
+      if (!wanted.has(id)) cursors.delete(id);
+    }
+    for (const [id, subscription] of wanted) {
+      if (sent.has(id)) continue;
+      const { service, file, query, backfill } = subscription;
+      const start = cursors.has(id) ? { cursor: cursors.get(id) } : { backfill };
+      ws.send(JSON.stringify({ type: 'subscribe', id, service, file, ...query, ...start }));
+      sent.set(id, subscription);
+    }
+  };
+
+  useEffect(() => {
+    let reconnectTimer: ReturnType<typeof setTimeout> | undefined;
+    let isUnmounted = false;
+
+    const connect = () => {
+      const ws = new WebSocket(getWebSocketUrl('/ws/tail'));
+      wsRef.current = ws;
+      ws.onopen = () => {
+        sentRef.current = new Map();
+        sync();
+      };
+      ws.onmessage = (message) => {
+        const tailMessage: LogTailMessage = JSON.parse(message.data);
+        if (tailMessage.type === 'position' && sentRef.current.has(tailMessage.id)) cursorsRef.current.set(tailMessage.id, tailMessage.cursor);
+        onMessageRef.current(tailMessage);
+      };
+      ws.onclose = () => {
+        if (!isUnmounted) reconnectTimer = setTimeout(connect, RECONNECT_DELAY);
+      };
+    };
+    connect();
+
+    return () => {
+      isUnmounted = true;
+      clearTimeout(reconnectTimer);
+      wsRef.current?.close();
+      wsRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    subscriptionsRef.current = subscriptions;
+    sync();
+  }, [subscriptions]);
+};
@@ -0,0 +1,40 @@
+import { useEffect, useRef } from 'react';
+import { getWebSocketUrl } from '../api/client';
+import type { ServiceEvent } from '../api/client';
+
+const RECONNECT_DELAY = 5000;
+
+/**
+ * Listens to container events on /ws/events, reconnecting when the socket drops.
+ * A 'resync' event is also delivered whenever the socket (re)connects, since events
+ * may have been missed while it was closed.
+ */
+export const useServiceEvents = (onEvent: (event: ServiceEvent) => void, service?: string) => {
+  const onEventRef = useRef(onEvent);
+
+  useEffect(() => {
+    onEventRef.current = onEvent;
+  });
+
+  useEffect(() => {
+    let ws: WebSocket | null = null;
+    let reconnectTimer: ReturnType<typeof setTimeout> | undefined;
+    let isUnmounted = false;
+
+    const connect = () => {
+      ws = new WebSocket(getWebSocketUrl('/ws/events', service ? { service } : {}));
+      ws.onopen = () => onEventRef.current({ type: 'resync', time: Date.now() });
+      ws.onmessage = (message) => onEventRef.current(JSON.parse(message.data));
+      ws.onclose = () => {
+        if (!isUnmounted) reconnectTimer = setTimeout(connect, RECONNECT_DELAY);
+      };
+    };
+    connect();
+
+    return () => {
+      isUnmounted = true;
+      clearTimeout(reconnectTimer);
+      ws?.close();
+    };
+  }, [service]);
+};
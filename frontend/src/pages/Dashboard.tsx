@@ -1,43 +1,38 @@
 import React from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { Link } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { List, Card, Badge, Button, Spin, message } from 'antd';
-import { getServices, getServiceStatus, powerAction } from '../api/client';
+import { getServicesWithStatus, powerAction, logout } from '../api/client';
+import type { ServiceStatusSummary } from '../api/client';
+import { getServiceStatusDisplay } from '../utils/serviceStatus';
+import { formatBytes } from '../utils/format';
+import { useServiceEvents } from '../hooks/useServiceEvents';
 
 interface Service {
   name: string;
 }
 
-interface ServiceStatus {
-  status: 'Up' | 'Down';
-}
-
-const ServiceStatusIndicator: React.FC<{ serviceName: string }> = ({ serviceName }) => {
-  const { data, isLoading, isError } = useQuery<ServiceStatus, Error>({
-    queryKey: ['serviceStatus', serviceName],
-    queryFn: () => getServiceStatus(serviceName),
-    refetchInterval: 5000,
-  });
-
-  if (isLoading) return <Badge status="processing" text="Loading..." />;
+const ServiceStatusIndicator: React.FC<{ service: ServiceStatusSummary; isError: boolean }> = ({ service, isError }) => {
   if (isError) return <Badge status="error" text="Error" />;
 
-  switch (data?.status) {
-    case 'Up':
-      return <Badge status="success" text="Up" />;
-    case 'Down':
-      return <Badge status="error" text="Down" />;
-    default:
-      return <Badge status="default" text="Unknown" />;
-  }
+  const { text, badge } = getServiceStatusDisplay(service.status);
+  return <Badge status={badge} text={text} title={service.message} />;
 };
 
 const Dashboard: React.FC = () => {
   const queryClient = useQueryClient();
+  const navigate = useNavigate();
+
+  const { data: services, isLoading, isError } = useQuery<ServiceStatusSummary[], Error>({
+    queryKey: ['services', 'status'],
+    queryFn: getServicesWithStatus,
+    // Status changes arrive as events, resource usage is only sampled periodically
+    refetchInterval: 30000,
+  });
 
-  const { data: services, isLoading } = useQuery<string[], Error>({
-    queryKey: ['services'],
-    queryFn: getServices,
+  // Refetch on container events instead of polling
+  useServiceEvents(() => {
+    queryClient.invalidateQueries({ queryKey: ['services', 'status'] });
   });
 
 
@@ -47,19 +42,33 @@ const Dashboard: React.FC = () => {
 
   return (
     <div style={{ padding: '24px' }}>
-      <h1>Service Dashboard</h1>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h1>Service Dashboard</h1>
+        <div>
+          <Button onClick={() => navigate('/tail')} style={{ marginRight: 8 }}>Live Tail</Button>
+          <Button onClick={() => logout().then(() => {
+            message.info('Logged out');
+            navigate('/login');
+          })}>Log out</Button>
+        </div>
+      </div>
       <List
         grid={{ gutter: 16, xs: 1, sm: 2, md: 3, lg: 4, xl: 4, xxl: 4 }}
         dataSource={services}
-        renderItem={(serviceName) => (
+        renderItem={(service) => (
           <List.Item>
             <Card
-              title={<Link to={`/service/${serviceName}`}>{serviceName}</Link>}
+              title={<Link to={`/service/${service.name}`}>{service.name}</Link>}
               actions={[
-                <Link to={`/service/${serviceName}`}>View</Link>
+                <Link to={`/service/${service.name}`}>View</Link>
               ]}
             >
-              <ServiceStatusIndicator serviceName={serviceName} />
+              <ServiceStatusIndicator service={service} isError={isError} />
+              {service.metrics && (
+                <div style={{ marginTop: 8, color: 'rgba(0, 0, 0, 0.45)', fontSize: 12 }}>
+                  CPU {service.metrics.cpu.toFixed(1)}% · Memory {formatBytes(service.metrics.memory)} ({service.metrics.memoryPercent.toFixed(1)}%)
+                </div>
+              )}
             </Card>
           </List.Item>
         )}
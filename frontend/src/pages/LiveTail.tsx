@@ -0,0 +1,123 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import { Button, Input, Select, Space, Switch, Tag, message } from 'antd';
+import { getServices, getLogFiles } from '../api/client';
+import type { LogLine, LogTailMessage, LogTailSubscription } from '../api/client';
+import HighlightedLogLine from '../components/HighlightedLogLine';
+import { useLogTail } from '../hooks/useLogTail';
+
+// Older lines are dropped beyond this many
+const MAX_LINES = 5000;
+// Lines written before a file is added that are shown first
+const BACKFILL_LINES = 100;
+
+/**
+ * Follows log files of several services at once, e.g. the backend and the web app during a deployment.
+ * Each line is prefixed by the service and file it comes from.
+ */
+const LiveTail: React.FC = () => {
+  const [subscriptions, setSubscriptions] = useState<LogTailSubscription[]>([]);
+  const [lines, setLines] = useState<LogLine[]>([]);
+  const [service, setService] = useState<string>();
+  const [file, setFile] = useState<string>();
+  const [search, setSearch] = useState('');
+  const [isAutoScrollOn, setIsAutoScrollOn] = useState(true);
+  const nextIdRef = useRef(1);
+  const logContainerRef = useRef<HTMLDivElement>(null);
+
+  const { data: services } = useQuery<string[], Error>({
+    queryKey: ['services'],
+    queryFn: getServices,
+  });
+  const { data: logFiles } = useQuery<string[], Error>({
+    queryKey: ['logFiles', service],
+    queryFn: () => getLogFiles(service!),
+    enabled: !!service,
+  });
+
+  useLogTail(subscriptions, (tailMessage: LogTailMessage) => {
+    if (tailMessage.type === 'line') {
+      const { line, matches, entry, isContext } = tailMessage;
+      setLines(prev => [...prev, { line, matches, entry, isContext, file: `${tailMessage.service}/${tailMessage.file}` }].slice(-MAX_LINES));
+    } else if (tailMessage.type === 'reset') {
+      message.info(`${tailMessage.service}/${tailMessage.file} was ${tailMessage.reason}, following it from its start.`);
+    } else if (tailMessage.type === 'error') {
+      message.error(tailMessage.message);
+      // A failed subscription is not retried
+      if (tailMessage.id) setSubscriptions(prev => prev.filter(subscription => subscription.id !== tailMessage.id));
+    }
+  });
+
+  const handleAdd = () => {
+    if (!service || !file) {
+      message.error('Please select a service and a log file first.');
+      return;
+    }
+    const id = String(nextIdRef.current++);
+    setSubscriptions(prev => [...prev, { id, service, file, query: { search }, backfill: BACKFILL_LINES }]);
+    setFile(undefined);
+    setSearch('');
+  };
+
+  useEffect(() => {
+    const logContainer = logContainerRef.current;
+    if (logContainer && isAutoScrollOn) logContainer.scrollTop = logContainer.scrollHeight;
+  }, [lines, isAutoScrollOn]);
+
+  return (
+    <div style={{ padding: '24px', height: '100vh', display: 'flex', flexDirection: 'column', boxSizing: 'border-box' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h1>Live Tail</h1>
+        <Link to="/">Back to dashboard</Link>
+      </div>
+      <Space wrap style={{ marginBottom: 8 }}>
+        <Select
+          placeholder="Service"
+          style={{ width: 200 }}
+          value={service}
+          onChange={(value) => {
+            setService(value);
+            setFile(undefined);
+          }}
+          options={services?.map(name => ({ value: name, label: name }))}
+        />
+        <Select
+          placeholder="Log file"
+          style={{ width: 240 }}
+          value={file}
+          onChange={setFile}
+          disabled={!service}
+          options={logFiles?.map(name => ({ value: name, label: name }))}
+        />
+        <Input placeholder="Filter (optional)" style={{ width: 240 }} value={search} onChange={(e) => setSearch(e.target.value)} onPressEnter={handleAdd} />
+        <Button type="primary" onClick={handleAdd}>Add</Button>
+        <Button onClick={() => setLines([])}>Clear</Button>
+        <Switch checked={isAutoScrollOn} onChange={setIsAutoScrollOn} checkedChildren="Auto-scroll" unCheckedChildren="Auto-scroll" />
+      </Space>
+      <div style={{ marginBottom: 8 }}>
+        {subscriptions.map(subscription => (
+          <Tag
+            key={subscription.id}
+            closable
+            onClose={() => setSubscriptions(prev => prev.filter(other => other.id !== subscription.id))}
+          >
+            {subscription.service}/{subscription.file}{subscription.query?.search ? ` "${subscription.query.search}"` : ''}
+          </Tag>
+        ))}
+      </div>
+      <div ref={logContainerRef} style={{ background: '#000', color: '#fff', padding: '8px', overflow: 'auto', flex: 1 }}>
+        <pre style={{ margin: 0, fontFamily: 'monospace' }}>
+          {lines.map((logLine, i) => (
+            <React.Fragment key={i}>
+              <HighlightedLogLine {...logLine} />
+              {'\n'}
+            </React.Fragment>
+          ))}
+        </pre>
+      </div>
+    </div>
+  );
+};
+
+export default LiveTail;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useMutation } from '@tanstack/react-query';
+import { Button, Card, Form, Input, message } from 'antd';
+import { login } from '../api/client';
+
+interface LoginForm {
+  username: string;
+  password: string;
+}
+
+const Login: React.FC = () => {
+  const navigate = useNavigate();
+
+  const { mutate, isPending } = useMutation({
+    mutationFn: ({ username, password }: LoginForm) => login(username, password),
+    onSuccess: (data) => {
+      message.success(`Welcome, ${data.user.username}`);
+      navigate('/');
+    },
+    onError: () => {
+      message.error('Invalid username or password');
+    },
+  });
+
+  return (
+    <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '100vh' }}>
+      <Card title="Docker Service Manager" style={{ width: 360 }}>
+        <Form<LoginForm> layout="vertical" onFinish={(values) => mutate(values)}>
+          <Form.Item name="username" label="Username" rules={[{ required: true }]}>
+            <Input autoFocus />
+          </Form.Item>
+          <Form.Item name="password" label="Password" rules={[{ required: true }]}>
+            <Input.Password />
+          </Form.Item>
+          <Button type="primary" htmlType="submit" loading={isPending} block>
+            Log in
+          </Button>
+        </Form>
+      </Card>
+    </div>
+  );
+};
+
+export default Login;
@@ -1,39 +1,66 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Link, useParams } from 'react-router-dom';
-import { CopyOutlined } from '@ant-design/icons';
-import { Button, message, notification, Card, Spin, Badge, Tabs, Table, Select, DatePicker, Form, Switch, Input } from 'antd';
+import { CopyOutlined, DownloadOutlined } from '@ant-design/icons';
+import { Button, message, notification, Card, Spin, Badge, Tabs, Table, Select, DatePicker, Form, Switch, Input, Popconfirm, Checkbox, Tag, Dropdown, InputNumber, Modal } from 'antd';
+import type { MenuProps } from 'antd';
 import { useQuery, useMutation, useQueryClient, useQueries } from '@tanstack/react-query';
-import { getServiceStatus, powerAction, getServiceConfig, getServiceConfigData, getLogFiles, readLogFile, searchLogLinesByTimeRange, getLogFileTimeRange } from '../api/client';
-import type { SearchLogResult } from '../api/client';
+import { getServiceStatus, powerAction, getServiceConfig, getServiceConfigData, getLogFiles, readLogFile, searchLogLinesByTimeRange, searchServiceLogs, getLogFileTimeRange, getWebSocketUrl, toLogLines, toLogSearchParams, getLogLevelCounts, getLogExportUrl, getLogBundleUrl, getLogHistogram, readLogWindow } from '../api/client';
+import type { SearchLogResult, ServiceLogsResult, PowerActionType, Job, ServiceStatus, LogLine, LogSearchQuery, LogLevel, LogLevelCounts, LogExportFormat, LogWindow } from '../api/client';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import yaml from 'js-yaml';
 import NetworkConfig from '../components/NetworkConfig';
 import TimeRangeSlider from '../components/TimeRangeSlider';
+import AuditLog from '../components/AuditLog';
+import Alerts from '../components/Alerts';
+import ResourceUsage from '../components/ResourceUsage';
+import JobOutput from '../components/JobOutput';
+import ContainerStatusTable from '../components/ContainerStatusTable';
+import HighlightedLogLine from '../components/HighlightedLogLine';
+import { getServiceStatusDisplay } from '../utils/serviceStatus';
+import { useServiceEvents } from '../hooks/useServiceEvents';
 import extensions from '../extensions';
 
-interface ServiceStatus {
-  status: 'Up' | 'Down';
-}
-
 interface ServiceConfig {
   dockerCompose: object;
   [key: string]: string | object;
 }
 
+const logLevelOptions = (['fatal', 'error', 'warn', 'info', 'debug', 'trace'] as LogLevel[]).map(level => ({ label: level, value: level }));
+
+const logLevelTagColors: Record<LogLevel | 'unknown', string> = {
+  fatal: 'magenta',
+  error: 'red',
+  warn: 'orange',
+  info: 'blue',
+  debug: 'default',
+  trace: 'default',
+  unknown: 'default',
+};
+
 const ServiceDetail: React.FC = () => {
   const { name } = useParams<{ name: string }>();
   const queryClient = useQueryClient();
   const [isPolling, setIsPolling] = useState(false);
-  const [lastAction, setLastAction] = useState<'start' | 'stop' | 'restart' | 'down' | null>(null);
+  const [lastAction, setLastAction] = useState<PowerActionType | null>(null);
+  const [activeJobId, setActiveJobId] = useState<string | null>(null);
+  const [isJobRunning, setIsJobRunning] = useState(false);
   const [selectedLogFile, setSelectedLogFile] = useState<string | null>(null);
   const [nextLineToFetch, setNextLineToFetch] = useState<number | null>(null);
   const [timeRange, setTimeRange] = useState<[Date | null, Date | null]>([null, null]);
-  const [consoleLogs, setConsoleLogs] = useState<string[]>([]);
+  const [consoleLogs, setConsoleLogs] = useState<LogLine[]>([]);
   const [isAutoUpdateOn, setIsAutoUpdateOn] = useState(false);
   const [isAutoScrollOn, setIsAutoScrollOn] = useState(true);
   const [ws, setWs] = useState<WebSocket | null>(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [excludeTerm, setExcludeTerm] = useState('');
+  const [ignoreCase, setIgnoreCase] = useState(false);
+  const [levelFilter, setLevelFilter] = useState<LogLevel[]>([]);
+  const [contextLines, setContextLines] = useState(0);
+  const [logWindow, setLogWindow] = useState<LogWindow | null>(null);
+  const [levelCounts, setLevelCounts] = useState<LogLevelCounts | null>(null);
   const [timeTravelTotal, setTimeTravelTotal] = useState<number>(0);
+  const [searchAllFiles, setSearchAllFiles] = useState(false);
+  const [searchCursor, setSearchCursor] = useState<string | null>(null);
   const logContainerRef = useRef<HTMLDivElement | null>(null);
   const ignoreScrollEventRef = useRef(false);
 
@@ -44,6 +71,13 @@ const ServiceDetail: React.FC = () => {
     refetchInterval: isPolling ? 2000 : false,
   });
 
+  useServiceEvents((event) => {
+    if (event.type === 'oom') {
+      notification.error({ message: 'Out of Memory', description: `Container ${event.container} of ${name} was OOM-killed.` });
+    }
+    queryClient.invalidateQueries({ queryKey: ['serviceStatus', name] });
+  }, name);
+
   const { data: configData, isLoading: isConfigLoading, error: configError } = useQuery<ServiceConfig, Error>({
     queryKey: ['serviceConfig', name],
     queryFn: () => getServiceConfig(name!),
@@ -64,7 +98,7 @@ const ServiceDetail: React.FC = () => {
 
   const { data: initialLogData, isLoading: isInitialLogLoading } = useQuery({
     queryKey: ['logContent', name, selectedLogFile, 'initial'],
-    queryFn: (): Promise<string[]> => readLogFile(name!, selectedLogFile!, -100),
+    queryFn: (): Promise<LogLine[]> => readLogFile(name!, selectedLogFile!, -100).then(toLogLines),
     enabled: !!name && !!selectedLogFile,
   });
 
@@ -73,34 +107,10 @@ const ServiceDetail: React.FC = () => {
       setConsoleLogs(initialLogData);
       setNextLineToFetch(0);
 
-      // Try to determine the time range of the initial chunk
-      const timeRegex = /^(\d{1,2}\/\d{1,2}\/\d{4}, \d{1,2}:\d{2}:\d{2} (?:AM|PM))/;
-      let start: Date | null = null;
-      let end: Date | null = null;
-
-      // Find first valid time
-      for (const line of initialLogData) {
-        const match = line.match(timeRegex);
-        if (match) {
-          const d = new Date(match[1]);
-          if (!isNaN(d.getTime())) {
-            start = d;
-            break;
-          }
-        }
-      }
-
-      // Find last valid time (iterate backwards)
-      for (let i = initialLogData.length - 1; i >= 0; i--) {
-        const match = initialLogData[i].match(timeRegex);
-        if (match) {
-          const d = new Date(match[1]);
-          if (!isNaN(d.getTime())) {
-            end = d;
-            break;
-          }
-        }
-      }
+      // The time range of the initial chunk, from the timestamps the backend parsed in the log format of the file
+      const timestamps = initialLogData.map(({ entry }) => entry?.timestamp).filter((time): time is number => time != null);
+      const start = timestamps.length > 0 ? new Date(timestamps[0]) : null;
+      const end = timestamps.length > 0 ? new Date(timestamps[timestamps.length - 1]) : null;
 
       if (start && end) {
         setTimeRange([start, end]);
@@ -177,7 +187,7 @@ const ServiceDetail: React.FC = () => {
 
   useEffect(() => {
     if (statusData) {
-      if ((lastAction === 'start' && statusData.status === 'Up') ||
+      if (((lastAction === 'start' || lastAction === 'up' || lastAction === 'pull' || lastAction === 'build') && statusData.status === 'Up') ||
         (lastAction === 'stop' && statusData.status === 'Down') ||
         (lastAction === 'down' && statusData.status === 'Down')) {
         setIsPolling(false);
@@ -201,41 +211,80 @@ const ServiceDetail: React.FC = () => {
   }, [isPolling, name]);
 
   const { mutate, isPending, variables } = useMutation({
-    mutationFn: (action: 'start' | 'stop' | 'restart' | 'down') => {
+    mutationFn: (action: PowerActionType) => {
       setLastAction(action);
-      return powerAction(name!, action)
+      return powerAction(name!, action, false);
     },
-    onSuccess: (_, action) => {
-      message.success(`Action '${action}' initiated for ${name}.`);
-      if (action !== 'restart') {
-        setIsPolling(true);
+    onSuccess: (data, action) => {
+      if (!data.success || !data.jobId) {
+        message.error(`Failed to perform '${action}' on ${name}: ${data.message}`);
+        return;
+      }
+      if (data.queuePosition) {
+        message.info(`Action '${action}' queued for ${name} behind ${data.queuePosition} operation(s).`);
+      } else {
+        message.info(`Action '${action}' started for ${name}.`);
       }
-      queryClient.invalidateQueries({ queryKey: ['serviceStatus', name] });
+      setActiveJobId(data.jobId);
+      setIsJobRunning(true);
     },
     onError: (error, action) => {
       message.error(`Failed to perform '${action}' on ${name}: ${error.message}`);
     },
   });
 
-  const handlePowerAction = (action: 'start' | 'stop' | 'restart' | 'down') => {
+  const handleJobFinished = (job: Job) => {
+    setIsJobRunning(false);
+    if (job.status === 'succeeded') {
+      message.success(`Action '${job.action.toLowerCase()}' completed for ${name}.`);
+      if (lastAction !== 'restart') {
+        setIsPolling(true);
+      }
+    } else {
+      message.error(`Action '${job.action.toLowerCase()}' failed for ${name} (exit code ${job.exitCode}).`);
+    }
+    queryClient.invalidateQueries({ queryKey: ['serviceStatus', name] });
+    queryClient.invalidateQueries({ queryKey: ['auditLog', name] });
+  };
+
+  const handlePowerAction = (action: PowerActionType) => {
     mutate(action);
   };
 
-  const searchMutation = useMutation<SearchLogResult, Error, { from: string | null; to: string | null; offset: number }>({
-    mutationFn: ({ from, to, offset }) => {
+  const isPowerActionBusy = isPending || isJobRunning;
+
+  const logSearchQuery: LogSearchQuery = { search: searchTerm, ignoreCase, exclude: excludeTerm, levels: levelFilter, before: contextLines, after: contextLines };
+
+  const searchMutation = useMutation<
+    SearchLogResult | ServiceLogsResult,
+    Error,
+    { from: string | null; to: string | null; cursor: string | null }
+  >({
+    mutationFn: ({ from, to, cursor }) => {
+      if (name && searchAllFiles) {
+        return searchServiceLogs(name, from, to, 1000, cursor, logSearchQuery);
+      }
       if (!name || !selectedLogFile) {
         throw new Error('Service name or log file not selected');
       }
-      return searchLogLinesByTimeRange(name, selectedLogFile, from, to, 1000, offset, searchTerm);
+      return searchLogLinesByTimeRange(name, selectedLogFile, from, to, 1000, 0, logSearchQuery, cursor);
     },
     onSuccess: (data, variables) => {
-      if (variables.offset === 0) {
-        setConsoleLogs(data.lines);
+      if (variables.cursor === null) {
+        setConsoleLogs(toLogLines(data));
+      } else {
+        setConsoleLogs(prev => [...prev, ...toLogLines(data)]);
+      }
+      // The cursor seeks to the next page, lines appended since the first page stay out of it
+      setSearchCursor(data.nextCursor);
+      if (variables.cursor !== null) return;
+      if ('searchedFiles' in data) {
+        message.success(`Log search completed in ${data.searchedFiles.length} files.`);
       } else {
-        setConsoleLogs(prev => [...prev, ...data.lines]);
+        setTimeTravelTotal(data.total ?? 0);
+        message.success(`Log search completed. Found ${data.total} lines.`);
       }
-      setTimeTravelTotal(data.total);
-      message.success(`Log search completed. Found ${data.total} lines.`);
+      if (data.truncated) message.warning('Some lines were left out as the page got too large, narrow the search.');
     },
     onError: (error) => {
       message.error(`Failed to search logs: ${error.message}`);
@@ -246,11 +295,17 @@ const ServiceDetail: React.FC = () => {
     // Reset state for new search
     setConsoleLogs([]);
     setTimeTravelTotal(0);
-    searchMutation.mutate({
-      from: timeRange[0] ? timeRange[0].toISOString() : null,
-      to: timeRange[1] ? timeRange[1].toISOString() : null,
-      offset: 0,
-    });
+    setSearchCursor(null);
+    setLevelCounts(null);
+    const from = timeRange[0] ? timeRange[0].toISOString() : null;
+    const to = timeRange[1] ? timeRange[1].toISOString() : null;
+    searchMutation.mutate({ from, to, cursor: null });
+    if (name && selectedLogFile && !searchAllFiles) {
+      // Counted without the level filter, so the counts show what the filter hides
+      getLogLevelCounts(name, selectedLogFile, from, to, { ...logSearchQuery, levels: [] })
+        .then(setLevelCounts)
+        .catch(() => setLevelCounts(null));
+    }
   };
 
   const handleCopyAll = () => {
@@ -258,16 +313,45 @@ const ServiceDetail: React.FC = () => {
       message.info('No logs to copy');
       return;
     }
-    navigator.clipboard.writeText(consoleLogs.join('\n'))
+    navigator.clipboard.writeText(consoleLogs.map(({ line }) => line).join('\n'))
       .then(() => message.success('Logs copied'))
       .catch(() => message.error('Failed to copy logs'));
   };
 
+  const downloadMenuItems: MenuProps['items'] = [
+    { key: 'text', label: 'Text', disabled: !selectedLogFile },
+    { key: 'ndjson', label: 'NDJSON', disabled: !selectedLogFile },
+    { key: 'gzip', label: 'Gzip', disabled: !selectedLogFile },
+    { type: 'divider' },
+    { key: 'bundle', label: 'All files (tar.gz)', disabled: !logFilesData?.length },
+  ];
+
+  const handleDownload: MenuProps['onClick'] = ({ key }) => {
+    if (!name) return;
+    if (key === 'bundle') {
+      window.location.assign(getLogBundleUrl(name, logFilesData ?? []));
+      return;
+    }
+    if (!selectedLogFile) return;
+    // The time range and search narrow the download like the search results
+    const from = timeRange[0] ? timeRange[0].toISOString() : null;
+    const to = timeRange[1] ? timeRange[1].toISOString() : null;
+    window.location.assign(getLogExportUrl(name, selectedLogFile, key as LogExportFormat, from, to, logSearchQuery));
+  };
+
+  // Opens the lines around a search result, which only has the context the search asked for
+  const handleJumpToLine = (offset: number) => {
+    if (!name || !selectedLogFile) return;
+    readLogWindow(name, selectedLogFile, offset, 100, 100)
+      .then(setLogWindow)
+      .catch((error) => message.error(`Failed to read the lines around the result: ${error.message}`));
+  };
+
   const handleTimeTravelLoadMore = () => {
     searchMutation.mutate({
       from: timeRange[0] ? timeRange[0].toISOString() : null,
       to: timeRange[1] ? timeRange[1].toISOString() : null,
-      offset: consoleLogs.length,
+      cursor: searchCursor,
     });
   };
 
@@ -275,7 +359,7 @@ const ServiceDetail: React.FC = () => {
     if (name && selectedLogFile && nextLineToFetch !== null) {
       try {
         const data = await readLogFile(name, selectedLogFile, nextLineToFetch);
-        setConsoleLogs(prev => [...(data ?? []), ...prev]);
+        setConsoleLogs(prev => [...toLogLines(data), ...prev]);
         setNextLineToFetch(nextLineToFetch - 100);
       } catch (error) {
         message.error('Failed to load more log lines.');
@@ -291,13 +375,21 @@ const ServiceDetail: React.FC = () => {
         setIsAutoUpdateOn(false);
         return;
       }
-      const wsUrl = import.meta.env.VITE_API_URL.replace(/^http/, 'ws');
-      const newWs = new WebSocket(`${wsUrl}/ws/logs/${name}?file=${selectedLogFile}&search=${encodeURIComponent(searchTerm)}`);
+      const newWs = new WebSocket(getWebSocketUrl(`/ws/logs/${name}`, {
+        file: selectedLogFile,
+        ...toLogSearchParams(logSearchQuery),
+        format: 'json',
+      }));
       newWs.onopen = () => {
         message.success('Auto-update started.');
       };
       newWs.onmessage = (event) => {
-        setConsoleLogs(prev => [...prev, event.data]);
+        const data: LogLine | { error: string } = JSON.parse(event.data);
+        if ('error' in data) {
+          message.error(`Auto-update stopped: ${data.error}`);
+          return;
+        }
+        setConsoleLogs(prev => [...prev, data]);
       };
       newWs.onclose = () => {
         message.info('Auto-update stopped.');
@@ -340,15 +432,20 @@ const ServiceDetail: React.FC = () => {
     }
   };
 
-  const statusText = isStatusLoading ? 'Loading...' : statusData?.status || 'Unknown';
-  const statusType = statusData?.status === 'Up' ? 'success' : (statusData?.status === 'Down' ? 'error' : 'default');
+  const statusDisplay = getServiceStatusDisplay(statusData?.status);
+  const statusText = isStatusLoading ? 'Loading...' : statusDisplay.text;
+  const statusType = statusDisplay.badge;
   const statusColors = {
     success: 'rgba(82, 196, 26, 0.6)',
+    processing: 'rgba(22, 119, 255, 0.6)',
+    warning: 'rgba(250, 173, 20, 0.6)',
     error: 'rgba(255, 77, 79, 0.6)',
     default: 'rgba(0, 0, 0, 0.25)',
   };
   const statusDotColors = {
     success: '#52c41a',
+    processing: '#1677ff',
+    warning: '#faad14',
     error: '#ff4d4f',
     default: '#d9d9d9',
   };
@@ -466,6 +563,13 @@ const ServiceDetail: React.FC = () => {
   // If we have a start time, we assume the log is supported for time-based operations.
   const isTimeSupported = selectedLogTimeRange?.start !== null && selectedLogTimeRange?.start !== undefined;
 
+  // Activity over the whole file, drawn above the time range slider
+  const { data: logHistogram } = useQuery({
+    queryKey: ['logHistogram', name, selectedLogFile, selectedLogTimeRange?.end],
+    queryFn: () => getLogHistogram(name!, selectedLogFile!, null, null, 100),
+    enabled: !!name && !!selectedLogFile && isTimeSupported,
+  });
+
   return (
     <div style={{ padding: '24px', display: 'flex', flexDirection: 'column', height: '100vh', boxSizing: 'border-box' }}>
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 24 }}>
@@ -496,11 +600,28 @@ const ServiceDetail: React.FC = () => {
       <div style={{ flexShrink: 0, overflowY: 'auto' }}>
         <Card title="Control Panel" style={{ marginBottom: 24 }}>
           <div style={{ display: 'flex', gap: '8px' }}>
-            <Button onClick={() => handlePowerAction('start')} disabled={isPending} loading={isPending && variables === 'start'}>Start</Button>
-            <Button onClick={() => handlePowerAction('stop')} disabled={isPending} loading={isPending && variables === 'stop'}>Stop</Button>
-            {/* <Button onClick={() => handlePowerAction('restart')} disabled={isPending} loading={isPending && variables === 'restart'}>Restart</Button> */}
-            {/* <Button onClick={() => handlePowerAction('down')} danger disabled={isPending} loading={isPending && variables === 'down'}>Down</Button> */}
+            <Button onClick={() => handlePowerAction('start')} disabled={isPowerActionBusy} loading={isPowerActionBusy && variables === 'start'}>Start</Button>
+            <Button onClick={() => handlePowerAction('stop')} disabled={isPowerActionBusy} loading={isPowerActionBusy && variables === 'stop'}>Stop</Button>
+            <Button onClick={() => handlePowerAction('restart')} disabled={isPowerActionBusy} loading={isPowerActionBusy && variables === 'restart'}>Restart</Button>
+            <Button onClick={() => handlePowerAction('up')} disabled={isPowerActionBusy} loading={isPowerActionBusy && variables === 'up'}>Recreate</Button>
+            <Button onClick={() => handlePowerAction('pull')} disabled={isPowerActionBusy} loading={isPowerActionBusy && variables === 'pull'}>Pull &amp; Recreate</Button>
+            <Button onClick={() => handlePowerAction('build')} disabled={isPowerActionBusy} loading={isPowerActionBusy && variables === 'build'}>Build &amp; Recreate</Button>
+            <Popconfirm title={`Take ${name} down?`} description="Containers and networks of the service are removed." onConfirm={() => handlePowerAction('down')} disabled={isPowerActionBusy}>
+              <Button danger disabled={isPowerActionBusy} loading={isPowerActionBusy && variables === 'down'}>Down</Button>
+            </Popconfirm>
           </div>
+          {activeJobId && (
+            <div style={{ marginTop: 16 }}>
+              <JobOutput jobId={activeJobId} onFinished={handleJobFinished} />
+            </div>
+          )}
+        </Card>
+
+        <Card title="Containers" style={{ marginBottom: 24 }}>
+          <ContainerStatusTable containers={statusData?.containers ?? []} loading={isStatusLoading} />
+        </Card>
+        <Card title="Resource Usage" style={{ marginBottom: 24 }}>
+          {name && <ResourceUsage serviceName={name} />}
         </Card>
 
         {configDataFromUtils && !configDataFromUtils.error && configDataFromUtils.network && (
@@ -544,6 +665,12 @@ const ServiceDetail: React.FC = () => {
             </>
           )}
         </Card>
+        <Card title="Alerts" style={{ marginBottom: 24 }}>
+          {name && <Alerts serviceName={name} />}
+        </Card>
+        <Card title="Audit Log" style={{ marginBottom: 24 }}>
+          {name && <AuditLog serviceName={name} />}
+        </Card>
         <Card
           title="Console"
           style={{ flex: 1, display: 'flex', flexDirection: 'column', minHeight: 0, maxHeight: '120vh' }}
@@ -558,6 +685,7 @@ const ServiceDetail: React.FC = () => {
                   setSelectedLogFile(value);
                   setConsoleLogs([]);
                   setTimeTravelTotal(0);
+                  setSearchCursor(null);
                   setTimeRange([null, null]);
                 }}
                 loading={isLogFilesLoading}
@@ -574,22 +702,56 @@ const ServiceDetail: React.FC = () => {
                       timeRange[1]?.getTime() ?? (selectedLogTimeRange.end || Date.now())
                     ]}
                     onChange={(val) => setTimeRange([new Date(val[0]), new Date(val[1])])}
+                    histogram={logHistogram}
                   />
                 </div>
               )}
               <Input
-                placeholder="Search logs"
+                placeholder='Search logs: a OR b, -c, "phrase", /regex/'
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
-                style={{ width: 200 }}
+                style={{ width: 280 }}
+                onPressEnter={handleTimeTravelSearch}
+              />
+              <Input
+                placeholder="Exclude"
+                value={excludeTerm}
+                onChange={(e) => setExcludeTerm(e.target.value)}
+                style={{ width: 150 }}
                 onPressEnter={handleTimeTravelSearch}
               />
-              <Button type="primary" onClick={handleTimeTravelSearch} loading={searchMutation.isPending} disabled={!selectedLogFile}>
+              <Select
+                mode="multiple"
+                allowClear
+                placeholder="Levels"
+                style={{ minWidth: 140 }}
+                value={levelFilter}
+                onChange={setLevelFilter}
+                options={logLevelOptions}
+              />
+              <Checkbox checked={ignoreCase} onChange={(e) => setIgnoreCase(e.target.checked)}>
+                Ignore case
+              </Checkbox>
+              <InputNumber
+                addonBefore="Context"
+                min={0}
+                max={50}
+                value={contextLines}
+                onChange={(value) => setContextLines(value ?? 0)}
+                style={{ width: 140 }}
+              />
+              <Checkbox checked={searchAllFiles} onChange={(e) => setSearchAllFiles(e.target.checked)}>
+                All files
+              </Checkbox>
+              <Button type="primary" onClick={handleTimeTravelSearch} loading={searchMutation.isPending} disabled={!selectedLogFile && !searchAllFiles}>
                 Search
               </Button>
             </div>
             <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
               <Button icon={<CopyOutlined />} onClick={handleCopyAll} disabled={consoleLogs.length === 0}>Copy All</Button>
+              <Dropdown menu={{ items: downloadMenuItems, onClick: handleDownload }}>
+                <Button icon={<DownloadOutlined />}>Download</Button>
+              </Dropdown>
               <Form.Item label="Auto-update" style={{ marginBottom: 0 }}>
                 <Switch
                   checked={isAutoUpdateOn}
@@ -606,21 +768,60 @@ const ServiceDetail: React.FC = () => {
             </div>
           </div>
 
+          {levelCounts && (
+            <div style={{ marginBottom: 8, flexShrink: 0 }}>
+              {Object.entries(levelCounts.counts).filter(([, count]) => count > 0).map(([level, count]) => (
+                <Tag key={level} color={logLevelTagColors[level as LogLevel | 'unknown']}>{level}: {count}</Tag>
+              ))}
+            </div>
+          )}
           <div ref={logContainerRef} onScroll={handleScroll} style={{ background: '#000', color: '#fff', padding: '8px', overflow: 'auto', flex: 1 }}>
             {isInitialLogLoading ? <Spin /> : (
               <pre style={{ margin: 0, fontFamily: 'monospace' }}>
-                {consoleLogs.join('\n')}
+                {consoleLogs.map((logLine, i) => (
+                  <React.Fragment key={i}>
+                    {logLine.context && !logLine.file ? (
+                      <span onClick={() => handleJumpToLine(logLine.context!.offset)} style={{ cursor: 'pointer' }} title="Click to show the lines around it">
+                        <HighlightedLogLine {...logLine} />
+                      </span>
+                    ) : (
+                      <HighlightedLogLine {...logLine} />
+                    )}
+                    {'\n'}
+                  </React.Fragment>
+                ))}
               </pre>
             )}
             {searchMutation.isPending && <Spin />}
           </div>
-          {consoleLogs.length > 0 && consoleLogs.length < timeTravelTotal && (
+          {consoleLogs.length > 0 && searchCursor && (
             <Button onClick={handleTimeTravelLoadMore} style={{ marginTop: 8, flexShrink: 0 }} loading={searchMutation.isPending}>
-              Show More ({consoleLogs.length} / {timeTravelTotal})
+              {timeTravelTotal > 0 ? `Show More (${consoleLogs.length} / ${timeTravelTotal})` : `Show More (${consoleLogs.length} so far)`}
             </Button>
           )}
         </Card>
       </div>
+      <Modal
+        title={`${selectedLogFile} around the search result`}
+        open={logWindow !== null}
+        onCancel={() => setLogWindow(null)}
+        footer={null}
+        width="80%"
+      >
+        <div style={{ background: '#000', color: '#fff', padding: '8px', overflow: 'auto', maxHeight: '70vh' }}>
+          <pre style={{ margin: 0, fontFamily: 'monospace' }}>
+            {logWindow && toLogLines(logWindow).map((logLine, i) => (
+              <div
+                key={logWindow.offsets[i]}
+                ref={i === logWindow.index ? (element) => element?.scrollIntoView({ block: 'center' }) : undefined}
+                style={i === logWindow.index ? { background: '#262626' } : undefined}
+              >
+                <HighlightedLogLine {...logLine} />
+              </div>
+            ))}
+          </pre>
+        </div>
+      </Modal>
     </div>
   );
 };
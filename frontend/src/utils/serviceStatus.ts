@@ -0,0 +1,18 @@
+import type { ServiceStatusType } from '../api/client';
+
+export type StatusBadgeType = 'success' | 'processing' | 'warning' | 'error' | 'default';
+
+/** Label and antd badge type of each overall service status */
+export const serviceStatusDisplay: Record<ServiceStatusType, { text: string; badge: StatusBadgeType }> = {
+  Up: { text: 'Up', badge: 'success' },
+  Starting: { text: 'Starting', badge: 'processing' },
+  Degraded: { text: 'Degraded', badge: 'warning' },
+  Unhealthy: { text: 'Unhealthy', badge: 'warning' },
+  Paused: { text: 'Paused', badge: 'warning' },
+  CrashLooping: { text: 'Crash-looping', badge: 'error' },
+  Down: { text: 'Down', badge: 'error' },
+  Unknown: { text: 'Unknown', badge: 'default' },
+};
+
+export const getServiceStatusDisplay = (status?: ServiceStatusType) =>
+  (status && serviceStatusDisplay[status]) || serviceStatusDisplay.Unknown;
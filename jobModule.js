@@ -0,0 +1,222 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+let JobStatus = Object.freeze({
+    QUEUED: "queued",
+    RUNNING: "running",
+    SUCCEEDED: "succeeded",
+    FAILED: "failed",
+});
+
+class JobModule {
+    /** @type {Map<string, Job>} Insertion ordered, oldest first */
+    #jobs = new Map();
+    #emitter = new EventEmitter();
+    #maxJobs;
+    #maxLines;
+
+    JobStatus = JobStatus;
+
+    constructor() {
+        this.#maxJobs = parseInt(process.env.JOB_HISTORY_SIZE, 10) || 100;
+        this.#maxLines = parseInt(process.env.JOB_OUTPUT_MAX_LINES, 10) || 5000;
+        // One listener per open /ws/jobs socket
+        this.#emitter.setMaxListeners(0);
+    }
+
+    /**
+     * @typedef {Object} JobOutputLine
+     * @property {number} time
+     * @property {'stdout'|'stderr'} stream
+     * @property {string} line
+     *
+     * @typedef {Object} Job
+     * @property {string} id
+     * @property {string} service
+     * @property {string} action
+     * @property {string} user
+     * @property {'queued'|'running'|'succeeded'|'failed'} status
+     * @property {number|null} exitCode
+     * @property {number} createdAt
+     * @property {number|null} startedAt
+     * @property {number|null} finishedAt
+     * @property {Array<JobOutputLine>} output - The most recent lines, capped at JOB_OUTPUT_MAX_LINES
+     * @property {boolean} truncated - True if older output lines were dropped
+     *
+     * @typedef {Object} JobEvent
+     * @property {'line'|'status'} type
+     * @property {JobOutputLine} [line]
+     * @property {Job} [job] - Summary of the job, for status events
+     */
+
+    /**
+     * Registers a new job in the queued state.
+     * @param {{service: string, action: string, user: string}} info
+     * @returns {Job}
+     */
+    create({ service, action, user }) {
+        const job = {
+            id: crypto.randomUUID(),
+            service,
+            action,
+            user,
+            status: JobStatus.QUEUED,
+            exitCode: null,
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null,
+            output: [],
+            truncated: false,
+        };
+        this.#jobs.set(job.id, job);
+        this.#prune();
+        return job;
+    }
+
+    /**
+     * Runs a shell command for a queued job, streaming its output line by line to subscribers.
+     * @param {string} jobId
+     * @param {string} command
+     * @param {{env?: Object, cwd?: string}} [options]
+     * @returns {Promise<{exitCode: number, stdout: string, stderr: string}>} Resolves when the command exits.
+     */
+    run(jobId, command, options = {}) {
+        const job = this.#jobs.get(jobId);
+        if (!job) return Promise.reject(new Error(`Job "${jobId}" not found`));
+
+        return new Promise((resolve) => {
+            const collected = { stdout: [], stderr: [] };
+            const child = spawn('/bin/bash', ['-c', command], {
+                env: options.env || process.env,
+                cwd: options.cwd,
+            });
+
+            job.status = JobStatus.RUNNING;
+            job.startedAt = Date.now();
+            this.#emitStatus(job);
+
+            const pending = { stdout: '', stderr: '' };
+            const onData = (stream) => (chunk) => {
+                pending[stream] += chunk.toString('utf-8');
+                // docker-compose redraws progress with \r, treat it as a line break too
+                const parts = pending[stream].split(/\r\n|\n|\r/);
+                pending[stream] = parts.pop();
+                for (const line of parts) {
+                    collected[stream].push(line);
+                    this.#appendLine(job, stream, line);
+                }
+            };
+            child.stdout.on('data', onData('stdout'));
+            child.stderr.on('data', onData('stderr'));
+
+            const finish = (exitCode) => {
+                if (job.finishedAt) return;
+                for (const stream of ['stdout', 'stderr']) {
+                    if (pending[stream]) {
+                        collected[stream].push(pending[stream]);
+                        this.#appendLine(job, stream, pending[stream]);
+                    }
+                }
+                job.exitCode = exitCode;
+                job.status = exitCode === 0 ? JobStatus.SUCCEEDED : JobStatus.FAILED;
+                job.finishedAt = Date.now();
+                this.#emitStatus(job);
+                resolve({ exitCode, stdout: collected.stdout.join('\n'), stderr: collected.stderr.join('\n') });
+            };
+
+            child.on('error', (error) => {
+                this.#appendLine(job, 'stderr', `Failed to start command: ${error.message}`);
+                finish(-1);
+            });
+            child.on('close', (code) => finish(code === null ? -1 : code));
+        });
+    }
+
+    /**
+     * @param {string} jobId
+     * @returns {Job|null} A snapshot of the job including its output
+     */
+    get(jobId) {
+        const job = this.#jobs.get(jobId);
+        return job ? { ...job, output: [...job.output] } : null;
+    }
+
+    /**
+     * @param {{service?: string}} [filter]
+     * @returns {Array<Omit<Job, 'output'>>} Job summaries, newest first
+     */
+    list({ service } = {}) {
+        return [...this.#jobs.values()]
+            .filter(job => !service || job.service === service)
+            .map(job => this.#summary(job))
+            .reverse();
+    }
+
+    /**
+     * Subscribes to output and status changes of a job.
+     * @param {string} jobId
+     * @param {(event: JobEvent) => void} listener
+     * @returns {() => void} Unsubscribe function
+     */
+    subscribe(jobId, listener) {
+        this.#emitter.on(jobId, listener);
+        return () => this.#emitter.off(jobId, listener);
+    }
+
+    /**
+     * Marks a job as finished without running a command, e.g. when it was rejected while queued.
+     * @param {string} jobId
+     * @param {string} reason
+     */
+    fail(jobId, reason) {
+        const job = this.#jobs.get(jobId);
+        if (!job || job.finishedAt) return;
+        this.#appendLine(job, 'stderr', reason);
+        job.status = JobStatus.FAILED;
+        job.finishedAt = Date.now();
+        this.#emitStatus(job);
+    }
+
+    /**
+     * @param {Job} job
+     * @param {'stdout'|'stderr'} stream
+     * @param {string} text
+     */
+    #appendLine(job, stream, text) {
+        const line = { time: Date.now(), stream, line: text };
+        job.output.push(line);
+        if (job.output.length > this.#maxLines) {
+            job.output.shift();
+            job.truncated = true;
+        }
+        this.#emitter.emit(job.id, { type: 'line', line });
+    }
+
+    /**
+     * @param {Job} job
+     */
+    #emitStatus(job) {
+        this.#emitter.emit(job.id, { type: 'status', job: this.#summary(job) });
+    }
+
+    /**
+     * @param {Job} job
+     */
+    #summary(job) {
+        const { output, ...summary } = job;
+        return summary;
+    }
+
+    /**
+     * Drops the oldest finished jobs once more than JOB_HISTORY_SIZE are kept.
+     */
+    #prune() {
+        for (const [id, job] of this.#jobs) {
+            if (this.#jobs.size <= this.#maxJobs) break;
+            if (job.finishedAt) this.#jobs.delete(id);
+        }
+    }
+}
+
+module.exports = new JobModule();
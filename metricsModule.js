@@ -0,0 +1,265 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const execAsync = promisify(exec);
+const path = require('path');
+const fs = require('fs');
+const readline = require('readline');
+const DockerModule = require('./dockerModule');
+
+// Size units printed by `docker stats`: binary for memory, decimal for network and block IO
+const SIZE_UNITS = Object.freeze({
+    B: 1,
+    kB: 1e3, KB: 1e3, MB: 1e6, GB: 1e9, TB: 1e12,
+    KiB: 1024, MiB: 1024 ** 2, GiB: 1024 ** 3, TiB: 1024 ** 4,
+});
+
+// Queries return at most this many points unless a smaller step is requested
+const MAX_POINTS = 300;
+
+class MetricsModule {
+    #metricsDir;
+    #interval;
+    #retentionMs;
+    #timer = null;
+    /** @type {Promise<void>|null} */
+    #sampling = null;
+    /** @type {Map<string, MetricsSample>} Latest sample by service */
+    #latest = new Map();
+    /** @type {Map<string, number>} Time of the last pruning by service */
+    #lastPrunedAt = new Map();
+
+    constructor() {
+        const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+        this.#metricsDir = process.env.METRICS_DIR || path.join(dataDir, 'metrics');
+        this.#interval = parseInt(process.env.METRICS_INTERVAL_MS, 10) || 30000;
+        this.#retentionMs = (parseFloat(process.env.METRICS_RETENTION_HOURS) || 7 * 24) * 60 * 60 * 1000;
+    }
+
+    /**
+     * @typedef {Object} MetricsSample
+     * @property {number} time - Unix timestamp in milliseconds
+     * @property {number} containers - Number of running containers sampled
+     * @property {number} cpu - CPU usage in percent of one core, summed over containers
+     * @property {number} memory - Memory usage in bytes
+     * @property {number} memoryLimit - Memory limit in bytes
+     * @property {number} memoryPercent - Highest memory usage of a container in percent of its limit
+     * @property {number} netRx - Bytes received since the containers started
+     * @property {number} netTx - Bytes sent since the containers started
+     * @property {number} blockRead - Bytes read from disk since the containers started
+     * @property {number} blockWrite - Bytes written to disk since the containers started
+     * @property {number} pids
+     */
+
+    /**
+     * Starts sampling `docker stats` every METRICS_INTERVAL_MS.
+     */
+    start() {
+        if (this.#timer) return;
+        this.#timer = setInterval(() => this.sample(), this.#interval);
+        this.sample();
+        console.log(`Metrics collection started, sampling every ${this.#interval}ms`);
+    }
+
+    stop() {
+        clearInterval(this.#timer);
+        this.#timer = null;
+    }
+
+    /**
+     * Takes one sample of all running containers and appends it to the time series of their services.
+     * Concurrent calls share the running sample.
+     * @returns {Promise<void>}
+     */
+    sample() {
+        if (!this.#sampling) {
+            this.#sampling = this.#sample()
+                .catch(error => console.error(`Error collecting metrics: ${error.message}`))
+                .finally(() => { this.#sampling = null; });
+        }
+        return this.#sampling;
+    }
+
+    async #sample() {
+        const [services, { stdout }] = await Promise.all([
+            DockerModule.getCachedServicesStatus(),
+            execAsync(`docker stats --no-stream --format '{{json .}}'`, { encoding: 'utf-8', maxBuffer: 16 * 1024 * 1024 }),
+        ]);
+
+        // docker stats has no labels, containers are matched to services by name
+        const serviceByContainer = new Map();
+        for (const service of services) {
+            for (const container of service.containers) serviceByContainer.set(container.name, service.name);
+        }
+
+        const time = Date.now();
+        const samples = new Map();
+        for (const line of stdout.split('\n')) {
+            if (!line.trim()) continue;
+            const stats = JSON.parse(line);
+            const serviceName = serviceByContainer.get(stats.Name);
+            if (!serviceName) continue;
+
+            if (!samples.has(serviceName)) {
+                samples.set(serviceName, {
+                    time, containers: 0, cpu: 0, memory: 0, memoryLimit: 0, memoryPercent: 0,
+                    netRx: 0, netTx: 0, blockRead: 0, blockWrite: 0, pids: 0,
+                });
+            }
+            const sample = samples.get(serviceName);
+            const [memory, memoryLimit] = this.#parsePair(stats.MemUsage);
+            const [netRx, netTx] = this.#parsePair(stats.NetIO);
+            const [blockRead, blockWrite] = this.#parsePair(stats.BlockIO);
+
+            sample.containers += 1;
+            sample.cpu += parseFloat(stats.CPUPerc) || 0;
+            sample.memory += memory;
+            sample.memoryLimit += memoryLimit;
+            sample.memoryPercent = Math.max(sample.memoryPercent, parseFloat(stats.MemPerc) || 0);
+            sample.netRx += netRx;
+            sample.netTx += netTx;
+            sample.blockRead += blockRead;
+            sample.blockWrite += blockWrite;
+            sample.pids += parseInt(stats.PIDs, 10) || 0;
+        }
+
+        // Services without running containers no longer have current usage
+        this.#latest = samples;
+        await fs.promises.mkdir(this.#metricsDir, { recursive: true });
+        for (const [serviceName, sample] of samples) {
+            sample.cpu = Math.round(sample.cpu * 100) / 100;
+            await fs.promises.appendFile(this.#resolveMetricsPath(serviceName), `${JSON.stringify(sample)}\n`, 'utf-8');
+            await this.#pruneIfDue(serviceName);
+        }
+    }
+
+    /**
+     * @param {string} value - e.g. "12.5MiB / 1.944GiB"
+     * @returns {[number, number]} Both sizes in bytes
+     */
+    #parsePair(value) {
+        const [first, second] = String(value || '').split('/');
+        return [this.#parseSize(first), this.#parseSize(second)];
+    }
+
+    /**
+     * @param {string} value - e.g. "12.5MiB", "3.4kB", "0B"
+     * @returns {number} Bytes, 0 if the value cannot be parsed
+     */
+    #parseSize(value) {
+        const match = String(value || '').trim().match(/^([\d.]+)\s*([a-zA-Z]+)$/);
+        if (!match || !SIZE_UNITS[match[2]]) return 0;
+        return Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2]]);
+    }
+
+    /**
+     * @param {string} serviceName
+     * @returns {string}
+     */
+    #resolveMetricsPath(serviceName) {
+        return path.join(this.#metricsDir, `${serviceName}.jsonl`);
+    }
+
+    /**
+     * Drops samples older than METRICS_RETENTION_HOURS, at most once an hour per service.
+     * @param {string} serviceName
+     */
+    async #pruneIfDue(serviceName) {
+        const now = Date.now();
+        if (now - (this.#lastPrunedAt.get(serviceName) || 0) < 60 * 60 * 1000) return;
+        this.#lastPrunedAt.set(serviceName, now);
+
+        const filePath = this.#resolveMetricsPath(serviceName);
+        const kept = [];
+        for await (const sample of this.#readSamples(filePath)) {
+            if (sample.time >= now - this.#retentionMs) kept.push(JSON.stringify(sample));
+        }
+        // Replace atomically, a concurrent reader sees either the old or the new file
+        const tempPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, kept.length > 0 ? `${kept.join('\n')}\n` : '', 'utf-8');
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    /**
+     * @param {string} filePath
+     * @returns {AsyncGenerator<MetricsSample>}
+     */
+    async *#readSamples(filePath) {
+        if (!fs.existsSync(filePath)) return;
+        const rl = readline.createInterface({
+            input: fs.createReadStream(filePath, { encoding: 'utf-8' }),
+            crlfDelay: Infinity,
+        });
+        for await (const line of rl) {
+            if (!line.trim()) continue;
+            try {
+                yield JSON.parse(line);
+            } catch (e) {
+                continue; // Ignore a partially written line
+            }
+        }
+    }
+
+    /**
+     * @param {string} serviceName
+     * @returns {MetricsSample|null} The most recent sample, null if the service has no running containers
+     */
+    getCurrentUsage(serviceName) {
+        return this.#latest.get(serviceName) || null;
+    }
+
+    /**
+     * Reads the time series of a service, averaged into buckets of `step` seconds.
+     * Usage values (cpu, memory, pids) are averaged, the cumulative counters take the last value of each bucket.
+     * @param {string} serviceName
+     * @param {Object} [options]
+     * @param {string|number} [options.from] - Defaults to one hour before `to`
+     * @param {string|number} [options.to] - Defaults to now
+     * @param {number} [options.step] - Bucket size in seconds, chosen to return at most 300 points when omitted
+     * @returns {Promise<{from: number, to: number, step: number, points: Array<MetricsSample>}|{success: false, message: string}>}
+     */
+    async getMetrics(serviceName, { from, to, step } = {}) {
+        if (typeof serviceName !== 'string' || path.basename(serviceName) !== serviceName) {
+            return { success: false, message: 'Invalid service name' };
+        }
+        const toTs = to ? new Date(isNaN(to) ? to : Number(to)).getTime() : Date.now();
+        const fromTs = from ? new Date(isNaN(from) ? from : Number(from)).getTime() : toTs - 60 * 60 * 1000;
+        if (isNaN(fromTs) || isNaN(toTs) || fromTs > toTs) {
+            return { success: false, message: 'Invalid time range' };
+        }
+
+        const minStep = Math.ceil(this.#interval / 1000);
+        const stepSeconds = Math.max(parseInt(step, 10) || Math.ceil((toTs - fromTs) / 1000 / MAX_POINTS), minStep);
+        const stepMs = stepSeconds * 1000;
+
+        /** @type {Map<number, Array<MetricsSample>>} */
+        const buckets = new Map();
+        for await (const sample of this.#readSamples(this.#resolveMetricsPath(serviceName))) {
+            if (sample.time < fromTs || sample.time > toTs) continue;
+            const bucket = fromTs + Math.floor((sample.time - fromTs) / stepMs) * stepMs;
+            if (!buckets.has(bucket)) buckets.set(bucket, []);
+            buckets.get(bucket).push(sample);
+        }
+
+        const average = (samples, field) => samples.reduce((sum, sample) => sum + sample[field], 0) / samples.length;
+        const points = [...buckets.entries()].sort(([a], [b]) => a - b).map(([time, samples]) => {
+            const last = samples[samples.length - 1];
+            return {
+                time,
+                containers: last.containers,
+                cpu: Math.round(average(samples, 'cpu') * 100) / 100,
+                memory: Math.round(average(samples, 'memory')),
+                memoryLimit: last.memoryLimit,
+                memoryPercent: Math.round(average(samples, 'memoryPercent') * 100) / 100,
+                netRx: last.netRx,
+                netTx: last.netTx,
+                blockRead: last.blockRead,
+                blockWrite: last.blockWrite,
+                pids: Math.round(average(samples, 'pids')),
+            };
+        });
+
+        return { from: fromTs, to: toTs, step: stepSeconds, points };
+    }
+}
+
+module.exports = new MetricsModule();
@@ -1,6 +1,17 @@
 require("dotenv").config();
 let DockerModule = require("./dockerModule");
+const AuthModule = require("./authModule");
+const AuditModule = require("./auditModule");
+const JobModule = require("./jobModule");
+const EventModule = require("./eventModule");
+const AlertModule = require("./alertModule");
+const MetricsModule = require("./metricsModule");
+const http = require("http");
 const ConfigUtils = require("./utils/configUtils");
+const LogSearchUtils = require("./utils/logSearchUtils");
+const LogParseUtils = require("./utils/logParseUtils");
+const TimestampUtils = require("./utils/timestampUtils");
+const LogReadUtils = require("./utils/logReadUtils");
 
 /**
  * @typedef {() => Promise<void>} TestFunction
@@ -27,6 +38,129 @@ let tests = [
         console.log(`Service ${serviceName} is up: ${isUp}`);
         return TestResult.MANUALLY_VERIFY;
     },
+    async function testGetServiceStatus() {
+        let serviceName = "test1";
+        let status = await DockerModule.getServiceStatus(serviceName);
+        console.log(`Status of ${serviceName}: ${status.status}`);
+        console.log("Containers:", status.containers);
+        if (!Object.values(DockerModule.ServiceStatus).includes(status.status)) return TestResult.FAIL;
+        return TestResult.MANUALLY_VERIFY;
+    },
+    async function testGetServicesStatus() {
+        let statuses = await DockerModule.getServicesStatus();
+        console.log("Status of all services:", statuses.map(({ name, status }) => `${name}: ${status}`));
+        // The second call within the refresh interval is served from the cache
+        let startedAt = Date.now();
+        await DockerModule.getServicesStatus();
+        console.log(`Cached call took ${Date.now() - startedAt}ms`);
+        return TestResult.MANUALLY_VERIFY;
+    },
+    async function testServiceEvents() {
+        let serviceName = "test1";
+        let events = [];
+        let unsubscribe = EventModule.subscribe((event) => events.push(event));
+
+        await DockerModule.powerAction(DockerModule.PowerAction.RESTART, serviceName, "test-user");
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        unsubscribe();
+
+        console.log("Events received:", events);
+        return events.some(event => event.service === serviceName && event.type === EventModule.ServiceEventType.STARTED)
+            ? TestResult.PASS
+            : TestResult.FAIL;
+    },
+    async function testAlertWebhook() {
+        const serviceName = "test1";
+        const received = [];
+        // Local stand-in for a webhook receiver
+        const server = http.createServer((req, res) => {
+            let body = "";
+            req.on("data", chunk => body += chunk);
+            req.on("end", () => {
+                received.push(JSON.parse(body));
+                res.end("ok");
+            });
+        });
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+        const originalConfig = await AlertModule.getConfig();
+        const config = {
+            webhooks: [{ id: "test", url: `http://127.0.0.1:${server.address().port}/hook`, body: { text: "[{{event}}] {{service}}: {{message}}" } }],
+            rules: [{ id: "test-disk", type: "disk_usage", services: [serviceName], thresholdMB: 0.000001 }],
+        };
+        try {
+            await AlertModule.saveConfig(config, "test-user");
+            await AlertModule.evaluate();
+            console.log("Firing alerts:", AlertModule.listAlerts());
+
+            // Raising the threshold resolves the alert
+            config.rules[0].thresholdMB = 1024 * 1024;
+            await AlertModule.saveConfig(config, "test-user");
+            await AlertModule.evaluate();
+        } finally {
+            await AlertModule.saveConfig(originalConfig, "test-user");
+            server.close();
+        }
+
+        console.log("Webhook requests:", received);
+        console.log("Alert history:", await AlertModule.queryHistory({ rule: "test-disk", limit: 2 }));
+        const events = received.map(body => body.text.split("]")[0]);
+        return events.join(",") === "[fired,[resolved" ? TestResult.PASS : TestResult.FAIL;
+    },
+    async function testAlertLogRotation() {
+        const fs = require("fs");
+        const path = require("path");
+        const zlib = require("zlib");
+        const serviceName = "test-alert-rotation";
+        const logsDir = path.join(process.env.CONTAINER_DIR, serviceName, "logs");
+        const logPath = path.join(logsDir, "app.log");
+        fs.mkdirSync(logsDir, { recursive: true });
+        fs.writeFileSync(logPath, "started\n");
+
+        const startedAt = Date.now();
+        const originalConfig = await AlertModule.getConfig();
+        const config = {
+            webhooks: [],
+            rules: [{ id: "test-rotation", type: "log_pattern", services: [serviceName], pattern: "FATAL", cooldown: 0.001 }],
+        };
+        const countFired = async () => (await AlertModule.queryHistory({ service: serviceName, rule: "test-rotation" }))
+            .filter(entry => entry.event === AlertModule.AlertEvent.FIRED && entry.time >= startedAt).length;
+        try {
+            await AlertModule.saveConfig(config, "test-user");
+            // The first evaluation only records where the files end
+            await AlertModule.evaluate();
+            fs.appendFileSync(logPath, "FATAL out of memory\n");
+            await AlertModule.evaluate();
+            await new Promise(resolve => setTimeout(resolve, 10));
+            await AlertModule.evaluate();
+            const firedBefore = await countFired();
+
+            // logrotate copytruncate, with an older file compressed
+            fs.copyFileSync(logPath, `${logPath}.1`);
+            fs.truncateSync(logPath, 0);
+            fs.writeFileSync(`${logPath}.2.gz`, zlib.gzipSync("FATAL older\n"));
+            await AlertModule.evaluate();
+            const firedAfterRotation = await countFired();
+
+            fs.appendFileSync(logPath, "FATAL after rotation\n");
+            await AlertModule.evaluate();
+            const firedAfterNewLine = await countFired();
+            console.log(`Fired before rotation: ${firedBefore}, after rotation: ${firedAfterRotation}, after a new line: ${firedAfterNewLine}`);
+            return firedBefore === 1 && firedAfterRotation === 1 && firedAfterNewLine === 2 ? TestResult.PASS : TestResult.FAIL;
+        } finally {
+            await AlertModule.saveConfig(originalConfig, "test-user");
+            fs.rmSync(path.dirname(logsDir), { recursive: true, force: true });
+        }
+    },
+    async function testServiceMetrics() {
+        const serviceName = "test1";
+        await MetricsModule.sample();
+        console.log(`Current usage of ${serviceName}:`, MetricsModule.getCurrentUsage(serviceName));
+
+        const metrics = await MetricsModule.getMetrics(serviceName, { from: Date.now() - 60 * 60 * 1000 });
+        console.log(`Metrics of the last hour (step ${metrics.step}s, ${metrics.points.length} points):`, metrics.points.slice(-3));
+        return TestResult.MANUALLY_VERIFY;
+    },
     async function testGetServicesConfig() {
         let service = ["test1", "test2", "rc-web-app", "rc-backend-dev"];
 
@@ -59,8 +193,108 @@ let tests = [
                 externalIPv6: "2001:db8:0:1234::5678"
             },
         };
-        ConfigUtils.generateConfig(internalConfigData, "/docker/test1")
-        ConfigUtils.generateConfig(externalConfigData, "/docker/test2")
+        await ConfigUtils.generateConfig(internalConfigData, "/docker/test1")
+        await ConfigUtils.generateConfig(externalConfigData, "/docker/test2")
+    },
+    async function testCreateService() {
+        const configData = {
+            service_name: "test-created",
+            network: {
+                type: "internal",
+                mappingDstIPv4: "172.30.0.1",
+                mappingSrcPort: "8080",
+                mappingDstPort: "8082",
+                internalNetSegment: "172.29",
+            },
+        };
+
+        const invalid = await DockerModule.createService({ service_name: "Bad Name", network: { type: "internal" } });
+        console.log("Create with invalid data:", invalid);
+        if (invalid.success) return TestResult.FAIL;
+
+        const created = await DockerModule.createService(configData, { MODE: "production" });
+        console.log("Create service:", created);
+
+        const duplicate = await DockerModule.createService(configData);
+        console.log("Create duplicate service:", duplicate);
+        if (duplicate.success) return TestResult.FAIL;
+
+        return created.success ? TestResult.PASS : TestResult.MANUALLY_VERIFY;
+    },
+    async function testDeleteAndRestoreService() {
+        const serviceName = "test-created";
+
+        const refused = await DockerModule.deleteService(serviceName, "delete");
+        console.log("Delete without confirmation:", refused);
+        if (refused.success) return TestResult.FAIL;
+
+        const archived = await DockerModule.deleteService(serviceName);
+        console.log("Archive service:", archived);
+        if (!archived.success) return TestResult.MANUALLY_VERIFY;
+
+        const restored = await DockerModule.restoreService(archived.archive);
+        console.log("Restore service:", restored);
+        return restored.success && (await DockerModule.listServices()).includes(serviceName) ? TestResult.PASS : TestResult.FAIL;
+    },
+    async function testPowerActionJob() {
+        const serviceName = "test1";
+        const started = await DockerModule.powerAction(DockerModule.PowerAction.RESTART, serviceName, "test-user", false);
+        console.log("Power action started:", started);
+        if (!started.jobId) return TestResult.FAIL;
+
+        const lines = [];
+        const unsubscribe = JobModule.subscribe(started.jobId, (event) => {
+            if (event.type === "line") lines.push(event.line.line);
+        });
+        while (!JobModule.get(started.jobId).finishedAt) {
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+        unsubscribe();
+
+        const job = JobModule.get(started.jobId);
+        console.log(`Job finished with status ${job.status} (exit code ${job.exitCode}), streamed lines:`, lines);
+        return TestResult.MANUALLY_VERIFY;
+    },
+    async function testPowerActionValidation() {
+        const fs = require("fs");
+        const path = require("path");
+        const serviceName = "test-power-validation";
+        const serviceDir = path.join(process.env.CONTAINER_DIR, serviceName);
+        // A service generated by DCM only references a prebuilt image
+        fs.mkdirSync(serviceDir, { recursive: true });
+        await ConfigUtils.generateConfig({
+            service_name: serviceName,
+            network: { type: "external", externalIPv4: "23.146.248.87", externalIPv6: "2001:db8:0:1234::5678" },
+        }, serviceDir);
+        try {
+            const build = await DockerModule.powerAction(DockerModule.PowerAction.BUILD, serviceName, "test-user");
+            console.log("BUILD result:", build);
+            const invalid = await DockerModule.powerAction("REBOOT", serviceName, "test-user");
+            console.log("Invalid action result:", invalid);
+            // A missing service fails too, only the validation messages show that the actions were checked
+            if (build.message !== "docker-compose.yml has no service with a build section") return TestResult.FAIL;
+            return invalid.message === "Invalid action type" ? TestResult.PASS : TestResult.FAIL;
+        } finally {
+            fs.rmSync(serviceDir, { recursive: true, force: true });
+        }
+    },
+    async function testServiceOperationQueue() {
+        const serviceName = "test1";
+        const first = await DockerModule.powerAction(DockerModule.PowerAction.STOP, serviceName, "test-user", false);
+        const second = await DockerModule.powerAction(DockerModule.PowerAction.START, serviceName, "test-user", false);
+        const other = await DockerModule.powerAction(DockerModule.PowerAction.STOP, "test2", "test-user", false);
+        console.log("Queued actions:", first, second, other);
+        console.log("Running operations:", DockerModule.listOperations());
+
+        if (first.queuePosition !== 0 || second.queuePosition !== 1 || other.queuePosition !== 0) return TestResult.FAIL;
+        if (JobModule.get(second.jobId).status !== JobModule.JobStatus.QUEUED) return TestResult.FAIL;
+
+        while (DockerModule.listOperations().length > 0) {
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+        const [stop, start] = [JobModule.get(first.jobId), JobModule.get(second.jobId)];
+        // START must not begin before STOP on the same service has finished
+        return start.startedAt >= stop.finishedAt ? TestResult.PASS : TestResult.FAIL;
     },
     async function testGetServiceLogs() {
         const serviceName = "rc-backend-prod";
@@ -79,21 +313,48 @@ let tests = [
         return TestResult.MANUALLY_VERIFY;
 
     },
+    async function testUpdateServiceConfigData() {
+        const serviceName = "test1";
+        const configData = await DockerModule.getServiceConfigData(serviceName);
+        console.log(`Current config data for ${serviceName}:`, configData);
+
+        configData.network.mappingDstPort = "8083";
+        const result = await DockerModule.updateServiceConfigData(serviceName, configData);
+        console.log(`Update result for ${serviceName}:`, result);
+        console.log(`Round-trip config data:`, await DockerModule.getServiceConfigData(serviceName));
+        return TestResult.MANUALLY_VERIFY;
+    },
     async function testMonitorServiceLogs() {
         const serviceName = "rc-backend-prod";
         const logFileName = "app-2025-11-21_20-11-22.log.10";
         
         console.log(`Starting to monitor logs for ${serviceName} - ${logFileName}`);
         
+        let lastPosition = null;
         const stopMonitor = await DockerModule.monitorServiceLogs(serviceName, logFileName, (line) => {
             console.log(`[NEW LINE]: ${line}`);
+        }, {}, (error) => console.error(error.message), {
+            backfill: 5,
+            onPosition: (position) => {
+                console.log(`[POSITION]: ${position.offset}`);
+                lastPosition = position;
+            },
         });
 
-        console.log("Monitoring for 5 seconds...");
+        console.log("Monitoring for 5 seconds, starting with the last 5 lines...");
         await new Promise(resolve => setTimeout(resolve, 5000));
         
         stopMonitor();
         console.log("Stopped monitoring.");
+        // Acknowledged once monitoring started, unless the file could not be read
+        if (!lastPosition) return TestResult.FAIL;
+
+        // Lines written since the last acknowledged position are sent first
+        const stopResumed = await DockerModule.monitorServiceLogs(serviceName, logFileName, (line) => {
+            console.log(`[RESUMED LINE]: ${line}`);
+        }, {}, (error) => console.error(error.message), { resume: lastPosition.cursor });
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        stopResumed();
         return TestResult.MANUALLY_VERIFY;
     },
     async function testGetLogLines() {
@@ -128,6 +389,294 @@ let tests = [
         
         return TestResult.MANUALLY_VERIFY;
     },
+    async function testLogSearchQuery() {
+        const lines = [
+            "11/20/2025, 11:30:05 PM [ERROR] Connection reset by peer",
+            "11/20/2025, 11:31:00 PM [WARN] request took 450ms",
+            "11/20/2025, 11:32:00 PM [DEBUG] healthcheck error ignored",
+        ];
+        const result = LogSearchUtils.compile({ search: '(error OR /took \\d+ms/) -healthcheck', ignoreCase: true }).filter(lines);
+        console.log(`Matched lines:`, result);
+        if (result.lines.length !== 2 || result.matches[0][0][0] !== 25 || result.matches[1][0][1] !== 49) return TestResult.FAIL;
+
+        // Catastrophic backtracking has to fail with a timeout instead of blocking
+        try {
+            LogSearchUtils.compile({ search: '/^(a+)+$/' }).filter(["a".repeat(40) + "b"]);
+            return TestResult.FAIL;
+        } catch (error) {
+            console.log(`Catastrophic pattern rejected: ${error.message}`);
+        }
+
+        const serviceName = "rc-backend-prod";
+        const logFileName = "app-2025-11-21_20-11-22.log";
+        const found = await DockerModule.searchLogLinesByTimeRange(serviceName, logFileName, null, null, 10, 0, { search: "error", ignoreCase: true, exclude: "healthcheck" });
+        console.log(`Search in ${serviceName}/${logFileName}:`, found);
+        return TestResult.PASS;
+    },
+    async function testLogLevels() {
+        const parse = LogParseUtils.createParser({}, TimestampUtils.createParser(TimestampUtils.TimestampFormat.US, "UTC"));
+        const entry = parse("11/20/2025, 11:30:05 PM [WARNING] request took 450ms");
+        console.log(`Parsed entry:`, entry);
+        if (entry.level !== LogParseUtils.LogLevel.WARN || entry.message !== "request took 450ms" || entry.timestamp === null) return TestResult.FAIL;
+
+        const serviceName = "rc-backend-prod";
+        const logFileName = "app-2025-11-21_20-11-22.log";
+        console.log(`Level counts:`, await DockerModule.getLogLevelCounts(serviceName, logFileName, null, null));
+        const errors = await DockerModule.getLogLines(serviceName, logFileName, -10, 10, { levels: "error,fatal" });
+        console.log(`Last errors:`, errors.lines);
+        return TestResult.MANUALLY_VERIFY;
+    },
+    async function testTimestampFormats() {
+        const { TimestampFormat } = TimestampUtils;
+        const samples = [
+            [TimestampFormat.US, "11/21/2025, 4:57:52 AM [INFO] started"],
+            [TimestampFormat.ISO8601, "[2025-11-21T04:57:52.000Z] INFO started"],
+            [TimestampFormat.SYSLOG, "Nov 21 04:57:52 host app[1]: started"],
+            [TimestampFormat.EPOCH, "1763701072 INFO started"],
+        ];
+        for (const [format, line] of samples) {
+            const detected = TimestampUtils.detectFormat([line]);
+            const parsed = TimestampUtils.createParser(format, "UTC")(line);
+            console.log(`${format}: detected ${detected}, parsed`, parsed);
+            if (detected !== format || !parsed) return TestResult.FAIL;
+        }
+        if (TimestampUtils.createParser(TimestampFormat.ISO8601, "UTC")(samples[1][1]).time !== Date.UTC(2025, 10, 21, 4, 57, 52)) return TestResult.FAIL;
+
+        const serviceName = "rc-backend-prod";
+        const logFileName = "app-2025-11-21_20-11-22.log";
+        console.log(`Time range of ${serviceName}/${logFileName}:`, await DockerModule.getLogFileTimeRange(serviceName, logFileName));
+        return TestResult.PASS;
+    },
+    async function testStreamingLogReads() {
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+        const filePath = path.join(os.tmpdir(), `dcm-stream-test-${process.pid}.log`);
+        const lines = Array.from({ length: 2500 }, (_, i) => (i % 100 === 0 ? "" : `line ${i} ${"é".repeat(i % 40)}`));
+        lines[1234] = "x".repeat(200 * 1024);
+        fs.writeFileSync(filePath, `${lines.join("\n")}\n`);
+
+        const fileHandle = await fs.promises.open(filePath, "r");
+        try {
+            const { size } = await fileHandle.stat();
+            const forward = [];
+            for await (const { line } of LogReadUtils.readLines(fileHandle, 0, size)) forward.push(line);
+            const backward = [];
+            for await (const { line } of LogReadUtils.readLinesBackward(fileHandle, size)) backward.push(line);
+            if (forward.join("\n") !== lines.join("\n") || backward.reverse().join("\n") !== lines.join("\n")) return TestResult.FAIL;
+
+            const index = await LogReadUtils.getLineIndex(fileHandle, filePath);
+            const offset = await LogReadUtils.findLineOffset(fileHandle, index, 2042);
+            const { value } = await LogReadUtils.readLines(fileHandle, offset, size).next();
+            console.log(`Indexed ${index.lines} lines, line 2042 at byte ${offset}:`, value.line);
+            if (index.lines !== lines.length || value.line !== lines[2042]) return TestResult.FAIL;
+        } finally {
+            await fileHandle.close();
+            fs.unlinkSync(filePath);
+        }
+
+        const serviceName = "rc-backend-prod";
+        const logFileName = "app-2025-11-21_20-11-22.log";
+        const last = await DockerModule.getLogLines(serviceName, logFileName, -5, 5, { search: "error", ignoreCase: true });
+        console.log(`Last errors of ${serviceName}/${logFileName}:`, last);
+        return TestResult.PASS;
+    },
+    async function testServiceLogSearch() {
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+        const zlib = require("zlib");
+        const filePath = path.join(os.tmpdir(), `dcm-search-test-${process.pid}.log.1.gz`);
+        fs.writeFileSync(filePath, zlib.gzipSync("first\nsecond\nthird"));
+        const lines = [];
+        try {
+            for await (const { line } of LogReadUtils.readCompressedLines(filePath)) lines.push(line);
+        } finally {
+            fs.unlinkSync(filePath);
+        }
+        if (lines.join(",") !== "first,second,third") return TestResult.FAIL;
+
+        const serviceName = "rc-backend-prod";
+        const first = await DockerModule.searchServiceLogs(serviceName, null, null, 50, null, { search: "error", ignoreCase: true });
+        console.log(`Searched ${first.searchedFiles}, next cursor ${first.nextCursor}`);
+        if (first.success === false) return TestResult.FAIL;
+        const second = first.nextCursor ? await DockerModule.searchServiceLogs(serviceName, null, null, 50, first.nextCursor, { search: "error", ignoreCase: true }) : { entries: [] };
+        const times = [...first.entries, ...second.entries].map(entry => entry.timestamp).filter(time => time !== null);
+        return times.every((time, i) => i === 0 || time >= times[i - 1]) ? TestResult.PASS : TestResult.FAIL;
+    },
+    async function testLogSearchCursor() {
+        const serviceName = "rc-backend-prod";
+        const logFileName = "app-2025-11-21_20-11-22.log";
+        const query = { search: "error", ignoreCase: true };
+        const all = await DockerModule.searchLogLinesByTimeRange(serviceName, logFileName, null, null, 30, 0, query);
+        if (all.success === false || !all.nextCursor) {
+            console.log(`Not enough matches in ${serviceName}/${logFileName} to page:`, all);
+            return TestResult.MANUALLY_VERIFY;
+        }
+
+        // Three pages of ten forward, then back from the third one
+        const first = await DockerModule.searchLogLinesByTimeRange(serviceName, logFileName, null, null, 10, 0, query);
+        const second = await DockerModule.searchLogLinesByTimeRange(serviceName, logFileName, null, null, 10, 0, query, undefined, first.nextCursor);
+        const third = await DockerModule.searchLogLinesByTimeRange(serviceName, logFileName, null, null, 10, 0, query, undefined, second.nextCursor);
+        const back = await DockerModule.searchLogLinesByTimeRange(serviceName, logFileName, null, null, 10, 0, query, undefined, third.prevCursor);
+        console.log(`Pages: ${first.lines.length}, ${second.lines.length}, ${third.lines.length}, back ${back.lines.length}`);
+        const paged = [...first.lines, ...second.lines, ...third.lines];
+        if (JSON.stringify(paged) !== JSON.stringify(all.lines.slice(0, paged.length))) return TestResult.FAIL;
+        if (JSON.stringify(back.lines) !== JSON.stringify(second.lines) || first.prevCursor !== null) return TestResult.FAIL;
+
+        const other = await DockerModule.searchLogLinesByTimeRange(serviceName, logFileName, null, null, 10, 0, { search: "warn" }, undefined, first.nextCursor);
+        console.log(`Cursor of another search:`, other);
+        return other.success === false ? TestResult.PASS : TestResult.FAIL;
+    },
+    async function testLogExport() {
+        const serviceName = "rc-backend-prod";
+        const logFileName = "app-2025-11-21_20-11-22.log";
+        const escaped = await DockerModule.createLogReadStream(serviceName, "../docker-compose.yml");
+        const bundle = await DockerModule.createLogBundle(serviceName, [logFileName, "../docker-compose.yml"]);
+        if (escaped.success !== false || bundle.success !== false) return TestResult.FAIL;
+
+        const lines = [];
+        const result = await DockerModule.exportLogLines(serviceName, logFileName, null, null, { search: "error", ignoreCase: true }, (line) => {
+            lines.push(line);
+        });
+        console.log(`Exported ${lines.length} lines of ${serviceName}/${logFileName}:`, result);
+        if (result.success === false || result.total !== lines.length) return TestResult.FAIL;
+        return lines.every(line => /error/i.test(line)) ? TestResult.PASS : TestResult.FAIL;
+    },
+    async function testLogFileTraversal() {
+        const serviceName = "rc-backend-prod";
+        // Files of other services must not be readable through a log file name
+        const logFileName = "../../rc-web-app/.env";
+        const results = {
+            lines: await DockerModule.getLogLines(serviceName, logFileName, 0, 10),
+            search: await DockerModule.searchLogLinesByTimeRange(serviceName, logFileName, null, null, 10),
+            levels: await DockerModule.getLogLevelCounts(serviceName, logFileName, null, null),
+            histogram: await DockerModule.getLogHistogram(serviceName, logFileName, null, null),
+            export: await DockerModule.exportLogLines(serviceName, logFileName, null, null, {}, () => {}),
+            window: await DockerModule.readLogWindow(serviceName, logFileName, 0),
+            timeRange: await DockerModule.getLogFileTimeRange(serviceName, logFileName),
+        };
+        console.log("Results for a path outside the logs directory:", results);
+        const isEmpty = ({ lines, total, buckets, start, success }) => success === false || (!lines?.length && !total && !buckets?.length && !start);
+        return Object.values(results).every(isEmpty) ? TestResult.PASS : TestResult.FAIL;
+    },
+    async function testLogHistogram() {
+        const serviceName = "rc-backend-prod";
+        const logFileName = "app-2025-11-21_20-11-22.log";
+        const histogram = await DockerModule.getLogHistogram(serviceName, logFileName, null, null, 24);
+        console.log(`Histogram of ${serviceName}/${logFileName}:`, histogram);
+        if (histogram.success === false || histogram.start === null) return TestResult.FAIL;
+
+        // Lines without timestamp are counted with the line before them, so only lines before the first timestamp are left out
+        const levels = await DockerModule.getLogLevelCounts(serviceName, logFileName, null, null);
+        const total = histogram.buckets.reduce((sum, bucket) => sum + bucket.count, 0);
+        console.log(`Counted ${total} lines in buckets, ${levels.total} in the file`);
+        const cached = await DockerModule.getLogHistogram(serviceName, logFileName, null, null, 24);
+        if (JSON.stringify(cached) !== JSON.stringify(histogram)) return TestResult.FAIL;
+        return total <= levels.total && total > 0 ? TestResult.PASS : TestResult.FAIL;
+    },
+    async function testLogSearchContext() {
+        const serviceName = "rc-backend-prod";
+        const logFileName = "app-2025-11-21_20-11-22.log";
+        const found = await DockerModule.searchLogLinesByTimeRange(serviceName, logFileName, null, null, 5, 0, { search: "error", ignoreCase: true, before: 2, after: 2 });
+        console.log(`Contexts of ${serviceName}/${logFileName}:`, found.contexts);
+        if (found.success === false || found.lines.length === 0) return TestResult.MANUALLY_VERIFY;
+
+        // The window around a result has the result at its index, with the context of the search around it
+        const { offset, before, after } = found.contexts[0];
+        const window = await DockerModule.readLogWindow(serviceName, logFileName, offset, 2, 2);
+        console.log(`Window around offset ${offset}:`, window);
+        if (window.success === false || window.lines[window.index] !== found.lines[0]) return TestResult.FAIL;
+        const expected = [...before.map(record => record.line), found.lines[0], ...after.map(record => record.line)];
+        return JSON.stringify(window.lines) === JSON.stringify(expected) ? TestResult.PASS : TestResult.FAIL;
+    },
+    async function testLogEntryGrouping() {
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+        const filePath = path.join(os.tmpdir(), `dcm-entry-test-${process.pid}.log`);
+        // An orphan line at the top, then every third entry with a stack trace
+        const entries = ["    at orphan"];
+        for (let i = 0; i < 3000; i++) {
+            const time = new Date(Date.UTC(2025, 10, 21) + i * 1000).toISOString();
+            entries.push(i % 3 === 0 ? `${time} [ERROR] failed ${i}\n    at one (a.js:1)\n    at two (b.js:2)` : `${time} [INFO] event ${i}`);
+        }
+        fs.writeFileSync(filePath, `${entries.join("\n")}\n`);
+
+        const { ISO8601 } = TimestampUtils.TimestampFormat;
+        const grouping = { isEntryStart: TimestampUtils.createTest(ISO8601, "UTC"), key: ISO8601 };
+        const fileHandle = await fs.promises.open(filePath, "r");
+        try {
+            const { size } = await fileHandle.stat();
+            const forward = [];
+            for await (const { line } of LogReadUtils.readLines(fileHandle, 0, size, grouping)) forward.push(line);
+            const backward = [];
+            for await (const { line } of LogReadUtils.readLinesBackward(fileHandle, size, 0, grouping)) backward.push(line);
+            if (JSON.stringify(forward) !== JSON.stringify(entries) || JSON.stringify(backward.reverse()) !== JSON.stringify(entries)) return TestResult.FAIL;
+
+            const index = await LogReadUtils.getLineIndex(fileHandle, filePath, grouping);
+            const offset = await LogReadUtils.findLineOffset(fileHandle, index, 2101, grouping);
+            const { value } = await LogReadUtils.readLines(fileHandle, offset, size, grouping).next();
+            console.log(`Indexed ${index.lines} entries, entry 2101 at byte ${offset}:`, value.line);
+            if (index.lines !== entries.length || value.line !== entries[2101]) return TestResult.FAIL;
+
+            // An offset in a stack trace belongs to the entry it continues
+            const context = await LogReadUtils.readContext(fileHandle, offset + entries[2101].length - 3, 1, 1, size, grouping);
+            if (context.record.line !== entries[2101] || context.before[0].line !== entries[2100] || context.after[0].line !== entries[2102]) return TestResult.FAIL;
+        } finally {
+            await fileHandle.close();
+            fs.unlinkSync(filePath);
+        }
+
+        const parse = LogParseUtils.createParser({}, TimestampUtils.createParser(ISO8601, "UTC"));
+        const entry = parse(entries[1]);
+        console.log(`Parsed entry:`, entry);
+        if (entry.level !== LogParseUtils.LogLevel.ERROR || entry.message !== "failed 0\n    at one (a.js:1)\n    at two (b.js:2)") return TestResult.FAIL;
+
+        const serviceName = "rc-backend-prod";
+        const logFileName = "app-2025-11-21_20-11-22.log";
+        const multiline = await DockerModule.getLogLines(serviceName, logFileName, 0, 1000);
+        console.log(`Entries of ${serviceName}/${logFileName} with several lines:`, multiline.lines.filter(line => line.includes("\n")).slice(0, 3));
+        return TestResult.PASS;
+    },
+    async function testFollowLines() {
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+        const filePath = path.join(os.tmpdir(), `dcm-follow-test-${process.pid}.log`);
+        const wait = () => new Promise(resolve => setTimeout(resolve, 1500));
+        fs.writeFileSync(filePath, "old\n");
+
+        const lines = [];
+        const resets = [];
+        const follower = LogReadUtils.followLines(filePath, {
+            onLines: (records) => lines.push(...records.map(record => record.line)),
+            onReset: (reason) => resets.push(reason),
+        });
+        try {
+            await wait();
+            // The half written line is held back until its newline
+            fs.appendFileSync(filePath, "first\nsec");
+            await wait();
+            fs.appendFileSync(filePath, "ond\n");
+            await wait();
+            // Lines written to the rotated file before the new one is created are not lost
+            fs.renameSync(filePath, `${filePath}.1`);
+            fs.appendFileSync(`${filePath}.1`, "late\n");
+            fs.writeFileSync(filePath, "rotated\n");
+            await wait();
+            fs.writeFileSync(filePath, "cut\n");
+            await wait();
+        } finally {
+            await follower.close();
+            fs.unlinkSync(filePath);
+            fs.unlinkSync(`${filePath}.1`);
+        }
+        console.log(`Followed lines:`, lines, `resets:`, resets);
+        if (JSON.stringify(lines) !== JSON.stringify(["first", "second", "late", "rotated", "cut"])) return TestResult.FAIL;
+        if (JSON.stringify(resets) !== JSON.stringify(["rotated", "truncated"])) return TestResult.FAIL;
+        return TestResult.PASS;
+    },
     async function testWriteEnvConfig() {
         const serviceName = "test1";
         const envConfig = {
@@ -147,6 +696,37 @@ let tests = [
         console.log(`.env config written successfully.`);
         return TestResult.MANUALLY_VERIFY;
     },
+    async function testAuthentication() {
+        const username = "test-operator";
+        const saved = await AuthModule.saveUser({ username, password: "test-password", role: "operator", services: ["test1"] });
+        console.log("Save user:", saved);
+
+        const badLogin = await AuthModule.login(username, "wrong-password");
+        const login = await AuthModule.login(username, "test-password");
+        const user = await AuthModule.authenticate(login.token);
+        console.log("Authenticated user:", user);
+
+        const checks = [
+            !badLogin.success,
+            AuthModule.hasRole(user, "operator", "test1"),
+            !AuthModule.hasRole(user, "operator", "test2"),
+            !AuthModule.hasRole(user, "admin"),
+        ];
+
+        AuthModule.logout(login.token);
+        checks.push((await AuthModule.authenticate(login.token)) === null);
+        await AuthModule.deleteUser(username);
+
+        return checks.every(Boolean) ? TestResult.PASS : TestResult.FAIL;
+    },
+    async function testAuditLog() {
+        const serviceName = "test1";
+        await DockerModule.writeServiceEnvConfig(serviceName, { AUDIT_TEST: String(Date.now()) }, "test-user");
+
+        const [entry] = await AuditModule.query({ service: serviceName, action: "ENV_WRITE", limit: 1 });
+        console.log("Latest audit entry:", entry);
+        return entry && entry.user === "test-user" && entry.envDiff ? TestResult.PASS : TestResult.FAIL;
+    },
     async function testGetLogFileTimeRange() {
         const serviceName = "rc-backend-prod"; 
         // Use a file that is likely to exist based on other tests
@@ -1,5 +1,6 @@
 const fs = require("fs").promises;
 const path = require("path");
+const net = require("net");
 const YmlUtils = require("./ymlUtils");
 
 let hostIp = process.env.HOST_IP;
@@ -103,9 +104,55 @@ networks:
             );
         } catch (err) {
             console.error("An error occurred while writing the file:", err);
+            throw new Error(`Failed to write config file: ${err.message}`);
         }
     }
 
+    /**
+     * Validates a configuration data object before it is used to generate a docker-compose.yml.
+     * @param {ConfigData} configData - The configuration data to validate.
+     * @param {string} [existingServiceName] - Name of the service being updated; omitted when creating a new one.
+     * @returns {Array<string>} - A list of validation errors, empty if the data is valid.
+     */
+    static validateConfigData(configData, existingServiceName) {
+        const errors = [];
+        if (!configData || typeof configData !== "object") {
+            return ["Config data must be an object."];
+        }
+
+        const { service_name, network } = configData;
+        if (existingServiceName !== undefined) {
+            // Services created before names were restricted keep their directory name
+            if (service_name !== existingServiceName) {
+                errors.push(`service_name must be "${existingServiceName}"; renaming a service is not supported.`);
+            }
+        } else if (typeof service_name !== "string" || !/^[a-z0-9][a-z0-9_-]*$/.test(service_name)) {
+            // Compose derives the project name from the directory, which only allows these characters
+            errors.push("service_name must start with a lowercase letter or digit and contain only lowercase letters, digits, '-' and '_'.");
+        }
+
+        if (!network || typeof network !== "object") {
+            errors.push("network is required.");
+            return errors;
+        }
+
+        const isPort = (value) => /^\d+$/.test(String(value)) && Number(value) >= 1 && Number(value) <= 65535;
+
+        if (network.type === "internal") {
+            if (!net.isIPv4(String(network.mappingDstIPv4 || ""))) errors.push("network.mappingDstIPv4 must be a valid IPv4 address.");
+            if (!isPort(network.mappingDstPort)) errors.push("network.mappingDstPort must be a port between 1 and 65535.");
+            if (!isPort(network.mappingSrcPort)) errors.push("network.mappingSrcPort must be a port between 1 and 65535.");
+            if (!net.isIPv4(`${network.internalNetSegment}.0.0`)) errors.push("network.internalNetSegment must be the first two octets of an IPv4 subnet (e.g. 172.28).");
+        } else if (network.type === "external") {
+            if (!net.isIPv4(String(network.externalIPv4 || ""))) errors.push("network.externalIPv4 must be a valid IPv4 address.");
+            if (!net.isIPv6(String(network.externalIPv6 || ""))) errors.push("network.externalIPv6 must be a valid IPv6 address.");
+        } else {
+            errors.push("network.type must be either 'internal' or 'external'.");
+        }
+
+        return errors;
+    }
+
     /**
      * Identifies the version of a configuration file based on its content.
      * @param {string} filePath - The path to the configuration file.
@@ -131,7 +178,7 @@ networks:
             const filePath = path.join(directoryPath, "docker-compose.yml");
             const content = await fs.readFile(filePath, "utf8");
 
-            const configVersion = ConfigUtils.identifyConfigVersion(filePath);
+            const configVersion = await ConfigUtils.identifyConfigVersion(filePath);
             if (!configVersion) throw new Error("Unsupported or missing configuration version.");
 
 
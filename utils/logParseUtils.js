@@ -0,0 +1,139 @@
+let LogLevel = Object.freeze({
+    FATAL: "fatal",
+    ERROR: "error",
+    WARN: "warn",
+    INFO: "info",
+    DEBUG: "debug",
+    TRACE: "trace",
+});
+
+// Level names found in logs, mapped to the LogLevel they count as
+const LEVEL_ALIASES = Object.freeze({
+    fatal: LogLevel.FATAL, panic: LogLevel.FATAL, emerg: LogLevel.FATAL, alert: LogLevel.FATAL,
+    crit: LogLevel.FATAL, critical: LogLevel.FATAL,
+    error: LogLevel.ERROR, err: LogLevel.ERROR,
+    warn: LogLevel.WARN, warning: LogLevel.WARN,
+    info: LogLevel.INFO, notice: LogLevel.INFO,
+    debug: LogLevel.DEBUG,
+    trace: LogLevel.TRACE, verbose: LogLevel.TRACE,
+});
+
+// "[ERROR] message" after the timestamp, the level is optional
+const DEFAULT_PATTERN = `^(?:\\[?(?<level>${Object.keys(LEVEL_ALIASES).join('|')})\\]?(?![\\w])[:\\s]*)?`
+    + '(?<message>.*)$';
+
+/**
+ * @typedef {Object} LogEntry
+ * @property {number|null} timestamp - Unix timestamp in milliseconds, null if the line has none
+ * @property {'fatal'|'error'|'warn'|'info'|'debug'|'trace'|null} level - Null if no level was detected
+ * @property {string} message - The line without timestamp and level, with the lines continuing the entry
+ * @property {string} raw - The line as written, the lines of an entry joined by newlines
+ *
+ * @typedef {Object} LogFormat - The `logs` section of a service's dcm.yml
+ * @property {string} [pattern] - Regex with the named groups "timestamp", "level" and "message", all optional.
+ *   Matched against the whole line; without it, level and message are looked for after the timestamp.
+ * @property {string} [flags] - Flags of the pattern, defaults to "i"
+ * @property {Object<string, string>} [levels] - Additional level names, e.g. {E: "error", W: "warn"}
+ * @property {boolean} [multiline] - Lines without timestamp continue the entry before them, e.g. stack traces;
+ *   defaults to true, files without any timestamp are read line by line
+ * @property {import('./timestampUtils').TimestampDefinition} [timestamp]
+ * @property {Object<string, LogFormat>} [files] - Overrides for log files by name, "*" matches any characters
+ */
+
+class LogParseUtils {
+    static LogLevel = LogLevel;
+
+    /**
+     * Returns the log format of a file, the service-wide format with the first matching override of `files` applied.
+     * @param {LogFormat} [format] - Service-wide format
+     * @param {string} logFileName
+     * @returns {LogFormat} Without `files`
+     */
+    static resolveFormat(format, logFileName) {
+        const { files, ...serviceFormat } = format || {};
+        const fileFormat = Object.entries(files || {}).find(([name]) => {
+            const regex = new RegExp(`^${name.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+            return regex.test(logFileName);
+        });
+        if (!fileFormat) return serviceFormat;
+        return {
+            ...serviceFormat,
+            ...fileFormat[1],
+            timestamp: { ...serviceFormat.timestamp, ...fileFormat[1].timestamp },
+        };
+    }
+
+    /**
+     * Creates a parser that splits lines into their parts.
+     * @param {LogFormat} format
+     * @param {import('./timestampUtils').TimestampParser} parseTimestamp
+     * @returns {(line: string) => LogEntry}
+     * @throws {Error} If the pattern is not a valid regex
+     */
+    static createParser({ pattern, flags = 'i', levels = {} }, parseTimestamp) {
+        let regex;
+        try {
+            regex = new RegExp(pattern || DEFAULT_PATTERN, flags);
+        } catch (error) {
+            throw new Error(`Invalid log pattern: ${error.message}`);
+        }
+        const aliases = {};
+        for (const [name, level] of Object.entries(levels || {})) {
+            const normalized = this.normalizeLevel(level);
+            if (!normalized) throw new Error(`Invalid log format: unknown level "${level}" for "${name}"`);
+            aliases[name.toLowerCase()] = normalized;
+        }
+
+        return (line) => {
+            // The first line of an entry is parsed, the lines continuing it, e.g. a stack trace, belong to the message
+            const newline = line.indexOf('\n');
+            const first = newline === -1 ? line : line.slice(0, newline);
+            const continuation = newline === -1 ? '' : line.slice(newline);
+            let timestamp;
+            let groups;
+            if (pattern) {
+                groups = (first.match(regex) || {}).groups || {};
+                timestamp = parseTimestamp(groups.timestamp !== undefined ? groups.timestamp : first);
+            } else {
+                timestamp = parseTimestamp(first);
+                // Separators between timestamp and level, e.g. "] " or " - "
+                const rest = timestamp ? first.slice(timestamp.length).replace(/^[\]\s\-:|]*/, '') : first;
+                groups = (rest.match(regex) || {}).groups || {};
+            }
+            return {
+                timestamp: timestamp ? timestamp.time : null,
+                level: (groups.level && aliases[groups.level.toLowerCase()]) || this.normalizeLevel(groups.level),
+                message: (groups.message !== undefined ? groups.message : first) + continuation,
+                raw: line,
+            };
+        };
+    }
+
+    /**
+     * @param {string} [name] - Level as written in a log, e.g. "WARNING" or "err"
+     * @returns {string|null} The LogLevel it counts as, null if unknown
+     */
+    static normalizeLevel(name) {
+        if (!name) return null;
+        return LEVEL_ALIASES[name.toLowerCase()] || null;
+    }
+
+    /**
+     * Parses a level filter, given as an array or as "error,warn" or "[error,warn]".
+     * @param {string|string[]} [levels]
+     * @returns {string[]|null} LogLevels, null if no filter was given
+     * @throws {Error} If a level is unknown
+     */
+    static parseLevels(levels) {
+        if (!levels || levels.length === 0) return null;
+        const names = Array.isArray(levels) ? levels : String(levels).replace(/^\[|\]$/g, '').split(',');
+        const parsed = names.map(name => String(name).trim()).filter(Boolean).map((name) => {
+            const level = this.normalizeLevel(name);
+            if (!level) throw new Error(`Unknown log level "${name}"`);
+            return level;
+        });
+        return parsed.length > 0 ? [...new Set(parsed)] : null;
+    }
+}
+
+module.exports = LogParseUtils;
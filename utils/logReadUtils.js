@@ -0,0 +1,615 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const READ_CHUNK_SIZE = 64 * 1024;
+// Longer lines are cut, so a file without newlines cannot exhaust memory
+const MAX_LINE_BYTES = 1024 * 1024;
+// The line index remembers the byte offset of every LINE_INDEX_INTERVAL-th line
+const LINE_INDEX_INTERVAL = 1000;
+const MAX_LINE_INDEXES = 100;
+// Bytes of a line start looked at to tell whether it starts an entry
+const ENTRY_PREFIX_BYTES = 256;
+// A followed file is checked this often in milliseconds, besides on changes in its directory
+const FOLLOW_POLL_MS = 1000;
+// Lines of a followed file passed on at once
+const FOLLOW_BATCH_LINES = 1000;
+
+/**
+ * @typedef {Object} LogLineRecord - A line, or an entry of several lines when read with a LineGrouping
+ * @property {string} line - Without the newline, cut to 1 MiB; the lines of an entry are joined by newlines
+ * @property {number} offset - Byte offset of the line start
+ * @property {number} end - Byte offset of the next line start, after the newline
+ *
+ * @typedef {Object} LineGrouping - Groups lines into entries, e.g. a message with its stack trace
+ * @property {(line: string) => boolean} isEntryStart - The lines it is false for continue the entry before them.
+ *   Only the first ENTRY_PREFIX_BYTES of a line may be passed.
+ * @property {string} key - Identifies isEntryStart, the line index is rebuilt when it changes
+ *
+ * @typedef {Object} LineIndex - Counts entries instead of lines if built with a LineGrouping
+ * @property {number} inode
+ * @property {string|null} key - Of the LineGrouping
+ * @property {number} size - Bytes of the file indexed so far
+ * @property {number} lines - Number of lines starting in the indexed bytes, a last line without newline included
+ * @property {number[]} checkpoints - Byte offset of line `i * LINE_INDEX_INTERVAL` at index `i`
+ *
+ * @typedef {Object} LineContext
+ * @property {LogLineRecord|null} record - The line holding the offset, null if the offset is past the end
+ * @property {LogLineRecord[]} before - Lines before it, nearest last
+ * @property {LogLineRecord[]} after - Lines after it
+ *
+ * @typedef {Object} FollowOptions
+ * @property {number|null} [position] - Byte offset of the line to start at, null to start after the last line
+ * @property {number|null} [inode] - Of the file the position belongs to, a replaced file is followed from its start
+ * @property {(records: LogLineRecord[]) => void} onLines - Lines appended, in file order. A line is held back until
+ *   its newline is written.
+ * @property {(reason: 'rotated'|'truncated') => void} [onReset] - The file was replaced or truncated, its lines follow
+ *   from its start
+ * @property {(error: Error) => void} [onError] - Reading failed, the file is checked again on its next change
+ */
+
+class LogReadUtils {
+    /** @type {Map<string, LineIndex>} By file path, oldest first */
+    static #lineIndexes = new Map();
+
+    /**
+     * Reads lines between two byte offsets in chunks, holding at most one chunk and one line in memory.
+     * `start` has to be at a line start; the last line ends at `end` even if it continues after it.
+     * @param {import('fs').promises.FileHandle} fileHandle
+     * @param {number} start
+     * @param {number} end
+     * @param {LineGrouping|null} [grouping] - Read entries instead of lines
+     * @returns {AsyncGenerator<LogLineRecord>}
+     */
+    static async *readLines(fileHandle, start, end, grouping = null) {
+        async function* chunks() {
+            const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+            let position = start;
+            while (position < end) {
+                const { bytesRead } = await fileHandle.read(buffer, 0, Math.min(READ_CHUNK_SIZE, end - position), position);
+                if (bytesRead === 0) break;
+                position += bytesRead;
+                yield buffer.subarray(0, bytesRead);
+            }
+        }
+        const lines = this.#splitLines(chunks(), start);
+        yield* grouping ? this.#groupLines(lines, grouping) : lines;
+    }
+
+    /**
+     * Reads the lines of a gzip compressed file while decompressing it.
+     * Offsets are counted in decompressed bytes, so the file can only be read from its start.
+     * @param {string} filePath
+     * @param {LineGrouping|null} [grouping] - Read entries instead of lines
+     * @returns {AsyncGenerator<LogLineRecord>}
+     */
+    static async *readCompressedLines(filePath, grouping = null) {
+        const stream = fs.createReadStream(filePath, { highWaterMark: READ_CHUNK_SIZE }).pipe(zlib.createGunzip());
+        try {
+            const lines = this.#splitLines(stream, 0);
+            yield* grouping ? this.#groupLines(lines, grouping) : lines;
+        } finally {
+            stream.destroy();
+        }
+    }
+
+    /**
+     * @param {string} fileName
+     * @returns {boolean} True for gzip compressed files, e.g. rotated "app.log.2.gz"
+     */
+    static isCompressed(fileName) {
+        return fileName.endsWith('.gz');
+    }
+
+    /**
+     * Splits chunks into lines, cutting lines at MAX_LINE_BYTES.
+     * @param {AsyncIterable<Buffer>} chunks - A chunk may be reused once the next one is requested
+     * @param {number} start - Byte offset of the first chunk
+     * @returns {AsyncGenerator<LogLineRecord>}
+     */
+    static async *#splitLines(chunks, start) {
+        /** @type {Buffer[]} */
+        let pending = [];
+        let pendingBytes = 0;
+        let lineStart = start;
+        let position = start;
+
+        const takeLine = (tail) => {
+            const parts = pendingBytes < MAX_LINE_BYTES ? [...pending, tail.subarray(0, MAX_LINE_BYTES - pendingBytes)] : pending;
+            const line = Buffer.concat(parts).toString('utf-8');
+            pending = [];
+            pendingBytes = 0;
+            return line;
+        };
+
+        for await (const chunk of chunks) {
+            let from = 0;
+            let newline;
+            while ((newline = chunk.indexOf(0x0a, from)) !== -1) {
+                yield { line: takeLine(chunk.subarray(from, newline)), offset: lineStart, end: position + newline + 1 };
+                lineStart = position + newline + 1;
+                from = newline + 1;
+            }
+            if (from < chunk.length && pendingBytes < MAX_LINE_BYTES) {
+                // Copied, the buffer is reused for the next chunk
+                const rest = Buffer.from(chunk.subarray(from, Math.min(chunk.length, from + MAX_LINE_BYTES - pendingBytes)));
+                pending.push(rest);
+                pendingBytes += rest.length;
+            }
+            position += chunk.length;
+        }
+        if (pendingBytes > 0) yield { line: takeLine(Buffer.alloc(0)), offset: lineStart, end: position };
+    }
+
+    /**
+     * Joins the lines continuing an entry to the line starting it. Lines before the first entry start are an entry
+     * of their own, as its start was not read.
+     * @param {AsyncIterable<LogLineRecord>} records - Lines in file order
+     * @param {LineGrouping} grouping
+     * @returns {AsyncGenerator<LogLineRecord>}
+     */
+    static async *#groupLines(records, { isEntryStart }) {
+        let entry = null;
+        let lines = [];
+        let bytes = 0;
+        for await (const record of records) {
+            if (entry && !isEntryStart(record.line)) {
+                // Lines past the cut are skipped, the entry still spans them
+                if (bytes < MAX_LINE_BYTES) lines.push(record.line);
+                bytes += record.line.length + 1;
+                entry.end = record.end;
+                continue;
+            }
+            if (entry) yield { line: this.#joinEntry(lines), offset: entry.offset, end: entry.end };
+            entry = { offset: record.offset, end: record.end };
+            lines = [record.line];
+            bytes = record.line.length;
+        }
+        if (entry) yield { line: this.#joinEntry(lines), offset: entry.offset, end: entry.end };
+    }
+
+    /**
+     * Joins lines read last line first to the entries they belong to, see #groupLines.
+     * @param {AsyncIterable<LogLineRecord>} records - Lines, last line first
+     * @param {LineGrouping} grouping
+     * @returns {AsyncGenerator<LogLineRecord>} Last entry first
+     */
+    static async *#groupLinesBackward(records, { isEntryStart }) {
+        /** @type {string[]} Lines continuing the entry whose start is not read yet, in file order */
+        let pending = [];
+        let pendingBytes = 0;
+        let entry = null;
+        for await (const record of records) {
+            if (!entry) entry = { end: record.end };
+            entry.offset = record.offset;
+            if (isEntryStart(record.line)) {
+                yield { line: this.#joinEntry([record.line, ...pending]), offset: entry.offset, end: entry.end };
+                entry = null;
+                pending = [];
+                pendingBytes = 0;
+                continue;
+            }
+            pending.unshift(record.line);
+            pendingBytes += record.line.length + 1;
+            // Only the start of an entry is kept, the part beyond MAX_LINE_BYTES is cut anyway
+            while (pendingBytes - pending[pending.length - 1].length - 1 >= MAX_LINE_BYTES) {
+                pendingBytes -= pending.pop().length + 1;
+            }
+        }
+        if (entry) yield { line: this.#joinEntry(pending), offset: entry.offset, end: entry.end };
+    }
+
+    /**
+     * @param {string[]} lines
+     * @returns {string}
+     */
+    static #joinEntry(lines) {
+        const entry = lines.join('\n');
+        return entry.length > MAX_LINE_BYTES ? entry.slice(0, MAX_LINE_BYTES) : entry;
+    }
+
+    /**
+     * Reads the lines between two byte offsets, last line first, holding at most one chunk and one line in memory.
+     * @param {import('fs').promises.FileHandle} fileHandle
+     * @param {number} end - Usually the file size
+     * @param {number} [start=0] - Has to be at a line start
+     * @param {LineGrouping|null} [grouping] - Read entries instead of lines
+     * @returns {AsyncGenerator<LogLineRecord>}
+     */
+    static async *readLinesBackward(fileHandle, end, start = 0, grouping = null) {
+        const lines = this.#readLinesBackward(fileHandle, end, start);
+        yield* grouping ? this.#groupLinesBackward(lines, grouping) : lines;
+    }
+
+    /**
+     * @param {import('fs').promises.FileHandle} fileHandle
+     * @param {number} end
+     * @param {number} start
+     * @returns {AsyncGenerator<LogLineRecord>}
+     */
+    static async *#readLinesBackward(fileHandle, end, start) {
+        const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+        /** @type {Buffer[]} Parts of the current line, last part first */
+        let pending = [];
+        let pendingBytes = 0;
+        let position = end;
+        // Start of the line read last, the end of the one before
+        let lineEnd = end;
+
+        const takeLine = (head) => {
+            const line = Buffer.concat([head, ...pending]).subarray(0, MAX_LINE_BYTES).toString('utf-8');
+            pending = [];
+            pendingBytes = 0;
+            return line;
+        };
+
+        // A newline at the very end terminates the last line instead of starting an empty one
+        if (end > start) {
+            const last = Buffer.alloc(1);
+            await fileHandle.read(last, 0, 1, end - 1);
+            if (last[0] === 0x0a) position = end - 1;
+        }
+        const fileEnd = position;
+
+        while (position > start) {
+            const readSize = Math.min(READ_CHUNK_SIZE, position - start);
+            const chunkStart = position - readSize;
+            const { bytesRead } = await fileHandle.read(buffer, 0, readSize, chunkStart);
+            if (bytesRead === 0) break;
+            const chunk = buffer.subarray(0, bytesRead);
+
+            let to = bytesRead;
+            let newline;
+            while (to > 0 && (newline = chunk.lastIndexOf(0x0a, to - 1)) !== -1) {
+                yield { line: takeLine(chunk.subarray(newline + 1, to)), offset: chunkStart + newline + 1, end: lineEnd };
+                lineEnd = chunkStart + newline + 1;
+                to = newline;
+            }
+            if (to > 0) {
+                // Only the start of a line is kept, the part beyond MAX_LINE_BYTES is cut anyway
+                pending.unshift(Buffer.from(chunk.subarray(0, to)));
+                pendingBytes += to;
+                while (pendingBytes - pending[pending.length - 1].length >= MAX_LINE_BYTES) {
+                    pendingBytes -= pending.pop().length;
+                }
+            }
+            position = chunkStart;
+        }
+        if (fileEnd > start) yield { line: takeLine(Buffer.alloc(0)), offset: start, end: lineEnd };
+    }
+
+    /**
+     * Reads the line holding a byte offset together with the lines around it, like `grep -B -A`.
+     * @param {import('fs').promises.FileHandle} fileHandle
+     * @param {number} offset - Anywhere in the line
+     * @param {number} before - Number of lines before it
+     * @param {number} after - Number of lines after it
+     * @param {number} end - Usually the file size, lines after it are left out
+     * @param {LineGrouping|null} [grouping] - Read entries instead of lines
+     * @returns {Promise<LineContext>}
+     */
+    static async readContext(fileHandle, offset, before, after, end, grouping = null) {
+        if (offset < 0 || offset >= end) return { record: null, before: [], after: [] };
+        // The first line read backward from just past the offset is the one holding it, possibly cut at the offset
+        let start = 0;
+        for await (const { offset: lineStart } of this.readLinesBackward(fileHandle, offset + 1)) {
+            start = lineStart;
+            break;
+        }
+        if (grouping) {
+            // The cut line cannot tell whether it starts an entry, the whole one is read backward from its end
+            for await (const { end: lineEnd } of this.readLines(fileHandle, start, end)) {
+                for await (const { offset: entryStart } of this.readLinesBackward(fileHandle, lineEnd, 0, grouping)) {
+                    start = entryStart;
+                    break;
+                }
+                break;
+            }
+        }
+
+        const following = [];
+        for await (const record of this.readLines(fileHandle, start, end, grouping)) {
+            following.push(record);
+            if (following.length > after) break;
+        }
+        const preceding = [];
+        if (before > 0) {
+            for await (const record of this.readLinesBackward(fileHandle, start, 0, grouping)) {
+                preceding.unshift(record);
+                if (preceding.length >= before) break;
+            }
+        }
+        return { record: following[0], before: preceding, after: following.slice(1) };
+    }
+
+    /**
+     * Reads the lines around byte offsets in a single pass, for files that can only be read from the start.
+     * Offsets have to be requested in ascending order; lines are kept only as long as a later offset may need them.
+     * @param {AsyncIterable<LogLineRecord>} records - All lines of the file, e.g. from readCompressedLines
+     * @param {number} before
+     * @param {number} after
+     * @returns {{read: (offset: number) => Promise<LineContext>, close: () => Promise<void>}} Close stops reading the file
+     */
+    static createContextReader(records, before, after) {
+        const iterator = records[Symbol.asyncIterator]();
+        /** @type {LogLineRecord[]} Lines read but maybe still needed, in file order */
+        let buffer = [];
+        let done = false;
+        const next = async () => {
+            if (done) return null;
+            const { value, done: finished } = await iterator.next();
+            if (finished) done = true;
+            return finished ? null : value;
+        };
+
+        const read = async (offset) => {
+            let index = buffer.findIndex(record => record.end > offset);
+            while (index === -1) {
+                const record = await next();
+                if (!record) return { record: null, before: [], after: [] };
+                buffer.push(record);
+                if (record.end > offset) index = buffer.length - 1;
+                else if (buffer.length > before) buffer.shift();
+            }
+            // Lines before the context of this offset are not needed by later ones either
+            if (index > before) {
+                buffer = buffer.slice(index - before);
+                index = before;
+            }
+            while (buffer.length - index - 1 < after) {
+                const record = await next();
+                if (!record) break;
+                buffer.push(record);
+            }
+            return { record: buffer[index], before: buffer.slice(Math.max(0, index - before), index), after: buffer.slice(index + 1, index + 1 + after) };
+        };
+        const close = async () => {
+            await iterator.return?.();
+        };
+        return { read, close };
+    }
+
+    /**
+     * Follows a file as lines are appended, like `tail -F`. The file is checked on changes in its directory and every
+     * FOLLOW_POLL_MS. When it is replaced, e.g. by logrotate, the lines written to the old file since the last check
+     * are read before the new file is followed from its start.
+     * @param {string} filePath
+     * @param {FollowOptions} options
+     * @returns {{close: () => Promise<void>, inode: () => number|null}} Close stops following once the current check is
+     *   done, inode tells which file the lines come from
+     */
+    static followLines(filePath, { position = null, inode = null, onLines, onReset = () => {}, onError = () => {} }) {
+        /** @type {import('fs').promises.FileHandle|null} */
+        let fileHandle = null;
+        let closed = false;
+        /** @type {Promise<void>|null} */
+        let checking = null;
+        let checkAgain = false;
+
+        const readAppended = async (size) => {
+            const last = Buffer.alloc(1);
+            await fileHandle.read(last, 0, 1, size - 1);
+            let batch = [];
+            for await (const record of this.readLines(fileHandle, position, size)) {
+                // The last line is still being written
+                if (record.end === size && last[0] !== 0x0a) break;
+                batch.push(record);
+                position = record.end;
+                if (batch.length >= FOLLOW_BATCH_LINES) {
+                    onLines(batch);
+                    batch = [];
+                }
+                if (closed) return;
+            }
+            if (batch.length > 0 && !closed) onLines(batch);
+        };
+
+        const check = async () => {
+            let stats;
+            try {
+                stats = await fs.promises.stat(filePath);
+            } catch (error) {
+                // Between the rotation and the creation of the new file
+                if (error.code !== 'ENOENT') throw error;
+                return;
+            }
+            if (fileHandle && stats.ino !== inode) {
+                const { size } = await fileHandle.stat();
+                if (size > position) await readAppended(size);
+                await fileHandle.close();
+                fileHandle = null;
+                inode = null;
+                position = 0;
+                if (closed) return;
+                onReset('rotated');
+            }
+            if (!fileHandle) {
+                fileHandle = await fs.promises.open(filePath, 'r');
+                const opened = (await fileHandle.stat()).ino;
+                // The position belongs to a file replaced before following started
+                if (inode !== null && opened !== inode && position !== null) {
+                    position = 0;
+                    onReset('rotated');
+                }
+                inode = opened;
+            }
+            const { size } = await fileHandle.stat();
+            if (position === null) {
+                position = size;
+                const last = Buffer.alloc(1);
+                if (size > 0) await fileHandle.read(last, 0, 1, size - 1);
+                // The last line is still being written, it is followed from its start
+                if (size > 0 && last[0] !== 0x0a) {
+                    for await (const record of this.readLinesBackward(fileHandle, size)) {
+                        position = record.offset;
+                        break;
+                    }
+                }
+            } else if (size < position) {
+                position = 0;
+                onReset('truncated');
+            }
+            if (size > position) await readAppended(size);
+        };
+
+        // Checks run one at a time, changes during a check are picked up by another one after it
+        const schedule = () => {
+            if (closed) return;
+            if (checking) {
+                checkAgain = true;
+                return;
+            }
+            checking = check()
+                .catch((error) => {
+                    if (!closed) onError(error);
+                })
+                .finally(() => {
+                    checking = null;
+                    if (checkAgain) {
+                        checkAgain = false;
+                        schedule();
+                    }
+                });
+        };
+
+        let watcher = null;
+        try {
+            // The directory is watched, a watch of the file would stay on the old file after a rotation
+            watcher = fs.watch(path.dirname(filePath), (event, fileName) => {
+                if (!fileName || fileName === path.basename(filePath)) schedule();
+            });
+            watcher.on('error', () => watcher.close());
+        } catch (error) {
+            // Without watches, e.g. when inotify watches are exhausted, changes are picked up by polling
+            watcher = null;
+        }
+        const timer = setInterval(schedule, FOLLOW_POLL_MS);
+        schedule();
+
+        const close = async () => {
+            if (closed) return;
+            closed = true;
+            clearInterval(timer);
+            if (watcher) watcher.close();
+            if (checking) await checking;
+            if (fileHandle) await fileHandle.close();
+            fileHandle = null;
+        };
+        return { close, inode: () => inode };
+    }
+
+    /**
+     * Finds the first line start at or after a byte offset.
+     * @param {import('fs').promises.FileHandle} fileHandle
+     * @param {number} offset
+     * @param {number} end - Returned if no line starts before it
+     * @returns {Promise<number>}
+     */
+    static async findLineStart(fileHandle, offset, end) {
+        if (offset <= 0) return 0;
+        const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+        // The byte before the offset tells whether it already is a line start
+        let position = offset - 1;
+        while (position < end) {
+            const { bytesRead } = await fileHandle.read(buffer, 0, Math.min(READ_CHUNK_SIZE, end - position), position);
+            if (bytesRead === 0) break;
+            const newline = buffer.subarray(0, bytesRead).indexOf(0x0a);
+            if (newline !== -1) return Math.min(position + newline + 1, end);
+            position += bytesRead;
+        }
+        return end;
+    }
+
+    /**
+     * Returns the line index of a file, extended by the bytes appended since the last call.
+     * The index is rebuilt if the file was replaced or truncated.
+     * @param {import('fs').promises.FileHandle} fileHandle
+     * @param {string} filePath - Key of the index
+     * @param {LineGrouping|null} [grouping] - Count entries instead of lines
+     * @returns {Promise<LineIndex>}
+     */
+    static async getLineIndex(fileHandle, filePath, grouping = null) {
+        const { ino, size } = await fileHandle.stat();
+        const key = grouping ? grouping.key : null;
+        let index = this.#lineIndexes.get(filePath);
+        if (!index || index.inode !== ino || index.size > size || index.key !== key) {
+            index = { inode: ino, key, size: 0, lines: 0, checkpoints: [0] };
+        }
+        this.#lineIndexes.delete(filePath);
+        this.#lineIndexes.set(filePath, index);
+        if (this.#lineIndexes.size > MAX_LINE_INDEXES) {
+            this.#lineIndexes.delete(this.#lineIndexes.keys().next().value);
+        }
+        if (index.size === size) return index;
+
+        // The first line starts an entry even without timestamp, there is nothing it could continue
+        if (index.size === 0) index.lines = 1;
+        // From the last indexed byte, in case it is a newline and the line after it was not indexed yet
+        index.size = await this.#scanLineStarts(fileHandle, Math.max(0, index.size - 1), size, grouping, (lineStart) => {
+            if (index.lines % LINE_INDEX_INTERVAL === 0) index.checkpoints.push(lineStart);
+            index.lines += 1;
+        });
+        return index;
+    }
+
+    /**
+     * Finds the byte offset of a line using the line index.
+     * @param {import('fs').promises.FileHandle} fileHandle
+     * @param {LineIndex} index
+     * @param {number} lineNumber - Zero-based, below `index.lines`
+     * @param {LineGrouping|null} [grouping] - The one the index was built with
+     * @returns {Promise<number>}
+     */
+    static async findLineOffset(fileHandle, index, lineNumber, grouping = null) {
+        const checkpoint = Math.floor(lineNumber / LINE_INDEX_INTERVAL);
+        let skip = lineNumber - checkpoint * LINE_INDEX_INTERVAL;
+        if (skip === 0) return index.checkpoints[checkpoint];
+
+        let offset = index.size;
+        await this.#scanLineStarts(fileHandle, index.checkpoints[checkpoint], index.size, grouping, (lineStart) => {
+            if (--skip > 0) return true;
+            offset = lineStart;
+            return false;
+        });
+        return offset;
+    }
+
+    /**
+     * Finds the line starts after a byte offset by looking for newlines, without decoding lines. With a grouping,
+     * only the start of each line is decoded, to leave out the lines continuing an entry.
+     * @param {import('fs').promises.FileHandle} fileHandle
+     * @param {number} position
+     * @param {number} end - Lines starting at or after it are left out
+     * @param {LineGrouping|null} grouping
+     * @param {(lineStart: number) => boolean|void} onLineStart - Scanning stops when it returns false
+     * @returns {Promise<number>} The offset scanned up to
+     */
+    static async #scanLineStarts(fileHandle, position, end, grouping, onLineStart) {
+        const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+        const prefix = Buffer.alloc(ENTRY_PREFIX_BYTES);
+        while (position < end) {
+            const { bytesRead } = await fileHandle.read(buffer, 0, Math.min(READ_CHUNK_SIZE, end - position), position);
+            if (bytesRead === 0) break;
+            let newline = -1;
+            while ((newline = buffer.indexOf(0x0a, newline + 1)) !== -1 && newline < bytesRead) {
+                const lineStart = position + newline + 1;
+                if (lineStart >= end) break;
+                if (grouping) {
+                    let head = buffer.subarray(newline + 1, Math.min(bytesRead, newline + 1 + ENTRY_PREFIX_BYTES));
+                    if (head.length < ENTRY_PREFIX_BYTES && position + bytesRead < end) {
+                        // The line start continues in the next chunk
+                        const { bytesRead: headBytes } = await fileHandle.read(prefix, 0, Math.min(ENTRY_PREFIX_BYTES, end - lineStart), lineStart);
+                        head = prefix.subarray(0, headBytes);
+                    }
+                    const headEnd = head.indexOf(0x0a);
+                    if (!grouping.isEntryStart(head.toString('utf-8', 0, headEnd === -1 ? head.length : headEnd))) continue;
+                }
+                if (onLineStart(lineStart) === false) return position + newline + 1;
+            }
+            position += bytesRead;
+        }
+        return position;
+    }
+}
+
+module.exports = LogReadUtils;
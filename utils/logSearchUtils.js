@@ -0,0 +1,298 @@
+const vm = require('vm');
+
+// Regex evaluation is aborted when one batch of lines takes longer than this
+const SEARCH_TIMEOUT_MS = parseInt(process.env.LOG_SEARCH_TIMEOUT_MS, 10) || 1000;
+const BATCH_SIZE = 1000;
+
+// Flags a /regex/ may carry, "g" is always added for collecting match positions
+const ALLOWED_REGEX_FLAGS = 'gimsu';
+
+/**
+ * @typedef {[number, number]} MatchRange - Start (inclusive) and end (exclusive) index of a hit in a line
+ *
+ * @typedef {Object} LogSearchOptions
+ * @property {string} [search] - Query, see LogSearchUtils.compile
+ * @property {boolean} [ignoreCase] - Match terms and phrases case-insensitively, regexes get the "i" flag
+ * @property {string} [exclude] - Query of lines to drop, even if they match `search`
+ *
+ * @typedef {Object} LogMatcher
+ * @property {boolean} isEmpty - True if neither a search nor an exclude query was given
+ * @property {(line: string) => Array<MatchRange>|null} match - Hits in the line, null if it does not match
+ * @property {(lines: string[]) => {lines: string[], matches: Array<Array<MatchRange>>, indexes: number[]}} filter
+ *   Matching lines with their hits and their positions in `lines`
+ */
+
+class LogSearchUtils {
+    /**
+     * Compiles a log search query into a matcher.
+     *
+     * Query syntax:
+     * - `error timeout` lines containing both terms, `AND` may be written explicitly
+     * - `error OR warn` lines containing either term, AND binds tighter than OR
+     * - `NOT debug`, `-debug` lines not containing the term
+     * - `"connection reset"` a phrase, `\"` escapes a quote
+     * - `/took \d+ms/i` a regular expression with optional flags
+     * - `(error OR warn) -healthcheck` parentheses group terms
+     *
+     * Only terms that are not negated are reported as hits.
+     * Regexes are evaluated with a timeout so a catastrophic pattern fails the search instead of blocking the server.
+     * @param {LogSearchOptions} [options]
+     * @returns {LogMatcher}
+     * @throws {Error} If a query is invalid; `match` and `filter` throw if evaluation times out
+     */
+    static compile({ search = '', ignoreCase = false, exclude = '' } = {}) {
+        const include = this.#parse(String(search || ''), ignoreCase);
+        const excluded = this.#parse(String(exclude || ''), ignoreCase);
+        return this.#createMatcher(include, excluded);
+    }
+
+    /**
+     * Compiles a plain regular expression, such as the pattern of an alert rule, into a matcher evaluated with the
+     * same timeout as search queries.
+     * @param {string} pattern
+     * @param {string} [flags] - Any of ALLOWED_REGEX_FLAGS
+     * @returns {LogMatcher}
+     * @throws {Error} If the pattern or its flags are invalid; `match` and `filter` throw if evaluation times out
+     */
+    static compileRegex(pattern, flags = '') {
+        if (typeof pattern !== 'string' || !pattern) throw new Error('The regular expression is empty');
+        const invalidFlag = [...String(flags)].find(flag => !ALLOWED_REGEX_FLAGS.includes(flag));
+        if (invalidFlag) throw new Error(`Unsupported regular expression flag "${invalidFlag}"`);
+        const regex = new RegExp(pattern, [...new Set(`g${flags}`)].join(''));
+        return this.#createMatcher({ type: 'pattern', regex }, null);
+    }
+
+    /**
+     * @param {Object|null} include - Expression tree of the lines to keep, null for all
+     * @param {Object|null} excluded - Expression tree of the lines to drop
+     * @returns {LogMatcher}
+     */
+    static #createMatcher(include, excluded) {
+        const isEmpty = !include && !excluded;
+
+        const matchLine = (line) => {
+            if (excluded && this.#evaluate(excluded, line)) return null;
+            if (!include) return [];
+            if (!this.#evaluate(include, line)) return null;
+            const ranges = [];
+            this.#collectRanges(include, line, ranges);
+            return this.#mergeRanges(ranges);
+        };
+
+        // Host functions called from a vm script are subject to its timeout
+        const context = vm.createContext({ fn: null });
+        const run = (fn) => {
+            context.fn = fn;
+            try {
+                return vm.runInContext('fn()', context, { timeout: SEARCH_TIMEOUT_MS });
+            } catch (error) {
+                if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+                    throw new Error(`Search query took longer than ${SEARCH_TIMEOUT_MS}ms, simplify the regular expression`);
+                }
+                throw error;
+            } finally {
+                context.fn = null;
+            }
+        };
+
+        return {
+            isEmpty,
+            match: (line) => (isEmpty ? [] : run(() => matchLine(line))),
+            filter: (lines) => {
+                if (isEmpty) return { lines, matches: lines.map(() => []), indexes: lines.map((_, i) => i) };
+                const result = { lines: [], matches: [], indexes: [] };
+                for (let i = 0; i < lines.length; i += BATCH_SIZE) {
+                    const batch = lines.slice(i, i + BATCH_SIZE);
+                    run(() => {
+                        batch.forEach((line, j) => {
+                            const ranges = matchLine(line);
+                            if (ranges) {
+                                result.lines.push(line);
+                                result.matches.push(ranges);
+                                result.indexes.push(i + j);
+                            }
+                        });
+                    });
+                }
+                return result;
+            },
+        };
+    }
+
+    /**
+     * @param {string} query
+     * @param {boolean} ignoreCase
+     * @returns {Object|null} Expression tree, null for an empty query
+     */
+    static #parse(query, ignoreCase) {
+        const tokens = this.#tokenize(query, ignoreCase);
+        if (tokens.length === 0) return null;
+
+        let position = 0;
+        const peek = () => tokens[position];
+        const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+
+        const parseOr = () => {
+            const children = [parseAnd()];
+            while (isOperator('OR')) {
+                position++;
+                children.push(parseAnd());
+            }
+            return children.length === 1 ? children[0] : { type: 'or', children };
+        };
+        const parseAnd = () => {
+            const children = [parseUnary()];
+            while (peek() && !isOperator('OR') && !isOperator(')')) {
+                if (isOperator('AND')) position++;
+                children.push(parseUnary());
+            }
+            return children.length === 1 ? children[0] : { type: 'and', children };
+        };
+        const parseUnary = () => {
+            if (isOperator('NOT')) {
+                position++;
+                return { type: 'not', child: parseUnary() };
+            }
+            return parsePrimary();
+        };
+        const parsePrimary = () => {
+            const token = peek();
+            if (!token) throw new Error('Invalid search query: unexpected end of query');
+            position++;
+            if (token.type === 'pattern') return token;
+            if (token.value === '(') {
+                const node = parseOr();
+                if (!isOperator(')')) throw new Error('Invalid search query: missing ")"');
+                position++;
+                return node;
+            }
+            throw new Error(`Invalid search query: unexpected "${token.value}"`);
+        };
+
+        const tree = parseOr();
+        if (position < tokens.length) throw new Error(`Invalid search query: unexpected "${peek().value}"`);
+        return tree;
+    }
+
+    /**
+     * @param {string} query
+     * @param {boolean} ignoreCase
+     * @returns {Array<{type: 'operator', value: string}|{type: 'pattern', regex: RegExp}>}
+     */
+    static #tokenize(query, ignoreCase) {
+        const tokens = [];
+        const literal = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = (source, flags) => {
+            const allFlags = new Set(`g${flags}${ignoreCase ? 'i' : ''}`);
+            try {
+                return { type: 'pattern', regex: new RegExp(source, [...allFlags].join('')) };
+            } catch (error) {
+                throw new Error(`Invalid search query: ${error.message}`);
+            }
+        };
+
+        let i = 0;
+        while (i < query.length) {
+            const char = query[i];
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: 'operator', value: char });
+                i++;
+            } else if (char === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+                // "-term" is shorthand for "NOT term"
+                tokens.push({ type: 'operator', value: 'NOT' });
+                i++;
+            } else if (char === '"') {
+                let phrase = '';
+                i++;
+                while (i < query.length && query[i] !== '"') {
+                    if (query[i] === '\\' && i + 1 < query.length) i++;
+                    phrase += query[i++];
+                }
+                if (i >= query.length) throw new Error('Invalid search query: missing closing quote');
+                i++;
+                if (phrase) tokens.push(pattern(literal(phrase), ''));
+            } else if (char === '/') {
+                let source = '';
+                i++;
+                while (i < query.length && query[i] !== '/') {
+                    if (query[i] === '\\' && i + 1 < query.length) source += query[i++];
+                    source += query[i++];
+                }
+                if (i >= query.length) throw new Error('Invalid search query: missing closing "/" of regular expression');
+                i++;
+                let flags = '';
+                while (i < query.length && /[a-z]/i.test(query[i])) flags += query[i++];
+                const invalidFlag = [...flags].find(flag => !ALLOWED_REGEX_FLAGS.includes(flag));
+                if (invalidFlag) throw new Error(`Invalid search query: unsupported regular expression flag "${invalidFlag}"`);
+                if (!source) throw new Error('Invalid search query: empty regular expression');
+                tokens.push(pattern(source, flags));
+            } else {
+                let word = '';
+                while (i < query.length && !/[\s()"]/.test(query[i])) word += query[i++];
+                if (word === 'AND' || word === 'OR' || word === 'NOT') {
+                    tokens.push({ type: 'operator', value: word });
+                } else {
+                    tokens.push(pattern(literal(word), ''));
+                }
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * @param {Object} node
+     * @param {string} line
+     * @returns {boolean}
+     */
+    static #evaluate(node, line) {
+        switch (node.type) {
+            case 'and': return node.children.every(child => this.#evaluate(child, line));
+            case 'or': return node.children.some(child => this.#evaluate(child, line));
+            case 'not': return !this.#evaluate(node.child, line);
+            default:
+                node.regex.lastIndex = 0;
+                return node.regex.test(line);
+        }
+    }
+
+    /**
+     * Collects the hits of all patterns that are not negated.
+     * @param {Object} node
+     * @param {string} line
+     * @param {Array<MatchRange>} ranges
+     */
+    static #collectRanges(node, line, ranges) {
+        if (node.type === 'not') return;
+        if (node.children) {
+            for (const child of node.children) this.#collectRanges(child, line, ranges);
+            return;
+        }
+        // matchAll starts at lastIndex, which #evaluate left behind the first hit
+        node.regex.lastIndex = 0;
+        for (const match of line.matchAll(node.regex)) {
+            if (match[0].length > 0) ranges.push([match.index, match.index + match[0].length]);
+        }
+    }
+
+    /**
+     * @param {Array<MatchRange>} ranges
+     * @returns {Array<MatchRange>} Sorted ranges with overlapping ones merged
+     */
+    static #mergeRanges(ranges) {
+        ranges.sort((a, b) => a[0] - b[0]);
+        const merged = [];
+        for (const range of ranges) {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push([range[0], range[1]]);
+            }
+        }
+        return merged;
+    }
+}
+
+module.exports = LogSearchUtils;
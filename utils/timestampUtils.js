@@ -0,0 +1,135 @@
+const moment = require('moment-timezone');
+
+let TimestampFormat = Object.freeze({
+    // "11/21/2025, 4:57:52 AM", written by toLocaleString() in en-US
+    US: "us",
+    // "2025-11-21T04:57:52.123Z", "2025-11-21 04:57:52,123+08:00"
+    ISO8601: "iso8601",
+    // "Nov 21 04:57:52", the year is the most recent one not in the future
+    SYSLOG: "syslog",
+    // "1763701072" or "1763701072.123" seconds, "1763701072123" milliseconds
+    EPOCH: "epoch",
+    // Detected from the first lines of the file
+    AUTO: "auto",
+});
+
+// Timestamps are expected at the start of a line, optionally in brackets
+const FORMATS = Object.freeze({
+    [TimestampFormat.US]: {
+        regex: /^\[?(\d{1,2}\/\d{1,2}\/\d{4}, \d{1,2}:\d{2}:\d{2} (?:AM|PM))/,
+        parse: (text, tz) => moment.tz(text, 'MM/DD/YYYY, hh:mm:ss A', tz).valueOf(),
+    },
+    [TimestampFormat.ISO8601]: {
+        regex: /^\[?(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d{1,9})?(?:Z|[+-]\d{2}:?\d{2})?)/,
+        parse: (text, tz) => moment.tz(text.replace(',', '.'), moment.ISO_8601, tz).valueOf(),
+    },
+    [TimestampFormat.SYSLOG]: {
+        regex: /^\[?((?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) {1,2}\d{1,2} \d{2}:\d{2}:\d{2})/,
+        parse: (text, tz) => {
+            const time = moment.tz(text, 'MMM D HH:mm:ss', tz);
+            // Parsed into the current year, a time after tomorrow was logged last year
+            if (time.valueOf() > Date.now() + 24 * 60 * 60 * 1000) time.subtract(1, 'year');
+            return time.valueOf();
+        },
+    },
+    [TimestampFormat.EPOCH]: {
+        regex: /^\[?(\d{10}(?:\.\d{1,6})?|\d{13})(?![\d.])/,
+        parse: (text) => (text.length === 13 ? Number(text) : Math.round(parseFloat(text) * 1000)),
+    },
+});
+
+// Lines sampled for auto-detection
+const DETECT_SAMPLE_LINES = 200;
+
+/**
+ * @typedef {Object} TimestampDefinition - The `timestamp` section of a log format in dcm.yml
+ * @property {string} [format] - One of TimestampFormat or a moment.js format such as "DD.MM.YYYY HH:mm:ss", defaults to "auto"
+ * @property {string} [pattern] - For moment.js formats, regex whose first group captures the timestamp;
+ *   defaults to as many characters as the format produces, which only works for fixed-width formats
+ * @property {string} [timezone] - IANA timezone of timestamps without offset
+ *
+ * @typedef {(line: string) => {time: number, length: number}|null} TimestampParser
+ *   Time of a line in milliseconds and the length of its timestamp prefix, null if the line has no timestamp
+ */
+
+class TimestampUtils {
+    static TimestampFormat = TimestampFormat;
+
+    /**
+     * Creates a parser for timestamps at the start of log lines.
+     * @param {string} format - One of TimestampFormat except AUTO, or a moment.js format
+     * @param {string} timezone - IANA timezone of timestamps without offset
+     * @param {string} [pattern] - See TimestampDefinition
+     * @returns {TimestampParser}
+     * @throws {Error} If the timezone or the pattern is invalid
+     */
+    static createParser(format, timezone, pattern) {
+        if (!moment.tz.zone(timezone)) throw new Error(`Invalid log format: unknown timezone "${timezone}"`);
+
+        let regex;
+        let parse;
+        if (FORMATS[format]) {
+            ({ regex, parse } = FORMATS[format]);
+        } else if (format && format !== TimestampFormat.AUTO) {
+            try {
+                regex = new RegExp(pattern || `^(.{${moment().format(format).length}})`);
+            } catch (error) {
+                throw new Error(`Invalid log format: ${error.message}`);
+            }
+            parse = (text, tz) => moment.tz(text, format, true, tz).valueOf();
+        } else {
+            throw new Error(`Invalid log format: unknown timestamp format "${format}"`);
+        }
+
+        // Consecutive lines often share their timestamp, which is then parsed only once
+        let lastText = null;
+        let lastTime = NaN;
+        return (line) => {
+            const match = line.match(regex);
+            if (!match || match[1] === undefined) return null;
+            if (match[1] !== lastText) {
+                lastText = match[1];
+                lastTime = parse(match[1], timezone);
+            }
+            const time = lastTime;
+            return isNaN(time) ? null : { time, length: match.index + match[0].length };
+        };
+    }
+
+    /**
+     * Creates a test for whether a line starts with a timestamp, without parsing it for the built-in formats.
+     * @param {string} format - See createParser
+     * @param {string} timezone
+     * @param {string} [pattern]
+     * @returns {(line: string) => boolean}
+     * @throws {Error} If the timezone or the pattern is invalid
+     */
+    static createTest(format, timezone, pattern) {
+        const parse = this.createParser(format, timezone, pattern);
+        // Only a moment.js format needs parsing, its default pattern matches any line long enough
+        if (!FORMATS[format]) return (line) => parse(line) !== null;
+        const { regex } = FORMATS[format];
+        return (line) => regex.test(line);
+    }
+
+    /**
+     * Picks the built-in format matching the most lines.
+     * @param {string[]} lines
+     * @returns {string|null} A TimestampFormat, null if no line has a known timestamp
+     */
+    static detectFormat(lines) {
+        const sample = lines.filter(line => line.trim()).slice(0, DETECT_SAMPLE_LINES);
+        let best = null;
+        let bestCount = 0;
+        for (const [format, { regex }] of Object.entries(FORMATS)) {
+            const count = sample.filter(line => regex.test(line)).length;
+            if (count > bestCount) {
+                best = format;
+                bestCount = count;
+            }
+        }
+        return best;
+    }
+}
+
+module.exports = TimestampUtils;